@@ -1,6 +1,11 @@
 import express from "express";
 import axios from "axios";
 import crypto from "crypto";
+import dns from "dns/promises";
+import net from "net";
+import fs from "fs/promises";
+import path from "path";
+import { pathToFileURL } from "url";
 import { google } from "googleapis";
 import Redis from "ioredis";
 
@@ -15,8 +20,34 @@ const VERIFY_TOKEN = process.env.VERIFY_TOKEN;
 const META_APP_SECRET = process.env.META_APP_SECRET;
 
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+// tope por llamada al chat de OpenAI (un turno hace hasta dos): que un job no se quede colgado con el lock
+const OPENAI_TIMEOUT_MS = parseInt(process.env.OPENAI_TIMEOUT_MS || "30000", 10);
+
+// ✅ notas de voz: "openai" (Whisper o cualquier API compatible) | "local" (texto fijo, para pruebas) | "off"
+// (apagado por defecto: mandar audios de pacientes a un tercero tiene que ser una decisión explícita)
+const STT_PROVIDER = (process.env.STT_PROVIDER || "off").trim().toLowerCase();
+const STT_BASE_URL = (process.env.STT_BASE_URL || "https://api.openai.com/v1").trim().replace(/\/$/, "");
+const STT_API_KEY = (process.env.STT_API_KEY || OPENAI_API_KEY || "").trim();
+const STT_MODEL = (process.env.STT_MODEL || "whisper-1").trim();
+const STT_LANGUAGE = (process.env.STT_LANGUAGE || "es").trim();
+const STT_TIMEOUT_MS = parseInt(process.env.STT_TIMEOUT_MS || "30000", 10);
+const STT_MAX_BYTES = parseInt(process.env.STT_MAX_BYTES || String(25 * 1024 * 1024), 10);
+const STT_LOCAL_TRANSCRIPT = process.env.STT_LOCAL_TRANSCRIPT || "";
 
 const GOOGLE_CALENDAR_ID = process.env.GOOGLE_CALENDAR_ID;
+// "google" (default) | "local" (Redis si hay REDIS_URL, si no un archivo JSON)
+const CALENDAR_BACKEND = (process.env.CALENDAR_BACKEND || "google").trim().toLowerCase();
+const LOCAL_CALENDAR_FILE = process.env.LOCAL_CALENDAR_FILE || "./data/local-calendar.json";
+// índice teléfono / wa_id -> citas (Redis); sin índice armado se filtra en el calendario por propiedad privada
+const APPT_INDEX_ENABLED = String(process.env.APPT_INDEX_ENABLED || "true").toLowerCase() !== "false";
+const APPT_INDEX_REBUILD_ON_START = String(process.env.APPT_INDEX_REBUILD_ON_START || "true").toLowerCase() !== "false";
+const APPT_INDEX_WINDOW_DAYS = parseInt(process.env.APPT_INDEX_WINDOW_DAYS || "365", 10);
+// free/busy cacheado por calendario y día (0 = sin cache)
+const FREEBUSY_CACHE_TTL_SEC = parseInt(process.env.FREEBUSY_CACHE_TTL_SEC || "120", 10);
+// horario apartado mientras el paciente termina de dar sus datos (0 = sin retención)
+const SLOT_HOLD_TTL_SEC = parseInt(process.env.SLOT_HOLD_TTL_SEC || "600", 10);
+// cuánto se recuerda el resultado de cada reserva / reprogramación / cancelación (reintentos)
+const IDEMPOTENCY_TTL_SEC = parseInt(process.env.IDEMPOTENCY_TTL_SEC || String(7 * 24 * 60 * 60), 10);
 const CLINIC_NAME = process.env.CLINIC_NAME || "Consultorio Dental";
 const CLINIC_ADDRESS = process.env.CLINIC_ADDRESS || "";
 const CLINIC_TIMEZONE = process.env.CLINIC_TIMEZONE || "America/Santo_Domingo";
@@ -25,6 +56,14 @@ const WORK_HOURS = safeJson(process.env.WORK_HOURS_JSON, null) || defaultWorkHou
 const SERVICE_DURATION = safeJson(process.env.SERVICE_DURATION_JSON, null) || defaultServiceDuration();
 const SLOT_STEP_MIN = parseInt(process.env.SLOT_STEP_MIN || "15", 10);
 
+// ✅ cierres puntuales y feriados
+// DATE_OVERRIDES_JSON={"2026-11-20":{"closed":true,"reason":"Congreso"},"2026-12-24":[{"start":"08:00","end":"12:00"}]}
+const DATE_OVERRIDES = safeJson(process.env.DATE_OVERRIDES_JSON, null) || {};
+// "DO" = feriados de República Dominicana | "none" = sin feriados automáticos
+const HOLIDAY_CALENDAR = (process.env.HOLIDAY_CALENDAR || "DO").trim().toUpperCase();
+// feriados extra o corregidos por decreto: {"2026-08-17":"Restauración (trasladado)"}
+const EXTRA_HOLIDAYS = safeJson(process.env.HOLIDAYS_JSON, null) || {};
+
 // ✅ LISTADO SIMPLE: 8am a 5pm cada 1 hora, PERO solo muestra los disponibles
 const HOURLY_LIST_MODE = (process.env.HOURLY_LIST_MODE || "1") === "1";
 const HOURLY_LIST_START = parseInt(process.env.HOURLY_LIST_START || "8", 10); // 8am
@@ -41,22 +80,90 @@ const MAX_SLOTS_RETURN = parseInt(process.env.MAX_SLOTS_RETURN || "80", 10);
 
 const REMINDER_24H = (process.env.REMINDER_24H || "1") === "1";
 const REMINDER_2H = (process.env.REMINDER_2H || "1") === "1";
+// reintentos por recordatorio antes de darlo por fallido (el error queda en el evento)
+const REMINDER_MAX_ATTEMPTS = parseInt(process.env.REMINDER_MAX_ATTEMPTS || "3", 10);
+
+// ✅ confirmación de asistencia (colores de Google Calendar: 10 = verde, 5 = amarillo)
+const CONFIRMED_COLOR_ID = (process.env.CONFIRMED_COLOR_ID || "10").trim();
+const UNCONFIRMED_WARNED_COLOR_ID = (process.env.UNCONFIRMED_WARNED_COLOR_ID || "5").trim();
+// liberar citas sin confirmar: aviso N min después del último recordatorio, liberación M min después del aviso
+const AUTO_RELEASE_ENABLED = (process.env.AUTO_RELEASE_ENABLED || "0") === "1";
+const AUTO_RELEASE_WARN_AFTER_MIN = parseInt(process.env.AUTO_RELEASE_WARN_AFTER_MIN || "30", 10);
+const AUTO_RELEASE_GRACE_MIN = parseInt(process.env.AUTO_RELEASE_GRACE_MIN || "30", 10);
+// muy cerca de la cita ya no se libera (nadie alcanzaría a tomar el espacio)
+const AUTO_RELEASE_MIN_BEFORE_START_MIN = parseInt(process.env.AUTO_RELEASE_MIN_BEFORE_START_MIN || "30", 10);
+// resumen diario al staff con los no confirmados de mañana (hora local; -1 = apagado)
+const STAFF_DIGEST_HOUR = parseInt(process.env.STAFF_DIGEST_HOUR || "17", 10);
+
+// ✅ inasistencias: el staff marca asistió / no vino / canceló tarde y el historial del paciente
+// decide cómo puede volver a agendar (conteo en los últimos N días; 0 = regla apagada)
+const NO_SHOW_COLOR_ID = (process.env.NO_SHOW_COLOR_ID || "11").trim();
+const NO_SHOW_LOOKBACK_DAYS = parseInt(process.env.NO_SHOW_LOOKBACK_DAYS || "365", 10);
+const NO_SHOW_CONFIRM_AFTER = parseInt(process.env.NO_SHOW_CONFIRM_AFTER || "1", 10);
+const NO_SHOW_LIMIT_AFTER = parseInt(process.env.NO_SHOW_LIMIT_AFTER || "2", 10);
+const NO_SHOW_MAX_DAYS_AHEAD = parseInt(process.env.NO_SHOW_MAX_DAYS_AHEAD || "7", 10);
+const NO_SHOW_HANDOFF_AFTER = parseInt(process.env.NO_SHOW_HANDOFF_AFTER || "3", 10);
+const LATE_CANCEL_COUNTS_AS_NO_SHOW = (process.env.LATE_CANCEL_COUNTS_AS_NO_SHOW || "0") === "1";
+
+// ✅ cancelaciones: el evento queda transparente (libera el horario) y opcionalmente se mueve a un
+// calendario de archivo. Cancelar con menos de N horas de anticipación es cancelación tardía (0 = sin regla)
+const LATE_CANCEL_HOURS = parseFloat(process.env.LATE_CANCEL_HOURS || "24");
+const LATE_CANCEL_RECORD_ATTENDANCE = (process.env.LATE_CANCEL_RECORD_ATTENDANCE || "1") === "1";
+const LATE_CANCEL_POLICY_TEXT = (process.env.LATE_CANCEL_POLICY_TEXT || "").trim();
+const CANCELLED_ARCHIVE_CALENDAR_ID = (process.env.CANCELLED_ARCHIVE_CALENDAR_ID || "").trim();
+
+// ✅ atención humana: el bot se calla hasta que el agente lo libere o pasen N min sin respuesta del agente
+const HANDOFF_TIMEOUT_MIN = parseInt(process.env.HANDOFF_TIMEOUT_MIN || "120", 10);
+// textos del agente (por /agent_message) que devuelven la conversación al bot (no se envían al paciente)
+const HANDOFF_RELEASE_COMMANDS = (process.env.HANDOFF_RELEASE_COMMANDS || "/bot,#bot")
+  .split(",")
+  .map((c) => c.trim().toLowerCase())
+  .filter(Boolean);
+
+// ✅ triage de urgencias: puntaje desde el que se avisa al staff de inmediato / se manda a emergencias
+const TRIAGE_ENABLED = (process.env.TRIAGE_ENABLED || "1") === "1";
+const TRIAGE_ESCALATE_SCORE = parseInt(process.env.TRIAGE_ESCALATE_SCORE || "6", 10);
+const TRIAGE_ER_SCORE = parseInt(process.env.TRIAGE_ER_SCORE || "10", 10);
+const EMERGENCY_PHONE = (process.env.EMERGENCY_PHONE || "911").trim();
+
+// ✅ plantillas aprobadas en Meta (para escribir fuera de la ventana de 24h)
+// WA_TEMPLATES_JSON={"reminder_24h":{"name":"recordatorio_cita","language":"es","params":["patient_name","date","time","clinic"]}}
+const WA_TEMPLATES = safeJson(process.env.WA_TEMPLATES_JSON, null) || {};
+const WA_TEMPLATE_LANGUAGE = (process.env.WA_TEMPLATE_LANGUAGE || "es").trim();
+// margen para no apostar a una ventana que está por cerrarse
+const SERVICE_WINDOW_MARGIN_MIN = parseInt(process.env.SERVICE_WINDOW_MARGIN_MIN || "15", 10);
+
+// ✅ lista de espera: cuánto tiempo tiene cada paciente para aceptar un espacio liberado
+const WAITLIST_ENABLED = (process.env.WAITLIST_ENABLED || "1") === "1";
+const WAITLIST_OFFER_TTL_MIN = parseInt(process.env.WAITLIST_OFFER_TTL_MIN || "30", 10);
 
 // ✅ NEW: tu WhatsApp personal para recibir resumen de citas
 const PERSONAL_WA_TO = (process.env.PERSONAL_WA_TO || "").trim();
 
+// ✅ API de staff (firma HMAC con timestamp)
+const STAFF_API_SECRET = (process.env.STAFF_API_SECRET || "").trim();
+const STAFF_SIGNATURE_MAX_SKEW_SEC = parseInt(process.env.STAFF_SIGNATURE_MAX_SKEW_SEC || "300", 10);
+
 // =========================
 // ✅ BOTHUB (para ver todo en el Hub)
 // =========================
 const BOTHUB_WEBHOOK_URL = (process.env.BOTHUB_WEBHOOK_URL || "").trim();
 const BOTHUB_WEBHOOK_SECRET = (process.env.BOTHUB_WEBHOOK_SECRET || "").trim();
 const BOTHUB_TIMEOUT_MS = Number(process.env.BOTHUB_TIMEOUT_MS || 6000);
+// outbox: reintentos con backoff exponencial (base * 2^n, con tope); agotados => dead-letter
+const BOTHUB_MAX_ATTEMPTS = parseInt(process.env.BOTHUB_MAX_ATTEMPTS || "10", 10);
+const BOTHUB_BACKOFF_BASE_MS = parseInt(process.env.BOTHUB_BACKOFF_BASE_MS || "2000", 10);
+const BOTHUB_BACKOFF_MAX_MS = parseInt(process.env.BOTHUB_BACKOFF_MAX_MS || String(10 * 60 * 1000), 10);
 
 // ✅ NEW: media proxy para BotHub (sin tocar lo demás)
 const BOT_PUBLIC_BASE_URL = (process.env.BOT_PUBLIC_BASE_URL || "").replace(/\/$/, "");
 const HUB_MEDIA_SECRET =
   (process.env.HUB_MEDIA_SECRET || BOTHUB_WEBHOOK_SECRET || VERIFY_TOKEN || "").trim();
 const HUB_MEDIA_TTL_SEC = parseInt(process.env.HUB_MEDIA_TTL_SEC || "900", 10); // 15 min
+// media que mandan los agentes por /agent_message (base64 o url): tope de tamaño y del body JSON
+// (JSON_BODY_LIMIT solo aplica a /agent_message; el resto usa el límite por defecto de express)
+const AGENT_MEDIA_MAX_BYTES = parseInt(process.env.AGENT_MEDIA_MAX_BYTES || String(16 * 1024 * 1024), 10);
+const JSON_BODY_LIMIT = (process.env.JSON_BODY_LIMIT || "25mb").trim();
 const META_GRAPH_VERSION =
   process.env.WHATSAPP_GRAPH_VERSION || process.env.META_GRAPH_VERSION || "v23.0";
 
@@ -66,6 +173,8 @@ const META_GRAPH_VERSION =
 const REDIS_URL_RAW = (process.env.REDIS_URL || "").trim();
 const SESSION_TTL_SEC = parseInt(process.env.SESSION_TTL_SEC || String(60 * 60 * 24 * 14), 10); // 14 días
 const SESSION_PREFIX = process.env.SESSION_PREFIX || "tekko:dental:sess:";
+// prefijo para el resto de llaves (calendario local, colas, índices...)
+const REDIS_PREFIX = process.env.REDIS_PREFIX || "tekko:dental:";
 
 function normalizeRedisUrl(url) {
   const u = String(url || "").trim();
@@ -86,10 +195,23 @@ const redis = redisUrl
 // fallback in-memory si no configuras REDIS_URL
 const sessions = new Map();
 
+// ✅ cola de entrada
+const QUEUE_LOCK_TTL_MS = parseInt(process.env.QUEUE_LOCK_TTL_MS || "120000", 10);
+const QUEUE_SWEEP_MS = parseInt(process.env.QUEUE_SWEEP_MS || "5000", 10);
+const QUEUE_MAX_ATTEMPTS = parseInt(process.env.QUEUE_MAX_ATTEMPTS || "5", 10);
+// tope de la lista de jobs muertos por cola (los más viejos se descartan)
+const QUEUE_DEAD_MAX = parseInt(process.env.QUEUE_DEAD_MAX || "1000", 10);
+// dedupe global de mensajes entrantes (reintentos de Meta, lotes repetidos, varias instancias)
+const INBOUND_DEDUPE_TTL_SEC = parseInt(process.env.INBOUND_DEDUPE_TTL_SEC || String(60 * 60 * 24 * 3), 10);
+
+// registro de mensajes salientes (para pegarle los statuses sent/delivered/read/failed)
+const OUTBOUND_RECORD_TTL_SEC = parseInt(process.env.OUTBOUND_RECORD_TTL_SEC || String(60 * 60 * 24 * 7), 10);
+
 function defaultSession() {
   return {
     messages: [],
-    state: "idle", // idle | await_slot_choice | await_name | await_phone | post_booking | await_day
+    state: "idle", // idle | await_slot_choice | await_name | await_phone | await_attendance_confirm | post_booking | await_day | await_provider | await_waitlist_join | await_triage | await_profile_confirm
+    // | await_patient_choice | await_dependent_name | await_dependent_age | await_dependent_relationship
 
     // ✅ aquí guardamos TODOS los slots libres (no solo los 8 primeros)
     lastSlots: [],
@@ -99,13 +221,22 @@ function defaultSession() {
 
     selectedSlot: null,
     pendingService: null,
+    pendingProvider: "", // "" = aún no elegido | "any" = cualquiera | id del dentista
     pendingRange: null,
     pendingName: null,
+    pendingPhone: null, // solo mientras pedimos confirmar asistencia (política de inasistencias)
+    pendingDependent: null, // {id,name,age,relationship} si la cita es para un hijo/familiar
+    newDependent: null, // borrador mientras se agrega un dependiente
+    apptChoice: null, // {kind, ids} mientras elige entre varias citas (await_appt_choice)
     lastBooking: null, // {appointment_id,start,end,service,patient_name,phone}
     greeted: false,
 
-    // ✅ dedupe webhook retries
-    lastMsgId: null,
+    // ✅ triage de urgencias en curso / ya evaluado (se guarda con la cita)
+    triage: null, // {step, answers, score, flags, outcome, startedAt}
+
+    // ✅ atención humana: mientras active=true el bot no responde
+    handoff: { active: false, since: "", reason: "", lastAgentAt: "" },
+
 
     // ✅ NUEVO: modo reprogramación (para no crear evento nuevo)
     reschedule: {
@@ -114,6 +245,7 @@ function defaultSession() {
       phone: "",
       patient_name: "",
       service: "",
+      provider_id: "",
     },
   };
 }
@@ -128,7 +260,7 @@ function sanitizeSession(session) {
 
   if (!Array.isArray(session.lastDisplaySlots)) session.lastDisplaySlots = [];
   // ✅ no inflar (normalmente será <=10, pero lo limitamos igual)
-  session.lastDisplaySlots = session.lastDisplaySlots.slice(0, HOURLY_LIST_COUNT);
+  session.lastDisplaySlots = session.lastDisplaySlots.slice(0, Math.max(HOURLY_LIST_COUNT, DISPLAY_SLOTS_LIMIT));
 
   if (!session.reschedule || typeof session.reschedule !== "object") {
     session.reschedule = defaultSession().reschedule;
@@ -138,42 +270,403 @@ function sanitizeSession(session) {
     if (typeof session.reschedule.phone !== "string") session.reschedule.phone = "";
     if (typeof session.reschedule.patient_name !== "string") session.reschedule.patient_name = "";
     if (typeof session.reschedule.service !== "string") session.reschedule.service = "";
+    if (typeof session.reschedule.provider_id !== "string") session.reschedule.provider_id = "";
   }
 
+  if (typeof session.pendingProvider !== "string") session.pendingProvider = "";
+  if (session.triage && (typeof session.triage !== "object" || !session.triage.answers)) session.triage = null;
+  if (session.pendingDependent && typeof session.pendingDependent !== "object") session.pendingDependent = null;
+  if (session.newDependent && typeof session.newDependent !== "object") session.newDependent = null;
+  if (session.apptChoice && !Array.isArray(session.apptChoice.ids)) session.apptChoice = null;
+
+  if (!session.handoff || typeof session.handoff !== "object") session.handoff = defaultSession().handoff;
+  if (typeof session.handoff.active !== "boolean") session.handoff.active = false;
+
+  // el dedupe ya no vive en la sesión (ver cola de entrada)
+  delete session.lastMsgId;
+
   if (typeof session.state !== "string") session.state = "idle";
   if (typeof session.greeted !== "boolean") session.greeted = false;
 
   return session;
 }
 
-async function getSession(userId) {
+// ✅ la sesión es por clínica (tenant) + paciente: el mismo número puede escribirle a dos clínicas
+function sessionKey(tenant, userId) {
+  return `${SESSION_PREFIX}${tenant?.id || "default"}:${userId}`;
+}
+
+async function getSession(tenant, userId) {
   if (!userId) return sanitizeSession(defaultSession());
 
+  const key = sessionKey(tenant, userId);
+
   if (!redis) {
-    if (!sessions.has(userId)) sessions.set(userId, defaultSession());
-    return sanitizeSession(sessions.get(userId));
+    if (!sessions.has(key)) sessions.set(key, defaultSession());
+    return sanitizeSession(sessions.get(key));
   }
 
-  const key = `${SESSION_PREFIX}${userId}`;
-  const raw = await redis.get(key);
+  let raw = await redis.get(key);
+  if (!raw && tenant?.id === DEFAULT_TENANT?.id) {
+    // sesiones de antes de multi-clínica (sin tenant en la llave): la primera clínica las hereda;
+    // al guardar quedan en la llave nueva y la vieja vence sola con su TTL
+    raw = await redis.get(`${SESSION_PREFIX}${userId}`);
+  }
   const s = raw ? safeJson(raw, defaultSession()) : defaultSession();
   return sanitizeSession(s);
 }
 
-async function saveSession(userId, session) {
+async function saveSession(tenant, userId, session) {
   if (!userId || !session) return;
 
   session = sanitizeSession(session);
+  const key = sessionKey(tenant, userId);
 
   if (!redis) {
-    sessions.set(userId, session);
+    sessions.set(key, session);
     return;
   }
 
-  const key = `${SESSION_PREFIX}${userId}`;
   await redis.set(key, JSON.stringify(session), "EX", SESSION_TTL_SEC);
 }
 
+// ✅ llaves sueltas (listas de espera, locks, etc.): Redis o memoria con el mismo contrato
+const memoryKv = new Map(); // key -> { value, expiresAt }
+
+function memoryKvGet(key) {
+  const hit = memoryKv.get(key);
+  if (!hit) return null;
+  if (hit.expiresAt && hit.expiresAt <= Date.now()) {
+    memoryKv.delete(key);
+    return null;
+  }
+  return hit.value;
+}
+
+async function kvGetJson(key) {
+  if (!redis) return memoryKvGet(key);
+  const raw = await redis.get(key);
+  return raw ? safeJson(raw, null) : null;
+}
+
+async function kvSetJson(key, value, ttlSec = 0) {
+  if (!redis) {
+    memoryKv.set(key, { value, expiresAt: ttlSec ? Date.now() + ttlSec * 1000 : 0 });
+    return;
+  }
+  if (ttlSec) await redis.set(key, JSON.stringify(value), "EX", ttlSec);
+  else await redis.set(key, JSON.stringify(value));
+}
+
+// true solo para el primero que la crea (SET NX)
+async function kvSetJsonNX(key, value, ttlSec) {
+  if (!redis) {
+    if (memoryKvGet(key) !== null) return false;
+    memoryKv.set(key, { value, expiresAt: Date.now() + ttlSec * 1000 });
+    return true;
+  }
+  const ok = await redis.set(key, JSON.stringify(value), "EX", ttlSec, "NX");
+  return ok === "OK";
+}
+
+async function kvDel(key) {
+  if (!redis) {
+    memoryKv.delete(key);
+    return;
+  }
+  await redis.del(key);
+}
+
+// hash de JSONs (field -> objeto)
+async function kvHashGetAll(key) {
+  if (!redis) return { ...(memoryKvGet(key) || {}) };
+  const map = (await redis.hgetall(key)) || {};
+  const out = {};
+  for (const [field, raw] of Object.entries(map)) {
+    const v = safeJson(raw, null);
+    if (v) out[field] = v;
+  }
+  return out;
+}
+
+async function kvHashSet(key, field, value) {
+  if (!redis) {
+    const map = memoryKvGet(key) || {};
+    map[field] = value;
+    memoryKv.set(key, { value: map, expiresAt: 0 });
+    return;
+  }
+  await redis.hset(key, field, JSON.stringify(value));
+}
+
+// contadores en un hash, en un solo MULTI (HINCRBY por campo + HSETNX de los defaults);
+// kvHashGetAll los lee como números
+async function kvHashIncrMany(key, counts, defaults = {}) {
+  if (!redis) {
+    const map = memoryKvGet(key) || {};
+    for (const [field, by] of Object.entries(counts)) map[field] = (Number(map[field]) || 0) + by;
+    for (const [field, value] of Object.entries(defaults)) if (!(field in map)) map[field] = value;
+    memoryKv.set(key, { value: map, expiresAt: 0 });
+    return;
+  }
+  const multi = redis.multi();
+  for (const [field, by] of Object.entries(counts)) multi.hincrby(key, field, by);
+  for (const [field, value] of Object.entries(defaults)) multi.hsetnx(key, field, JSON.stringify(value));
+  await multi.exec();
+}
+
+// lee el hash y lo reemplaza por `fresh` de forma atómica (MULTI HGETALL + DEL + HSET)
+async function kvHashTakeAll(key, fresh = {}) {
+  if (!redis) {
+    const previous = { ...(memoryKvGet(key) || {}) };
+    memoryKv.set(key, { value: { ...fresh }, expiresAt: 0 });
+    return previous;
+  }
+  const multi = redis.multi().hgetall(key).del(key);
+  for (const [field, value] of Object.entries(fresh)) multi.hset(key, field, JSON.stringify(value));
+  const [[err, map]] = await multi.exec();
+  if (err) throw err;
+
+  const out = {};
+  for (const [field, raw] of Object.entries(map || {})) {
+    const v = safeJson(raw, null);
+    if (v) out[field] = v;
+  }
+  return out;
+}
+
+async function kvHashDel(key, field) {
+  if (!redis) {
+    const map = memoryKvGet(key);
+    if (map) delete map[field];
+    return;
+  }
+  await redis.hdel(key, field);
+}
+
+// =========================
+// ✅ Colas por llave (Redis o memoria)
+// =========================
+// Una lista por llave (ej: clínica + paciente). Solo un worker a la vez procesa cada llave
+// (lock con token), así los mensajes del mismo paciente van estrictamente en orden.
+// El job se saca de la lista DESPUÉS de procesarlo: si el proceso se cae, se reintenta.
+// Con backoffMs(intentos) el reintento espera (nextAttemptAt) y la llave queda detenida hasta entonces.
+// Un error con .permanent = true va directo a la lista de muertos (se puede reencolar con replayDead).
+const LUA_RELEASE_LOCK = `if redis.call("get", KEYS[1]) == ARGV[1] then return redis.call("del", KEYS[1]) end return 0`;
+const LUA_REFRESH_LOCK = `if redis.call("get", KEYS[1]) == ARGV[1] then return redis.call("pexpire", KEYS[1], ARGV[2]) end return 0`;
+const LUA_MARK_IDLE = `if redis.call("llen", KEYS[1]) == 0 then return redis.call("srem", KEYS[2], ARGV[1]) end return 0`;
+
+function createKeyedQueue(name, handler, { maxAttempts = QUEUE_MAX_ATTEMPTS, backoffMs = null } = {}) {
+  const listKey = (key) => `${REDIS_PREFIX}q:${name}:${key}`;
+  const lockKey = (key) => `${REDIS_PREFIX}q:${name}:lock:${key}`;
+  const pendingKey = `${REDIS_PREFIX}q:${name}:pending`;
+  const deadKey = `${REDIS_PREFIX}q:${name}:dead`;
+
+  const memLists = new Map();
+  const memLocks = new Map();
+  const memDead = [];
+
+  const store = redis
+    ? {
+        async push(key, job) {
+          await redis.rpush(listKey(key), JSON.stringify(job));
+          await redis.sadd(pendingKey, key);
+        },
+        async peek(key) {
+          const raw = await redis.lindex(listKey(key), 0);
+          return raw ? safeJson(raw, null) : null;
+        },
+        async replaceHead(key, job) {
+          await redis.lset(listKey(key), 0, JSON.stringify(job));
+        },
+        async shift(key) {
+          await redis.lpop(listKey(key));
+        },
+        async length(key) {
+          return redis.llen(listKey(key));
+        },
+        async pendingKeys() {
+          return redis.smembers(pendingKey);
+        },
+        async markIdle(key) {
+          await redis.eval(LUA_MARK_IDLE, 2, listKey(key), pendingKey, key);
+        },
+        async lock(key, token) {
+          return (await redis.set(lockKey(key), token, "PX", QUEUE_LOCK_TTL_MS, "NX")) === "OK";
+        },
+        async refresh(key, token) {
+          await redis.eval(LUA_REFRESH_LOCK, 1, lockKey(key), token, String(QUEUE_LOCK_TTL_MS));
+        },
+        async unlock(key, token) {
+          await redis.eval(LUA_RELEASE_LOCK, 1, lockKey(key), token);
+        },
+        async dead(job) {
+          await redis.rpush(deadKey, JSON.stringify(job));
+          await redis.ltrim(deadKey, -QUEUE_DEAD_MAX, -1);
+        },
+        async deadJobs() {
+          const raws = await redis.lrange(deadKey, 0, -1);
+          return raws.map((raw) => ({ raw, job: safeJson(raw, null) })).filter((d) => d.job);
+        },
+        async removeDead(entry) {
+          await redis.lrem(deadKey, 1, entry.raw);
+        },
+      }
+    : {
+        async push(key, job) {
+          if (!memLists.has(key)) memLists.set(key, []);
+          memLists.get(key).push(job);
+        },
+        async peek(key) {
+          return memLists.get(key)?.[0] || null;
+        },
+        async replaceHead(key, job) {
+          const list = memLists.get(key);
+          if (list?.length) list[0] = job;
+        },
+        async shift(key) {
+          memLists.get(key)?.shift();
+        },
+        async length(key) {
+          return memLists.get(key)?.length || 0;
+        },
+        async pendingKeys() {
+          return [...memLists.keys()];
+        },
+        async markIdle(key) {
+          if (!memLists.get(key)?.length) memLists.delete(key);
+        },
+        async lock(key, token) {
+          const held = memLocks.get(key);
+          if (held && held.expiresAt > Date.now()) return false;
+          memLocks.set(key, { token, expiresAt: Date.now() + QUEUE_LOCK_TTL_MS });
+          return true;
+        },
+        async refresh(key, token) {
+          const held = memLocks.get(key);
+          if (held?.token === token) held.expiresAt = Date.now() + QUEUE_LOCK_TTL_MS;
+        },
+        async unlock(key, token) {
+          if (memLocks.get(key)?.token === token) memLocks.delete(key);
+        },
+        async dead(job) {
+          memDead.push(job);
+          if (memDead.length > QUEUE_DEAD_MAX) memDead.splice(0, memDead.length - QUEUE_DEAD_MAX);
+        },
+        async deadJobs() {
+          return memDead.map((job) => ({ job }));
+        },
+        async removeDead(entry) {
+          const idx = memDead.indexOf(entry.job);
+          if (idx !== -1) memDead.splice(idx, 1);
+        },
+      };
+
+  async function drain(key) {
+    const token = crypto.randomBytes(8).toString("hex");
+    if (!(await store.lock(key, token))) return; // otro worker ya está con esta llave
+
+    // ✅ latido: un job largo (IA, calendario, nota de voz) no deja vencer el lock mientras corre;
+    // si venciera, un barrido de otra instancia tomaría el mismo job y lo procesaría dos veces
+    const heartbeat = setInterval(() => {
+      store.refresh(key, token).catch((e) => console.error(`[queue:${name}] lock refresh error:`, e?.message || e));
+    }, Math.max(1000, Math.floor(QUEUE_LOCK_TTL_MS / 3)));
+    heartbeat.unref?.();
+
+    let stalled = false;
+    try {
+      for (;;) {
+        const job = await store.peek(key);
+        if (!job) break;
+
+        // esperando su backoff: los de detrás también esperan (orden por llave)
+        if (job.nextAttemptAt && new Date(job.nextAttemptAt).getTime() > Date.now()) {
+          stalled = true;
+          break;
+        }
+
+        try {
+          await handler(job.data);
+          await store.shift(key);
+        } catch (e) {
+          job.attempts = (job.attempts || 0) + 1;
+          job.lastError = String(e?.message || e);
+          console.error(`[queue:${name}] job failed (${job.attempts}/${maxAttempts}):`, e?.response?.data || e?.message || e);
+
+          if (job.attempts >= maxAttempts || e?.permanent) {
+            await store.shift(key);
+            await store.dead({ ...job, key, failedAt: new Date().toISOString(), error: job.lastError });
+          } else {
+            // se reintenta en el próximo barrido, sin adelantar los que vienen detrás
+            if (backoffMs) job.nextAttemptAt = new Date(Date.now() + backoffMs(job.attempts)).toISOString();
+            await store.replaceHead(key, job);
+            stalled = true;
+            break;
+          }
+        }
+
+        await store.refresh(key, token);
+      }
+    } finally {
+      clearInterval(heartbeat);
+      await store.markIdle(key);
+      await store.unlock(key, token);
+    }
+
+    // llegó algo mientras soltábamos el lock
+    if (!stalled && (await store.length(key)) > 0) setImmediate(() => kick(key));
+  }
+
+  function kick(key) {
+    drain(key).catch((e) => console.error(`[queue:${name}] drain error:`, e?.message || e));
+  }
+
+  async function enqueue(key, data) {
+    await store.push(key, { id: crypto.randomUUID(), data, attempts: 0, enqueuedAt: new Date().toISOString() });
+    setImmediate(() => kick(key));
+  }
+
+  // recoge lo que quedó pendiente (reintentos, caídas del proceso, otra instancia)
+  async function sweep() {
+    for (const key of await store.pendingKeys()) await drain(key);
+  }
+
+  // jobs muertos, del más reciente al más viejo
+  async function listDead({ limit = 100 } = {}) {
+    const entries = await store.deadJobs();
+    return entries
+      .map((d) => d.job)
+      .reverse()
+      .slice(0, limit);
+  }
+
+  // reencola los muertos (todos, o solo los ids indicados) al final de su llave, con intentos en cero
+  async function replayDead({ ids = null } = {}) {
+    const wanted = Array.isArray(ids) && ids.length ? new Set(ids.map(String)) : null;
+    const replayed = [];
+
+    for (const entry of await store.deadJobs()) {
+      const job = entry.job;
+      if (wanted && !wanted.has(String(job.id))) continue;
+
+      await store.removeDead(entry);
+      await store.push(job.key, {
+        id: job.id || crypto.randomUUID(),
+        data: job.data,
+        attempts: 0,
+        enqueuedAt: new Date().toISOString(),
+        replayedFrom: job.failedAt,
+      });
+      replayed.push(job.id);
+      setImmediate(() => kick(job.key));
+    }
+
+    return replayed;
+  }
+
+  return { enqueue, sweep, listDead, replayDead };
+}
+
 // =====================================================
 // Stable stringify (para firma HMAC consistente)
 // =====================================================
@@ -243,27 +736,71 @@ function verifyHubSignature(reqBody, signatureHex, secret) {
   return false;
 }
 
-async function bothubReportMessage(payload) {
+// ✅ cada reporte lleva el tenant para que el Hub no mezcle conversaciones de clínicas distintas.
+// Primero va al outbox (cola persistente, en orden por conversación) y de ahí a BotHub con reintentos.
+// eventId es estable (mismo mensaje de WhatsApp => mismo id) para que BotHub descarte duplicados.
+function bothubEventId(tenant, payload) {
+  if (payload.waMessageId) {
+    const parts = [tenant?.id || "default", payload.direction, payload.waMessageId, payload.status].filter(Boolean);
+    return crypto.createHash("sha256").update(parts.join(":")).digest("hex").slice(0, 32);
+  }
+  return crypto.randomUUID();
+}
+
+async function bothubReportMessage(tenant, payload) {
   if (!BOTHUB_WEBHOOK_URL || !BOTHUB_WEBHOOK_SECRET) return;
 
+  const cleanPayload = removeUndefinedDeep({
+    ...payload,
+    eventId: payload.eventId || bothubEventId(tenant, payload),
+    occurredAt: payload.occurredAt || new Date().toISOString(),
+    tenantId: tenant?.id,
+    phoneNumberId: tenant?.phoneNumberId || undefined,
+    clinic: tenant?.name,
+  });
+  const conversation = cleanPayload.from || cleanPayload.to || "system";
+
   try {
-    const cleanPayload = removeUndefinedDeep(payload);
-    const raw = stableStringify(cleanPayload);
-    const sig = crypto.createHmac("sha256", BOTHUB_WEBHOOK_SECRET).update(raw).digest("hex");
+    await bothubOutbox.enqueue(`${tenant?.id || "default"}:${conversation}`, cleanPayload);
+  } catch (e) {
+    // sin outbox (Redis caído): al menos un intento directo
+    console.error("Bothub outbox enqueue failed:", e?.message || e);
+    try {
+      await deliverBothubReport(cleanPayload);
+    } catch (err) {
+      console.error("Bothub report failed:", err?.response?.data || err?.message || err);
+    }
+  }
+}
+
+// un intento de entrega; lanza error para que el outbox reintente
+async function deliverBothubReport(payload) {
+  const raw = stableStringify(payload);
+  const sig = crypto.createHmac("sha256", BOTHUB_WEBHOOK_SECRET).update(raw).digest("hex");
 
+  try {
     await axios.post(BOTHUB_WEBHOOK_URL, raw, {
       headers: {
         "Content-Type": "application/json",
         "X-HUB-SIGNATURE": sig,
+        "X-HUB-EVENT-ID": payload.eventId,
       },
       timeout: BOTHUB_TIMEOUT_MS,
       transformRequest: [(data) => data],
     });
   } catch (e) {
-    console.error("Bothub report failed:", e?.response?.data || e?.message || e);
+    // 4xx (menos 408/429) no se arregla reintentando: directo a dead-letter
+    const status = e?.response?.status;
+    if (status >= 400 && status < 500 && status !== 408 && status !== 429) e.permanent = true;
+    throw e;
   }
 }
 
+const bothubOutbox = createKeyedQueue("bothub", deliverBothubReport, {
+  maxAttempts: BOTHUB_MAX_ATTEMPTS,
+  backoffMs: (attempts) => Math.min(BOTHUB_BACKOFF_BASE_MS * 2 ** (attempts - 1), BOTHUB_BACKOFF_MAX_MS),
+});
+
 // ✅ Meta para audio/ubicación/attachments (para que en Hub se vea TODO)
 function extractInboundMeta(msg) {
   if (!msg) return {};
@@ -364,15 +901,17 @@ function getBotPublicBaseUrl(req) {
   return BOT_PUBLIC_BASE_URL || getRequestBaseUrl(req);
 }
 
-function signHubMediaToken(mediaId, ts) {
+// ✅ si viene tenant, entra en la firma (así no se puede pedir media de otra clínica con el mismo link)
+function signHubMediaToken(mediaId, ts, tenantId = "") {
   if (!HUB_MEDIA_SECRET) return "";
+  const base = `${String(mediaId)}:${String(ts)}`;
   return crypto
     .createHmac("sha256", HUB_MEDIA_SECRET)
-    .update(`${String(mediaId)}:${String(ts)}`)
+    .update(tenantId ? `${base}:${String(tenantId)}` : base)
     .digest("hex");
 }
 
-function verifyHubMediaToken(mediaId, ts, sig) {
+function verifyHubMediaToken(mediaId, ts, sig, tenantId = "") {
   if (!HUB_MEDIA_SECRET) return false;
   if (!mediaId || !ts || !sig) return false;
 
@@ -382,26 +921,28 @@ function verifyHubMediaToken(mediaId, ts, sig) {
   const ageMs = Math.abs(Date.now() - tsNum);
   if (ageMs > HUB_MEDIA_TTL_SEC * 1000) return false;
 
-  const expected = signHubMediaToken(mediaId, ts);
+  const expected = signHubMediaToken(mediaId, ts, tenantId);
   return timingSafeEqualHex(sig, expected);
 }
 
-function buildHubMediaUrl(req, mediaId) {
+// baseUrl = getBotPublicBaseUrl(req) del webhook (se guarda en el job de la cola)
+function buildHubMediaUrl(baseUrl, mediaId, tenantId = "") {
   if (!mediaId) return "";
   if (!HUB_MEDIA_SECRET) return "";
 
-  const base = getBotPublicBaseUrl(req);
+  const base = baseUrl;
   if (!base) return "";
 
   const ts = String(Date.now());
-  const sig = signHubMediaToken(mediaId, ts);
+  const sig = signHubMediaToken(mediaId, ts, tenantId);
+  const tenantQs = tenantId ? `&t=${encodeURIComponent(tenantId)}` : "";
 
   return `${base.replace(/\/$/, "")}/hub_media/${encodeURIComponent(mediaId)}?ts=${encodeURIComponent(
     ts
-  )}&sig=${encodeURIComponent(sig)}`;
+  )}&sig=${encodeURIComponent(sig)}${tenantQs}`;
 }
 
-function attachHubMediaUrl(req, meta) {
+function attachHubMediaUrl(baseUrl, meta, tenant = null) {
   const out = { ...(meta || {}) };
   const kind = String(out?.kind || "").toUpperCase();
 
@@ -409,19 +950,19 @@ function attachHubMediaUrl(req, meta) {
     out?.mediaId &&
     ["AUDIO", "IMAGE", "VIDEO", "DOCUMENT", "STICKER"].includes(kind)
   ) {
-    const mediaUrl = buildHubMediaUrl(req, out.mediaId);
+    const mediaUrl = buildHubMediaUrl(baseUrl, out.mediaId, tenant?.id || "");
     if (mediaUrl) out.mediaUrl = mediaUrl;
   }
 
   return out;
 }
 
-async function getMetaMediaInfo(mediaId) {
-  if (!WA_TOKEN) throw new Error("WA_TOKEN not configured");
+async function getMetaMediaInfo(mediaId, token = WA_TOKEN) {
+  if (!token) throw new Error("WA_TOKEN not configured");
   const res = await axios.get(
     `https://graph.facebook.com/${META_GRAPH_VERSION}/${encodeURIComponent(mediaId)}`,
     {
-      headers: { Authorization: `Bearer ${WA_TOKEN}` },
+      headers: { Authorization: `Bearer ${token}` },
       timeout: 30000,
       validateStatus: () => true,
     }
@@ -438,15 +979,15 @@ async function getMetaMediaInfo(mediaId) {
   return res.data || {};
 }
 
-async function downloadMetaMedia(mediaId) {
-  const info = await getMetaMediaInfo(mediaId);
+async function downloadMetaMedia(mediaId, token = WA_TOKEN) {
+  const info = await getMetaMediaInfo(mediaId, token);
   const mediaUrl = info?.url;
   const mimeType = info?.mime_type || "application/octet-stream";
 
   if (!mediaUrl) throw new Error("Meta respondió sin url para ese mediaId");
 
   const bin = await axios.get(mediaUrl, {
-    headers: { Authorization: `Bearer ${WA_TOKEN}` },
+    headers: { Authorization: `Bearer ${token}` },
     responseType: "arraybuffer",
     timeout: 60000,
     validateStatus: () => true,
@@ -466,31 +1007,223 @@ async function downloadMetaMedia(mediaId) {
   };
 }
 
+// =========================
+// ✅ Notas de voz -> texto (speech-to-text)
+// =========================
+const STT_PROVIDERS = {
+  // POST {STT_BASE_URL}/audio/transcriptions (OpenAI, Groq, faster-whisper-server...)
+  openai: async ({ buffer, mimeType }) => {
+    const form = new FormData();
+    form.append("file", new Blob([buffer], { type: mimeType }), `nota${extFromMimeType(mimeType) || ".ogg"}`);
+    form.append("model", STT_MODEL);
+    if (STT_LANGUAGE) form.append("language", STT_LANGUAGE);
+
+    const resp = await axios.post(`${STT_BASE_URL}/audio/transcriptions`, form, {
+      headers: STT_API_KEY ? { Authorization: `Bearer ${STT_API_KEY}` } : {},
+      timeout: STT_TIMEOUT_MS,
+    });
+    return resp.data?.text || "";
+  },
+  // sin red: devuelve STT_LOCAL_TRANSCRIPT (desarrollo y pruebas del flujo)
+  local: async () => STT_LOCAL_TRANSCRIPT,
+};
+
+function sttEnabled() {
+  return !!STT_PROVIDERS[STT_PROVIDER];
+}
+
+// "" si no se pudo (el error queda en el log); nunca lanza para no reintentar el mensaje entero
+async function transcribeVoiceNote(tenant, msg) {
+  try {
+    const { buffer, mimeType } = await downloadMetaMedia(msg.audio.id, tenant.waToken);
+    if (buffer.length > STT_MAX_BYTES) {
+      console.error("stt error:", `audio de ${buffer.length} bytes supera STT_MAX_BYTES`);
+      return "";
+    }
+    const text = await STT_PROVIDERS[STT_PROVIDER]({ buffer, mimeType: msg.audio.mime_type || mimeType });
+    return String(text || "").replace(/\s+/g, " ").trim();
+  } catch (e) {
+    console.error("stt error:", e?.response?.data || e?.message || e);
+    return "";
+  }
+}
+
 // =========================
 // Express (raw body for signature check)
 // =========================
 const app = express();
-app.use(
+const jsonBody = (opts = {}) =>
   express.json({
+    ...opts,
     verify: (req, _res, buf) => {
       req.rawBody = buf;
     },
-  })
-);
+  });
+const defaultJsonBody = jsonBody();
+const agentJsonBody = jsonBody({ limit: JSON_BODY_LIMIT });
+
+// /agent_message trae media en base64: se parsea en su ruta con el límite grande
+app.use((req, res, next) => (req.path === "/agent_message" ? next() : defaultJsonBody(req, res, next)));
 
 // =========================
 // Services (requested list)
 // =========================
 const SERVICES = [
-  { key: "estetica_dental", title: "Estética dental", id: "svc_estetica" },
-  { key: "ortodoncia", title: "Ortodoncia", id: "svc_ortodoncia" },
-  { key: "implantes", title: "Implantes", id: "svc_implantes" },
-  { key: "urgencias", title: "Urgencias", id: "svc_urgencias" },
-  { key: "limpieza_prevencion", title: "Limpiezas y prevención", id: "svc_limpieza_prevencion" },
-  { key: "odontopediatria", title: "Odontopediatría", id: "svc_odontopediatria" },
+  { key: "estetica_dental", title: "Estética dental", id: "svc_estetica", emoji: "✨" },
+  { key: "ortodoncia", title: "Ortodoncia", id: "svc_ortodoncia", emoji: "🦷" },
+  { key: "implantes", title: "Implantes", id: "svc_implantes", emoji: "🔩" },
+  { key: "urgencias", title: "Urgencias", id: "svc_urgencias", emoji: "🆘" },
+  { key: "limpieza_prevencion", title: "Limpiezas y prevención", id: "svc_limpieza_prevencion", emoji: "🧼" },
+  { key: "odontopediatria", title: "Odontopediatría", id: "svc_odontopediatria", emoji: "👶" },
 ];
 
-const SERVICE_ID_TO_KEY = Object.fromEntries(SERVICES.map((s) => [s.id, s.key]));
+// =========================
+// ✅ MULTI-CLÍNICA (tenants)
+// Un solo deploy atiende varios números de WhatsApp. Cada phone_number_id
+// entrante se enruta a su propia config (calendario, servicios, horario, textos).
+//
+// TENANTS_JSON=[{"id":"eves","phoneNumberId":"123","name":"Eves Dental Studio","calendarId":"...","workHours":{...}}]
+// Si no se define, se arma un único tenant "default" con las variables de siempre.
+// =========================
+function buildTenant(raw, index = 0) {
+  const t = raw && typeof raw === "object" ? raw : {};
+  const phoneNumberId = String(t.phoneNumberId || t.phone_number_id || "").trim();
+  const services = Array.isArray(t.services) && t.services.length ? t.services : SERVICES;
+  const calendarBackend = String(t.calendarBackend || CALENDAR_BACKEND).trim().toLowerCase();
+  const calendarId = t.calendarId || GOOGLE_CALENDAR_ID || (calendarBackend === "local" ? "local" : "");
+  const workHours = t.workHours || WORK_HOURS;
+
+  return {
+    id: String(t.id || phoneNumberId || (index === 0 ? "default" : `tenant${index + 1}`)).trim(),
+    phoneNumberId,
+    waToken: String(t.waToken || WA_TOKEN || "").trim(),
+    // número que envía los recordatorios (por defecto el mismo que recibe)
+    reminderPhoneNumberId: String(t.reminderPhoneNumberId || phoneNumberId).trim(),
+    name: t.name || CLINIC_NAME,
+    address: t.address ?? CLINIC_ADDRESS,
+    timezone: t.timezone || CLINIC_TIMEZONE,
+    calendarId,
+    calendarBackend,
+    workHours,
+    dateOverrides: t.dateOverrides || DATE_OVERRIDES,
+    holidayCalendar: String(t.holidayCalendar || HOLIDAY_CALENDAR).trim().toUpperCase(),
+    extraHolidays: { ...EXTRA_HOLIDAYS, ...(t.extraHolidays || {}) },
+    providers: buildProviders(t.providers, { calendarId, workHours }),
+    serviceDuration: { ...SERVICE_DURATION, ...(t.serviceDuration || {}) },
+    services,
+    serviceIdToKey: Object.fromEntries(services.map((s) => [s.id, s.key])),
+    personalWaTo: String(t.personalWaTo ?? PERSONAL_WA_TO).trim(),
+    templates: { ...WA_TEMPLATES, ...(t.templates || {}) },
+    confirmationPolicy: {
+      autoRelease: AUTO_RELEASE_ENABLED,
+      warnAfterMin: AUTO_RELEASE_WARN_AFTER_MIN,
+      graceMin: AUTO_RELEASE_GRACE_MIN,
+      ...(t.confirmationPolicy || {}),
+    },
+    attendancePolicy: {
+      lookbackDays: NO_SHOW_LOOKBACK_DAYS,
+      confirmAfter: NO_SHOW_CONFIRM_AFTER,
+      limitAfter: NO_SHOW_LIMIT_AFTER,
+      maxDaysAhead: NO_SHOW_MAX_DAYS_AHEAD,
+      handoffAfter: NO_SHOW_HANDOFF_AFTER,
+      countLateCancel: LATE_CANCEL_COUNTS_AS_NO_SHOW,
+      ...(t.attendancePolicy || {}),
+    },
+    cancellationPolicy: {
+      lateHours: LATE_CANCEL_HOURS,
+      recordAttendance: LATE_CANCEL_RECORD_ATTENDANCE,
+      policyText: LATE_CANCEL_POLICY_TEXT,
+      archiveCalendarId: CANCELLED_ARCHIVE_CALENDAR_ID,
+      ...(t.cancellationPolicy || {}),
+    },
+    triagePolicy: {
+      enabled: TRIAGE_ENABLED,
+      escalateScore: TRIAGE_ESCALATE_SCORE,
+      erScore: TRIAGE_ER_SCORE,
+      emergencyPhone: EMERGENCY_PHONE,
+      ...(t.triagePolicy || {}),
+    },
+    templateLanguage: String(t.templateLanguage || WA_TEMPLATE_LANGUAGE).trim(),
+  };
+}
+
+function loadTenants() {
+  const list = safeJson(process.env.TENANTS_JSON, null);
+  if (Array.isArray(list) && list.length) return list.map((t, i) => buildTenant(t, i));
+  return [
+    buildTenant(
+      { id: "default", phoneNumberId: PHONE_NUMBER_ID, providers: safeJson(process.env.PROVIDERS_JSON, null) },
+      0
+    ),
+  ];
+}
+
+const TENANTS = loadTenants();
+const DEFAULT_TENANT = TENANTS[0];
+
+function findTenantByPhoneNumberId(phoneNumberId) {
+  const id = String(phoneNumberId || "").trim();
+  if (!id) return null;
+  return TENANTS.find((t) => t.phoneNumberId === id) || null;
+}
+
+function findTenantById(tenantId) {
+  const id = String(tenantId || "").trim();
+  if (!id) return null;
+  return TENANTS.find((t) => t.id === id) || null;
+}
+
+function serviceTitle(tenant, serviceKey) {
+  return (tenant?.services || SERVICES).find((s) => s.key === serviceKey)?.title || serviceKey;
+}
+
+// =========================
+// ✅ Dentistas (providers)
+// Cada dentista tiene su calendario (o sub-calendario), su horario y los servicios que ofrece.
+// providers: [{ "id": "perez", "name": "Dra. Pérez", "calendarId": "...", "workHours": {...}, "services": ["ortodoncia"] }]
+// Sin providers, la clínica funciona como antes: un solo calendario y un solo horario.
+// =========================
+function buildProviders(list, { calendarId, workHours }) {
+  if (!Array.isArray(list) || !list.length) {
+    return [{ id: "default", name: "", calendarId, workHours, dateOverrides: {}, services: null, implicit: true }];
+  }
+
+  return list.map((p, i) => ({
+    id: String(p.id || `dr${i + 1}`).trim(),
+    name: String(p.name || "").trim(),
+    calendarId: p.calendarId || calendarId,
+    workHours: p.workHours || workHours,
+    // vacaciones / días especiales del dentista (mismo formato que DATE_OVERRIDES_JSON)
+    dateOverrides: p.dateOverrides || {},
+    // null = ofrece todos los servicios
+    services: Array.isArray(p.services) && p.services.length ? p.services : null,
+    implicit: false,
+  }));
+}
+
+function providersForService(tenant, serviceKey) {
+  return tenant.providers.filter((p) => !p.services || !serviceKey || p.services.includes(serviceKey));
+}
+
+function findProvider(tenant, providerId) {
+  const id = String(providerId || "").trim();
+  if (!id) return null;
+  return tenant.providers.find((p) => p.id === id) || null;
+}
+
+// solo preguntamos por dentista cuando hay más de uno para ese servicio
+function needsProviderChoice(tenant, serviceKey) {
+  return providersForService(tenant, serviceKey).filter((p) => !p.implicit).length > 1;
+}
+
+function providerLabel(tenant, providerId) {
+  const p = findProvider(tenant, providerId);
+  return p && !p.implicit ? p.name || p.id : "";
+}
+
+function tenantCalendarIds(tenant) {
+  return [...new Set([tenant.calendarId, ...tenant.providers.map((p) => p.calendarId)].filter(Boolean))];
+}
 
 // =========================
 // Helpers
@@ -599,7 +1332,8 @@ function quickHelpText() {
   return (
     `¡Hola! 😊\n` +
     `¿Qué servicio deseas agendar?\n\n` +
-    `Puedes escribir el servicio (ej: "Ortodoncia") o escribir "servicios" para ver el menú.`
+    `Puedes escribir el servicio (ej: "Ortodoncia") o escribir "servicios" para ver el menú.\n` +
+    `Para ver o cambiar tus citas, escribe "mis citas".`
   );
 }
 
@@ -632,6 +1366,17 @@ function looksLikeReschedule(textNorm) {
   );
 }
 
+// respuestas cortas de sí / no (ej: oferta de lista de espera)
+function isYes(textNorm) {
+  const t = (textNorm || "").trim();
+  return ["si", "si quiero", "si por favor", "lo quiero", "lo tomo", "acepto", "dale"].includes(t) || t.startsWith("si ");
+}
+
+function isNo(textNorm) {
+  const t = (textNorm || "").trim();
+  return ["no", "no gracias", "no quiero", "paso"].includes(t);
+}
+
 function looksLikeNewAppointment(textNorm) {
   return ["nueva cita", "otra cita", "agendar", "reservar", "cita nueva", "quiero cita"].some((k) =>
     (textNorm || "").includes(k)
@@ -721,25 +1466,156 @@ function toE164DigitsRD(phoneDigits) {
 // =========================
 // WhatsApp send text / interactive list
 // =========================
-async function sendWhatsAppText(to, text, reportSource = "BOT") {
-  const url = `https://graph.facebook.com/v20.0/${PHONE_NUMBER_ID}/messages`;
-  await axios.post(
+// opts.phoneNumberId permite enviar desde otro número del mismo tenant (ej: recordatorios)
+async function sendWhatsAppText(tenant, to, text, reportSource = "BOT", opts = {}) {
+  const phoneNumberId = opts.phoneNumberId || tenant.phoneNumberId;
+  const url = `https://graph.facebook.com/v20.0/${phoneNumberId}/messages`;
+  const resp = await axios.post(
     url,
     { messaging_product: "whatsapp", to, type: "text", text: { body: text } },
-    { headers: { Authorization: `Bearer ${WA_TOKEN}` } }
+    { headers: { Authorization: `Bearer ${tenant.waToken}` } }
   );
 
-  await bothubReportMessage({
+  const waMessageId = await recordOutboundMessage(tenant, resp, { to, kind: "TEXT", body: text, source: reportSource });
+
+  await bothubReportMessage(tenant, {
     direction: "OUTBOUND",
     to: String(to),
     body: String(text),
     source: reportSource,
     kind: "TEXT",
+    waMessageId,
+  });
+
+  return waMessageId;
+}
+
+// =========================
+// Plantillas + ventana de atención (24h)
+// =========================
+// WhatsApp solo acepta texto libre si el paciente nos escribió en las últimas 24h (a ESE número).
+function serviceWindowKey(phoneNumberId, waId) {
+  return `${REDIS_PREFIX}csw:${phoneNumberId}:${String(waId || "").replace(/[^\d]/g, "")}`;
+}
+
+async function markServiceWindow(tenant, waId) {
+  await kvSetJson(serviceWindowKey(tenant.phoneNumberId, waId), { lastInboundAt: new Date().toISOString() }, 24 * 60 * 60);
+}
+
+async function isServiceWindowOpen(tenant, waId, phoneNumberId = tenant.phoneNumberId) {
+  const hit = await kvGetJson(serviceWindowKey(phoneNumberId, waId));
+  if (!hit?.lastInboundAt) return false;
+  const closesAt = new Date(hit.lastInboundAt).getTime() + 24 * 60 * 60000;
+  return Date.now() < closesAt - SERVICE_WINDOW_MARGIN_MIN * 60000;
+}
+
+// 131047 = "Re-engagement message": pasaron más de 24h desde el último mensaje del paciente
+function isOutsideWindowError(e) {
+  const code = e?.response?.data?.error?.code;
+  return code === 131047;
+}
+
+function renderTemplatePreview(def, values) {
+  return `[Plantilla ${def.name}] ${values.join(" | ")}`;
+}
+
+// def: { name, language?, params: ["patient_name","date",...] } -> parámetros del body en orden
+// templateKey = llave de tenant.templates, o la definición directa ({ name, language, params })
+async function sendWhatsAppTemplate(tenant, to, templateKey, vars = {}, opts = {}) {
+  const def = typeof templateKey === "object" ? templateKey : tenant.templates[templateKey];
+  if (!def?.name) throw new Error(`Template not configured: ${templateKey}`);
+
+  const phoneNumberId = opts.phoneNumberId || tenant.phoneNumberId;
+  const values = (def.params || []).map((p) => String(vars[p] ?? "—"));
+  const components = values.length
+    ? [{ type: "body", parameters: values.map((text) => ({ type: "text", text })) }]
+    : [];
+
+  // plantillas con botones de respuesta rápida: cada botón devuelve el id de la acción como payload
+  if (def.quickReplies && opts.buttons?.length) {
+    opts.buttons.forEach((b, index) => {
+      components.push({
+        type: "button",
+        sub_type: "quick_reply",
+        index: String(index),
+        parameters: [{ type: "payload", payload: b.id }],
+      });
+    });
+  }
+
+  const url = `https://graph.facebook.com/v20.0/${phoneNumberId}/messages`;
+  const resp = await axios.post(
+    url,
+    {
+      messaging_product: "whatsapp",
+      to,
+      type: "template",
+      template: { name: def.name, language: { code: def.language || tenant.templateLanguage }, components },
+    },
+    { headers: { Authorization: `Bearer ${tenant.waToken}` } }
+  );
+
+  const rendered = renderTemplatePreview(def, values);
+  const waMessageId = await recordOutboundMessage(tenant, resp, {
+    to,
+    kind: "TEMPLATE",
+    body: rendered,
+    source: opts.reportSource || "BOT",
+  });
+
+  await bothubReportMessage(tenant, {
+    direction: "OUTBOUND",
+    to: String(to),
+    body: rendered,
+    source: opts.reportSource || "BOT",
+    kind: "TEMPLATE",
+    meta: {
+      template: def.name,
+      templateKey: typeof templateKey === "object" ? undefined : templateKey,
+      params: values,
+    },
+    waMessageId,
   });
+
+  return waMessageId;
+}
+
+// ✅ texto (o botones) si la ventana está abierta; si no (o Meta la rechaza) la plantilla configurada
+async function sendWhatsAppTextOrTemplate(
+  tenant,
+  to,
+  text,
+  { template = "", vars = {}, buttons = null, phoneNumberId, reportSource = "BOT" } = {}
+) {
+  const fromNumber = phoneNumberId || tenant.phoneNumberId;
+  const hasTemplate = !!tenant.templates[template]?.name;
+  const templateOpts = { phoneNumberId: fromNumber, reportSource, buttons };
+
+  if (hasTemplate && !(await isServiceWindowOpen(tenant, to, fromNumber))) {
+    const waMessageId = await sendWhatsAppTemplate(tenant, to, template, vars, templateOpts);
+    return { via: "template", waMessageId };
+  }
+
+  try {
+    const waMessageId = buttons?.length
+      ? await sendWhatsAppButtons(tenant, to, text, buttons, reportSource, { phoneNumberId: fromNumber })
+      : await sendWhatsAppText(tenant, to, text, reportSource, { phoneNumberId: fromNumber });
+    return { via: "text", waMessageId };
+  } catch (e) {
+    if (!hasTemplate || !isOutsideWindowError(e)) throw e;
+    const waMessageId = await sendWhatsAppTemplate(tenant, to, template, vars, templateOpts);
+    return { via: "template", waMessageId };
+  }
 }
 
 // ✅ NEW: envío seguro para recordatorios (prioriza wa_id real del webhook)
-async function sendReminderWhatsAppToBestTarget(priv, fallbackPhoneDigits, text) {
+async function sendReminderWhatsAppToBestTarget(
+  tenant,
+  priv,
+  fallbackPhoneDigits,
+  text,
+  { template = "", vars = {}, buttons = null } = {}
+) {
   const candidates = [];
 
   if (priv?.wa_id) candidates.push(String(priv.wa_id).trim());
@@ -756,8 +1632,13 @@ async function sendReminderWhatsAppToBestTarget(priv, fallbackPhoneDigits, text)
     tried.push(to);
 
     try {
-      await sendWhatsAppText(to, text, "BOT");
-      return { ok: true, to };
+      const sent = await sendWhatsAppTextOrTemplate(tenant, to, text, {
+        template,
+        vars,
+        buttons,
+        phoneNumberId: tenant.reminderPhoneNumberId,
+      });
+      return { ok: true, to, via: sent.via };
     } catch (e) {
       lastErr = e;
       console.error("[reminder] send failed for:", to, e?.response?.data || e?.message || e);
@@ -767,41 +1648,41 @@ async function sendReminderWhatsAppToBestTarget(priv, fallbackPhoneDigits, text)
   return { ok: false, tried, error: lastErr?.response?.data || lastErr?.message || lastErr };
 }
 
-async function notifyPersonalWhatsAppBookingSummary(booking) {
+async function notifyPersonalWhatsAppBookingSummary(tenant, booking) {
   try {
-    if (!PERSONAL_WA_TO) return;
+    if (!tenant.personalWaTo) return;
 
-    const myTo = String(PERSONAL_WA_TO).replace(/[^\d]/g, "");
+    const myTo = String(tenant.personalWaTo).replace(/[^\d]/g, "");
     if (!myTo) return;
 
     const patientPhone = String(booking?.phone || "").replace(/[^\d]/g, "");
     if (patientPhone && myTo === patientPhone) return;
 
-    const prettyService = SERVICES.find((s) => s.key === booking.service)?.title || booking.service;
+    const prettyService = serviceTitle(tenant, booking.service);
 
     const summary =
       `📌 *Nueva cita agendada*\n\n` +
-      `🏥 Clínica: *${CLINIC_NAME}*\n` +
+      `🏥 Clínica: *${tenant.name}*\n` +
       `🦷 Servicio: *${prettyService}*\n` +
+      dentistLine(booking.provider_name, true) +
       `👤 Paciente: *${booking.patient_name}*\n` +
       `📞 Tel: *${patientPhone || "—"}*\n` +
-      `📅 Fecha: *${formatDateInTZ(booking.start, CLINIC_TIMEZONE)}*\n` +
-      `⏰ Hora: *${formatTimeInTZ(booking.start, CLINIC_TIMEZONE)}*\n` +
-      `📍 Dirección: ${CLINIC_ADDRESS || "—"}\n` +
+      `📅 Fecha: *${formatDateInTZ(booking.start, tenant.timezone)}*\n` +
+      `⏰ Hora: *${formatTimeInTZ(booking.start, tenant.timezone)}*\n` +
+      `📍 Dirección: ${tenant.address || "—"}\n` +
       `🆔 ID: ${booking.appointment_id || "—"}`;
 
-    await sendWhatsAppText(myTo, summary, "BOT");
+    await sendWhatsAppText(tenant, myTo, summary, "BOT");
   } catch (e) {
     console.error("notifyPersonalWhatsAppBookingSummary error:", e?.response?.data || e?.message || e);
   }
 }
 
-async function sendServicesList(to) {
-  const url = `https://graph.facebook.com/v20.0/${PHONE_NUMBER_ID}/messages`;
+// lista interactiva genérica (máx. 10 filas en total; title <= 24, description <= 72)
+async function sendWhatsAppList(tenant, to, { header, body, footer, button, sectionTitle, rows }, rendered, reportSource = "BOT") {
+  const url = `https://graph.facebook.com/v20.0/${tenant.phoneNumberId}/messages`;
 
-  const rows = SERVICES.map((s) => ({ id: s.id, title: s.title, description: "" }));
-
-  await axios.post(
+  const resp = await axios.post(
     url,
     {
       messaging_product: "whatsapp",
@@ -809,1548 +1690,6443 @@ async function sendServicesList(to) {
       type: "interactive",
       interactive: {
         type: "list",
-        header: { type: "text", text: "Nuestros servicios" },
-        body: { text: "Selecciona un servicio para agendar tu cita 👇\n(O si prefieres, escríbelo)" },
-        footer: { text: CLINIC_NAME },
-        action: { button: "Ver servicios", sections: [{ title: "Servicios", rows }] },
+        header: header ? { type: "text", text: header } : undefined,
+        body: { text: body },
+        footer: footer ? { text: footer } : undefined,
+        action: { button, sections: [{ title: sectionTitle, rows }] },
       },
     },
-    { headers: { Authorization: `Bearer ${WA_TOKEN}` } }
+    { headers: { Authorization: `Bearer ${tenant.waToken}` } }
   );
 
-  const rendered =
-    `*Nuestros servicios*\nSelecciona un servicio para agendar tu cita 👇\n(O si prefieres, escríbelo)\n\n` +
-    rows.map((r) => `• [${r.id}] ${r.title}`).join("\n");
+  const waMessageId = await recordOutboundMessage(tenant, resp, { to, kind: "LIST", body: rendered, source: reportSource });
 
-  await bothubReportMessage({
+  await bothubReportMessage(tenant, {
     direction: "OUTBOUND",
     to: String(to),
     body: rendered,
-    source: "BOT",
+    source: reportSource,
     kind: "LIST",
     meta: { rows },
+    waMessageId,
   });
-}
 
-function servicesEmojiText() {
-  return (
-    `👋 ¡Hola! Soy el asistente de *${CLINIC_NAME}*.\n\n` +
-    `Elige una opción:\n\n` +
-    `A) Escríbeme el servicio que deseas:\n` +
-    `✨ Estética dental\n` +
-    `🦷 Ortodoncia\n` +
-    `🔩 Implantes\n` +
-    `🆘 Urgencias\n` +
-    `🧼 Limpiezas y prevención\n` +
-    `👶 Odontopediatría\n\n` +
-    `B) O toca el botón *“Ver servicios”* para elegir en el menú 👇`
-  );
+  return waMessageId;
 }
 
-// =========================
-// Google Calendar Auth (Service Account)
-// =========================
-function getCalendarClient() {
-  const json = safeJson(process.env.GOOGLE_SERVICE_ACCOUNT_JSON, null);
-  if (!json?.client_email || !json?.private_key) {
-    throw new Error("Missing GOOGLE_SERVICE_ACCOUNT_JSON");
-  }
+async function sendServicesList(tenant, to) {
+  const rows = tenant.services.map((s) => ({ id: s.id, title: s.title, description: "" }));
 
-  const auth = new google.auth.JWT({
-    email: json.client_email,
-    key: json.private_key,
-    scopes: ["https://www.googleapis.com/auth/calendar"],
-  });
+  const rendered =
+    `*Nuestros servicios*\nSelecciona un servicio para agendar tu cita 👇\n(O si prefieres, escríbelo)\n\n` +
+    rows.map((r) => `• [${r.id}] ${r.title}`).join("\n");
 
-  return google.calendar({ version: "v3", auth });
+  await sendWhatsAppList(
+    tenant,
+    to,
+    {
+      header: "Nuestros servicios",
+      body: "Selecciona un servicio para agendar tu cita 👇\n(O si prefieres, escríbelo)",
+      footer: tenant.name,
+      button: "Ver servicios",
+      sectionTitle: "Servicios",
+      rows,
+    },
+    rendered
+  );
 }
 
-// =========================
-// ✅ Encontrar cita por teléfono
-// =========================
-async function findUpcomingAppointmentByPhone(phone, windowDays = 120) {
-  try {
-    const phoneDigits = String(phone || "").replace(/[^\d]/g, "");
-    if (!phoneDigits) return null;
-
-    const calendar = getCalendarClient();
-    const now = new Date();
-    const end = addMinutes(now, windowDays * 24 * 60);
-
-    const list = await calendar.events.list({
-      calendarId: GOOGLE_CALENDAR_ID,
-      timeMin: now.toISOString(),
-      timeMax: end.toISOString(),
-      singleEvents: true,
-      orderBy: "startTime",
-      maxResults: 100,
-    });
-
-    const events = list.data.items || [];
-    for (const ev of events) {
-      const priv = ev.extendedProperties?.private || {};
-      if (priv.status === "cancelled") continue;
-
-      const wa = String(priv.wa_phone || "").replace(/[^\d]/g, "");
-      if (!wa || wa !== phoneDigits) continue;
+// ✅ botones de respuesta (máx. 3, title <= 20): el id llega tal cual en button_reply
+async function sendWhatsAppButtons(tenant, to, body, buttons, reportSource = "BOT", opts = {}) {
+  const phoneNumberId = opts.phoneNumberId || tenant.phoneNumberId;
+  const url = `https://graph.facebook.com/v20.0/${phoneNumberId}/messages`;
 
-      const start = ev.start?.dateTime;
-      const endDT = ev.end?.dateTime;
-      if (!start || !endDT) continue;
-
-      const service = String(priv.service || "").trim() || inferServiceFromSummary(ev.summary || "");
-      const patient_name = String(priv.patient_name || "").trim() || "";
+  const resp = await axios.post(
+    url,
+    {
+      messaging_product: "whatsapp",
+      to,
+      type: "interactive",
+      interactive: {
+        type: "button",
+        body: { text: body },
+        action: {
+          buttons: buttons.slice(0, 3).map((b) => ({ type: "reply", reply: { id: b.id, title: b.title } })),
+        },
+      },
+    },
+    { headers: { Authorization: `Bearer ${tenant.waToken}` } }
+  );
 
-      return {
-        appointment_id: ev.id,
-        start,
-        end: endDT,
-        service: service || "limpieza_prevencion",
-        patient_name,
-        phone: phoneDigits,
-      };
-    }
+  const rendered = `${body}\n\n${buttons.map((b) => `[${b.title}]`).join(" ")}`;
+  const waMessageId = await recordOutboundMessage(tenant, resp, { to, kind: "BUTTONS", body: rendered, source: reportSource });
 
-    return null;
-  } catch (e) {
-    console.error("findUpcomingAppointmentByPhone error:", e?.response?.data || e?.message || e);
-    return null;
-  }
-}
+  await bothubReportMessage(tenant, {
+    direction: "OUTBOUND",
+    to: String(to),
+    body: rendered,
+    source: reportSource,
+    kind: "BUTTONS",
+    meta: { buttons },
+    waMessageId,
+  });
 
-function inferServiceFromSummary(summary) {
-  const s = normalizeText(summary || "");
-  if (s.includes("ortodon")) return "ortodoncia";
-  if (s.includes("implan")) return "implantes";
-  if (s.includes("urgenc")) return "urgencias";
-  if (s.includes("limp") || s.includes("prevenc")) return "limpieza_prevencion";
-  if (s.includes("pedi")) return "odontopediatria";
-  if (s.includes("estet") || s.includes("estetic")) return "estetica_dental";
-  return "";
+  return waMessageId;
 }
 
 // =========================
-// Calendar: FreeBusy => generate slots
+// WhatsApp media (imagen / documento / audio) y ubicación
 // =========================
-async function getBusyRanges(calendar, timeMinISO, timeMaxISO) {
-  const fb = await calendar.freebusy.query({
-    requestBody: {
-      timeMin: timeMinISO,
-      timeMax: timeMaxISO,
-      timeZone: CLINIC_TIMEZONE,
-      items: [{ id: GOOGLE_CALENDAR_ID }],
-    },
+// sube un archivo a Meta y devuelve el media id (para mandarlo por id, sin link público)
+async function uploadWhatsAppMedia(tenant, { buffer, mimeType, filename }) {
+  const form = new FormData();
+  form.append("messaging_product", "whatsapp");
+  form.append("type", mimeType);
+  form.append("file", new Blob([buffer], { type: mimeType }), filename || `file${extFromMimeType(mimeType)}`);
+
+  const resp = await axios.post(`https://graph.facebook.com/v20.0/${tenant.phoneNumberId}/media`, form, {
+    headers: { Authorization: `Bearer ${tenant.waToken}` },
+    timeout: 60000,
   });
-
-  const busy = fb.data.calendars?.[GOOGLE_CALENDAR_ID]?.busy || [];
-  return busy.map((b) => ({ start: new Date(b.start), end: new Date(b.end) }));
-}
-
-function overlaps(aStart, aEnd, bStart, bEnd) {
-  return aStart < bEnd && aEnd > bStart;
+  if (!resp.data?.id) throw new Error("Meta media upload returned no id");
+  return resp.data.id;
 }
 
-function buildCandidateSlotsZoned({ service, fromISO, toISO, durationMin }) {
-  const from = new Date(fromISO);
-  const to = new Date(toISO);
+// media: { id } ya subido a Meta, o { buffer, mimeType, filename } para subirlo
+async function sendWhatsAppMedia(tenant, to, type, media, { caption = "", reportSource = "BOT", baseUrl = "" } = {}) {
+  const mediaId = media.id || (await uploadWhatsAppMedia(tenant, media));
 
-  const fromP = getZonedParts(from, CLINIC_TIMEZONE);
-  const toP = getZonedParts(to, CLINIC_TIMEZONE);
+  const object = { id: mediaId };
+  if (caption && type !== "audio") object.caption = caption;
+  if (type === "document" && media.filename) object.filename = media.filename;
 
-  let curUTC = zonedTimeToUtc(
-    { year: fromP.year, month: fromP.month, day: fromP.day, hour: 0, minute: 0 },
-    CLINIC_TIMEZONE
-  );
-  const endUTC = zonedTimeToUtc(
-    { year: toP.year, month: toP.month, day: toP.day, hour: 23, minute: 59 },
-    CLINIC_TIMEZONE
+  const resp = await axios.post(
+    `https://graph.facebook.com/v20.0/${tenant.phoneNumberId}/messages`,
+    { messaging_product: "whatsapp", to, type, [type]: object },
+    { headers: { Authorization: `Bearer ${tenant.waToken}` } }
   );
 
-  const slots = [];
+  const kind = type.toUpperCase();
+  const body = caption || (media.filename ? `[${kind}] ${media.filename}` : `[${kind}]`);
+  const waMessageId = await recordOutboundMessage(tenant, resp, { to, kind, body, source: reportSource });
 
-  while (curUTC <= endUTC) {
-    const curLocal = getZonedParts(curUTC, CLINIC_TIMEZONE);
+  await bothubReportMessage(tenant, {
+    direction: "OUTBOUND",
+    to: String(to),
+    body,
+    source: reportSource,
+    kind,
+    meta: { mediaId, mimeType: media.mimeType, filename: media.filename, caption: caption || undefined },
+    mediaUrl: buildHubMediaUrl(baseUrl, mediaId, tenant.id) || undefined,
+    waMessageId,
+  });
 
-    const js = new Date(Date.UTC(curLocal.year, curLocal.month - 1, curLocal.day, 12, 0, 0));
-    const isoWeekday = ((js.getUTCDay() + 6) % 7) + 1;
-    const key = weekdayKeyFromISOWeekday(isoWeekday);
-    const wh = WORK_HOURS[key];
+  return { waMessageId, mediaId };
+}
 
-    if (wh) {
-      const [sh, sm] = wh.start.split(":").map((n) => parseInt(n, 10));
-      const [eh, em] = wh.end.split(":").map((n) => parseInt(n, 10));
+async function sendWhatsAppLocation(tenant, to, { latitude, longitude, name = "", address = "" }, reportSource = "BOT") {
+  const location = { latitude, longitude, name: name || undefined, address: address || undefined };
+  const resp = await axios.post(
+    `https://graph.facebook.com/v20.0/${tenant.phoneNumberId}/messages`,
+    { messaging_product: "whatsapp", to, type: "location", location },
+    { headers: { Authorization: `Bearer ${tenant.waToken}` } }
+  );
 
-      let cursorMin = sh * 60 + sm;
-      const endMin = eh * 60 + em;
+  const body = `📍 ${[name, address].filter(Boolean).join(" - ") || `${latitude}, ${longitude}`}`;
+  const waMessageId = await recordOutboundMessage(tenant, resp, { to, kind: "LOCATION", body, source: reportSource });
 
-      cursorMin = Math.ceil(cursorMin / SLOT_STEP_MIN) * SLOT_STEP_MIN;
+  await bothubReportMessage(tenant, {
+    direction: "OUTBOUND",
+    to: String(to),
+    body,
+    source: reportSource,
+    kind: "LOCATION",
+    meta: location,
+    waMessageId,
+  });
 
-      while (cursorMin + durationMin <= endMin) {
-        const h = Math.floor(cursorMin / 60);
-        const m = cursorMin % 60;
+  return waMessageId;
+}
 
-        const slotStartUTC = zonedTimeToUtc(
-          { year: curLocal.year, month: curLocal.month, day: curLocal.day, hour: h, minute: m },
-          CLINIC_TIMEZONE
-        );
-        const slotEndUTC = new Date(slotStartUTC.getTime() + durationMin * 60000);
+// Confirmar / Reprogramar / Cancelar de una cita concreta
+function appointmentButtons(appointmentId, { confirm = true } = {}) {
+  const buttons = [
+    { id: `appt_confirm:${appointmentId}`, title: "Confirmar" },
+    { id: `appt_reschedule:${appointmentId}`, title: "Reprogramar" },
+    { id: `appt_cancel:${appointmentId}`, title: "Cancelar" },
+  ];
+  return confirm ? buttons : buttons.slice(1);
+}
 
-        if (slotStartUTC >= from && slotEndUTC <= to) {
-          slots.push({
-            slot_id: "slot_" + slotStartUTC.getTime(),
-            service: service || "limpieza_prevencion",
-            start: slotStartUTC.toISOString(),
-            end: slotEndUTC.toISOString(),
-          });
-        }
+// =========================
+// Registro de salientes + statuses (sent / delivered / read / failed)
+// =========================
+function outboundRecordKey(tenant, waMessageId) {
+  return `${REDIS_PREFIX}out:${tenant.id}:${waMessageId}`;
+}
 
-        cursorMin += SLOT_STEP_MIN;
-      }
-    }
+// guarda el wamid que devuelve Meta; los statuses del webhook llegan con ese id
+async function recordOutboundMessage(tenant, resp, { to, kind, body, source }) {
+  const waMessageId = resp?.data?.messages?.[0]?.id;
+  if (!waMessageId) return undefined;
 
-    const nextDayUTC = zonedTimeToUtc(
-      { year: curLocal.year, month: curLocal.month, day: curLocal.day, hour: 0, minute: 0 },
-      CLINIC_TIMEZONE
+  try {
+    await kvSetJson(
+      outboundRecordKey(tenant, waMessageId),
+      {
+        waMessageId,
+        to: String(to),
+        kind,
+        source,
+        body: String(body || "").slice(0, 500),
+        sentAt: new Date().toISOString(),
+        status: "accepted",
+        statuses: [],
+      },
+      OUTBOUND_RECORD_TTL_SEC
     );
-    curUTC = new Date(nextDayUTC.getTime() + 24 * 60 * 60000);
+  } catch (e) {
+    console.error("recordOutboundMessage error:", e?.message || e);
   }
 
-  return slots;
+  return waMessageId;
 }
 
-// ✅ FIX: devolvemos más slots (ej 80) y además filtramos por “mínimo 1h antes”
-async function getAvailableSlotsTool({ service, from, to }) {
-  const calendar = getCalendarClient();
-
-  const durationMin = SERVICE_DURATION[service] || SERVICE_DURATION["otro"] || 30;
-  const busyRanges = await getBusyRanges(calendar, from, to);
-  const candidates = buildCandidateSlotsZoned({ service, fromISO: from, toISO: to, durationMin });
+async function handleMessageStatus(tenant, st) {
+  const waMessageId = st?.id;
+  if (!waMessageId || !st?.status) return;
 
-  const nowPlusLead = getNowPlusLeadUTC();
+  try {
+    const errors = Array.isArray(st.errors)
+      ? st.errors.map((e) => ({ code: e?.code, title: e?.title, message: e?.message || e?.error_data?.details }))
+      : undefined;
+    const at = st.timestamp ? new Date(Number(st.timestamp) * 1000).toISOString() : new Date().toISOString();
+
+    const key = outboundRecordKey(tenant, waMessageId);
+    const record = await kvGetJson(key);
+    if (record) {
+      // "read" puede llegar antes que "delivered": guardamos todos y no retrocedemos el estado final
+      record.statuses = [...(record.statuses || []), { status: st.status, at, errors }].slice(-10);
+      if (statusRank(st.status) >= statusRank(record.status)) record.status = st.status;
+      await kvSetJson(key, record, OUTBOUND_RECORD_TTL_SEC);
+    }
 
-  const free = candidates
-    .filter((c) => {
-      const cs = new Date(c.start);
-      const ce = new Date(c.end);
+    if (st.status === "failed") {
+      console.error("[WA STATUS] failed:", { tenantId: tenant.id, waMessageId, to: st.recipient_id, errors });
+    }
 
-      // ✅ NEW: no permitir slots que empiezan demasiado pronto (ej: ahora 2:30 -> no 3:00)
-      if (cs < nowPlusLead) return false;
+    await bothubReportMessage(tenant, {
+      direction: "STATUS",
+      waMessageId,
+      status: st.status,
+      to: st.recipient_id ? String(st.recipient_id) : record?.to,
+      timestamp: at,
+      errors,
+      conversationId: st.conversation?.id,
+      pricingCategory: st.pricing?.category,
+    });
+  } catch (e) {
+    console.error("handleMessageStatus error:", e?.response?.data || e?.message || e);
+  }
+}
 
-      return !busyRanges.some((b) => overlaps(cs, ce, b.start, b.end));
-    })
-    .sort((a, b) => new Date(a.start).getTime() - new Date(b.start).getTime());
+function statusRank(status) {
+  return { accepted: 0, sent: 1, delivered: 2, read: 3, failed: 4 }[status] ?? 0;
+}
 
-  return free.slice(0, MAX_SLOTS_RETURN);
+function servicesEmojiText(tenant) {
+  const lines = tenant.services.map((s) => `${s.emoji || "•"} ${s.title}`);
+  return (
+    `👋 ¡Hola! Soy el asistente de *${tenant.name}*.\n\n` +
+    `Elige una opción:\n\n` +
+    `A) Escríbeme el servicio que deseas:\n` +
+    `${lines.join("\n")}\n\n` +
+    `B) O toca el botón *“Ver servicios”* para elegir en el menú 👇`
+  );
 }
 
 // =========================
-// Calendar: book / reschedule / cancel
+// Google Calendar Auth (Service Account)
 // =========================
-async function bookAppointmentTool({
-  patient_name,
-  phone,
-  slot_id,
-  service,
-  notes,
-  slot_start,
-  slot_end,
-  wa_id, // ✅ NEW (opcional, no rompe llamadas viejas)
-}) {
-  const calendar = getCalendarClient();
-  if (!slot_start || !slot_end) throw new Error("Missing slot_start/slot_end");
+function getCalendarClient() {
+  const json = safeJson(process.env.GOOGLE_SERVICE_ACCOUNT_JSON, null);
+  if (!json?.client_email || !json?.private_key) {
+    throw new Error("Missing GOOGLE_SERVICE_ACCOUNT_JSON");
+  }
 
-  const event = await calendar.events.insert({
-    calendarId: GOOGLE_CALENDAR_ID,
-    requestBody: {
-      summary: `Cita - ${service} - ${patient_name}`,
-      location: CLINIC_ADDRESS || undefined,
-      description: `Paciente: ${patient_name}\nTel: ${phone}\nServicio: ${service}\nNotas: ${notes || ""}\nSlotId: ${slot_id}`,
-      start: { dateTime: slot_start, timeZone: CLINIC_TIMEZONE },
-      end: { dateTime: slot_end, timeZone: CLINIC_TIMEZONE },
-      extendedProperties: {
-        private: {
-          wa_phone: phone,
-          wa_id: wa_id || "",
-          patient_name,
-          service,
-          slot_id,
-          reminder24hSent: "false",
-          reminder2hSent: "false",
-        },
-      },
-    },
+  const auth = new google.auth.JWT({
+    email: json.client_email,
+    key: json.private_key,
+    scopes: ["https://www.googleapis.com/auth/calendar"],
   });
 
-  return { appointment_id: event.data.id, start: slot_start, end: slot_end, service, patient_name, phone };
+  return google.calendar({ version: "v3", auth });
 }
 
-async function rescheduleAppointmentTool({
-  appointment_id,
-  new_slot_id,
-  new_start,
-  new_end,
-  service,
-  patient_name,
-  phone,
-  wa_id,
-}) {
-  const calendar = getCalendarClient();
-  if (!new_start || !new_end) throw new Error("Missing new_start/new_end");
-
-  const current = await calendar.events.get({ calendarId: GOOGLE_CALENDAR_ID, eventId: appointment_id });
-  const priv = current.data.extendedProperties?.private || {};
-
-  const nextService = String(service || priv.service || "").trim();
-  const nextName = String(patient_name || priv.patient_name || "").trim();
-  const nextPhone = String(phone || priv.wa_phone || "").trim();
-  const nextWaId = String(wa_id || priv.wa_id || "").trim();
+// =========================
+// ✅ Calendario: interfaz común para todos los tools
+// Cada backend expone:
+//   insertEvent(calendarId, requestBody)       -> evento
+//   getEvent(calendarId, eventId)              -> evento (error .code = 404 si no existe)
+//   patchEvent(calendarId, eventId, body)      -> evento
+//   moveEvent(calendarId, eventId, destinationCalendarId) -> evento (mismo id)
+//   listEvents(calendarId, { timeMin, timeMax, maxResults, privateExtendedProperty }) -> eventos por hora de inicio
+//   getBusyRanges(calendarId, timeMin, timeMax, timeZone) -> [{ start: Date, end: Date }]
+// Los eventos tienen la misma forma que Google (start.dateTime, extendedProperties.private...),
+// así free/busy, reservas, cancelaciones y flags de recordatorio se comportan igual en ambos.
+// =========================
+const calendarBackends = new Map();
+
+function getCalendarBackend(tenant) {
+  const kind = tenant?.calendarBackend || CALENDAR_BACKEND;
+  // el local es uno por clínica: dos clínicas con el mismo calendarId (ej: "local") no se mezclan
+  const cacheKey = kind === "local" ? `local:${tenant?.id || "default"}` : kind;
+  if (!calendarBackends.has(cacheKey)) {
+    if (kind === "local") calendarBackends.set(cacheKey, createLocalCalendarBackend(tenant?.id || "default"));
+    else if (kind === "google") calendarBackends.set(cacheKey, createGoogleCalendarBackend());
+    else throw new Error(`Unknown calendar backend: ${kind}`);
+  }
+  return calendarBackends.get(cacheKey);
+}
 
-  const nextPriv = {
-    ...priv,
-    slot_id: new_slot_id,
-    reminder24hSent: "false",
-    reminder2hSent: "false",
+function createGoogleCalendarBackend() {
+  let client = null;
+  const calendar = () => {
+    if (!client) client = getCalendarClient();
+    return client;
   };
 
-  if (nextService) nextPriv.service = nextService;
-  if (nextName) nextPriv.patient_name = nextName;
-  if (nextPhone) nextPriv.wa_phone = nextPhone;
-  if (nextWaId) nextPriv.wa_id = nextWaId;
-
-  const nextSummary =
-    nextService && nextName ? `Cita - ${nextService} - ${nextName}` : current.data.summary || "Cita";
+  return {
+    kind: "google",
 
-  const updated = await calendar.events.patch({
-    calendarId: GOOGLE_CALENDAR_ID,
-    eventId: appointment_id,
-    requestBody: {
-      summary: nextSummary,
-      start: { dateTime: new_start, timeZone: CLINIC_TIMEZONE },
-      end: { dateTime: new_end, timeZone: CLINIC_TIMEZONE },
-      extendedProperties: { private: nextPriv },
+    async insertEvent(calendarId, requestBody) {
+      const res = await calendar().events.insert({ calendarId, requestBody });
+      return res.data;
     },
-  });
 
-  return { ok: true, appointment_id: updated.data.id, new_start, new_end };
-}
+    async getEvent(calendarId, eventId) {
+      const res = await calendar().events.get({ calendarId, eventId });
+      return res.data;
+    },
 
-async function cancelAppointmentTool({ appointment_id, reason }) {
-  const calendar = getCalendarClient();
+    async patchEvent(calendarId, eventId, requestBody) {
+      const res = await calendar().events.patch({ calendarId, eventId, requestBody });
+      return res.data;
+    },
 
-  const event = await calendar.events.get({ calendarId: GOOGLE_CALENDAR_ID, eventId: appointment_id });
+    async moveEvent(calendarId, eventId, destination) {
+      const res = await calendar().events.move({ calendarId, eventId, destination });
+      return res.data;
+    },
 
-  const summary = event.data.summary || "Cita";
-  await calendar.events.patch({
-    calendarId: GOOGLE_CALENDAR_ID,
-    eventId: appointment_id,
-    requestBody: {
-      summary: `CANCELADA - ${summary}`,
-      description: (event.data.description || "") + `\n\nCancelación: ${reason || ""}`,
-      extendedProperties: {
-        private: { ...(event.data.extendedProperties?.private || {}), status: "cancelled" },
-      },
+    async listEvents(calendarId, { timeMin, timeMax, maxResults = 100, privateExtendedProperty } = {}) {
+      const res = await calendar().events.list({
+        calendarId,
+        timeMin,
+        timeMax,
+        singleEvents: true,
+        orderBy: "startTime",
+        maxResults,
+        privateExtendedProperty,
+      });
+      return res.data.items || [];
     },
-  });
 
-  return { ok: true, appointment_id };
+    async getBusyRanges(calendarId, timeMin, timeMax, timeZone) {
+      const fb = await calendar().freebusy.query({
+        requestBody: { timeMin, timeMax, timeZone, items: [{ id: calendarId }] },
+      });
+      const busy = fb.data.calendars?.[calendarId]?.busy || [];
+      return busy.map((b) => ({ start: new Date(b.start), end: new Date(b.end) }));
+    },
+  };
 }
 
-async function handoffToHumanTool({ summary }) {
-  return { ok: true, routed: true, summary };
+// ---- Backend local (clínicas sin Google Workspace / desarrollo offline) ----
+// Con REDIS_URL: un hash por calendario. Sin Redis: un archivo JSON (LOCAL_CALENDAR_FILE).
+function localEventOverlaps(ev, timeMin, timeMax) {
+  const s = new Date(ev.start?.dateTime || 0).getTime();
+  const e = new Date(ev.end?.dateTime || 0).getTime();
+  if (timeMin && e <= new Date(timeMin).getTime()) return false;
+  if (timeMax && s >= new Date(timeMax).getTime()) return false;
+  return true;
 }
 
-// =========================
-// Date parsing
-// =========================
-const DOW = {
-  lunes: 1,
-  martes: 2,
-  miercoles: 3,
-  miércoles: 3,
-  jueves: 4,
-  viernes: 5,
-  sabado: 6,
-  sábado: 6,
-  domingo: 7,
-};
+function matchesPrivateProps(ev, filters) {
+  const list = Array.isArray(filters) ? filters : filters ? [filters] : [];
+  const priv = ev.extendedProperties?.private || {};
+  return list.every((f) => {
+    const idx = String(f).indexOf("=");
+    if (idx < 0) return false;
+    return String(priv[String(f).slice(0, idx)] ?? "") === String(f).slice(idx + 1);
+  });
+}
 
-const MONTHS = {
-  enero: 1,
-  febrero: 2,
-  marzo: 3,
-  abril: 4,
-  mayo: 5,
-  junio: 6,
-  julio: 7,
-  agosto: 8,
-  septiembre: 9,
-  setiembre: 9,
-  octubre: 10,
-  noviembre: 11,
-  diciembre: 12,
-};
+// mismo criterio que Google al hacer patch: los objetos se mezclan, el resto se reemplaza
+function mergePatch(target, patch) {
+  const out = { ...(target || {}) };
+  for (const [k, v] of Object.entries(patch || {})) {
+    if (v === undefined) continue;
+    if (v && typeof v === "object" && !Array.isArray(v) && out[k] && typeof out[k] === "object") {
+      out[k] = mergePatch(out[k], v);
+    } else {
+      out[k] = v;
+    }
+  }
+  return out;
+}
 
-function startOfLocalDayUTC(date, tz) {
-  const p = getZonedParts(date, tz);
-  return zonedTimeToUtc({ year: p.year, month: p.month, day: p.day, hour: 0, minute: 0 }, tz);
+function notFoundError(what) {
+  const err = new Error(`${what} not found`);
+  err.code = 404;
+  return err;
 }
 
-function addLocalDaysUTC(dateUTC, days, tz) {
-  const p = getZonedParts(dateUTC, tz);
-  const base = new Date(Date.UTC(p.year, p.month - 1, p.day, 12, 0, 0));
-  base.setUTCDate(base.getUTCDate() + days);
-  return zonedTimeToUtc(
-    { year: base.getUTCFullYear(), month: base.getUTCMonth() + 1, day: base.getUTCDate(), hour: 0, minute: 0 },
-    tz
-  );
-}
-
-function nextWeekdayFromTodayUTC(targetIsoDow, tz, isNext = false) {
-  const now = new Date();
-  const todayLocal = startOfLocalDayUTC(now, tz);
+// eventos por clínica y calendario: Redis cal:<tenant>:<calendarId> o data[tenant][calendarId] en el archivo
+function createLocalEventStore() {
+  if (redis) {
+    const key = (tenantId, calendarId) => `${REDIS_PREFIX}cal:${tenantId}:${calendarId}`;
+    return {
+      async get(tenantId, calendarId, id) {
+        const raw = await redis.hget(key(tenantId, calendarId), id);
+        return raw ? safeJson(raw, null) : null;
+      },
+      async put(tenantId, calendarId, ev) {
+        await redis.hset(key(tenantId, calendarId), ev.id, JSON.stringify(ev));
+      },
+      async del(tenantId, calendarId, id) {
+        await redis.hdel(key(tenantId, calendarId), id);
+      },
+      async all(tenantId, calendarId) {
+        const map = await redis.hgetall(key(tenantId, calendarId));
+        return Object.values(map || {})
+          .map((raw) => safeJson(raw, null))
+          .filter(Boolean);
+      },
+    };
+  }
 
-  const p = getZonedParts(todayLocal, tz);
-  const mid = zonedTimeToUtc({ year: p.year, month: p.month, day: p.day, hour: 12, minute: 0 }, tz);
-  const js = new Date(mid.toISOString());
-  const isoToday = ((js.getUTCDay() + 6) % 7) + 1;
+  let data = null;
+  let writing = Promise.resolve();
 
-  let diff = targetIsoDow - isoToday;
-  if (diff < 0) diff += 7;
-  if (diff === 0 && isNext) diff = 7;
+  async function load() {
+    if (data) return data;
+    try {
+      data = safeJson(await fs.readFile(LOCAL_CALENDAR_FILE, "utf8"), null);
+    } catch {
+      data = null;
+    }
+    if (!data || typeof data !== "object") data = {};
+    return data;
+  }
 
-  return addLocalDaysUTC(todayLocal, diff, tz);
-}
+  function persist() {
+    // escrituras en serie + rename, para no dejar el archivo a medias
+    writing = writing.then(async () => {
+      try {
+        await fs.mkdir(path.dirname(LOCAL_CALENDAR_FILE), { recursive: true });
+        const tmp = `${LOCAL_CALENDAR_FILE}.tmp`;
+        await fs.writeFile(tmp, JSON.stringify(data, null, 2));
+        await fs.rename(tmp, LOCAL_CALENDAR_FILE);
+      } catch (e) {
+        console.error("local calendar persist error:", e?.message || e);
+      }
+    });
+    return writing;
+  }
 
-function rangeForWholeMonth(year, month) {
-  const from = zonedTimeToUtc({ year, month, day: 1, hour: 0, minute: 0 }, CLINIC_TIMEZONE);
-  const toMonth = month === 12 ? { year: year + 1, month: 1 } : { year, month: month + 1 };
-  const to = zonedTimeToUtc(
-    { year: toMonth.year, month: toMonth.month, day: 1, hour: 0, minute: 0 },
-    CLINIC_TIMEZONE
-  );
-  return { from: from.toISOString(), to: to.toISOString() };
+  return {
+    async get(tenantId, calendarId, id) {
+      const d = await load();
+      return d[tenantId]?.[calendarId]?.[id] || null;
+    },
+    async put(tenantId, calendarId, ev) {
+      const d = await load();
+      if (!d[tenantId]) d[tenantId] = {};
+      if (!d[tenantId][calendarId]) d[tenantId][calendarId] = {};
+      d[tenantId][calendarId][ev.id] = ev;
+      await persist();
+    },
+    async del(tenantId, calendarId, id) {
+      const d = await load();
+      if (d[tenantId]?.[calendarId]) delete d[tenantId][calendarId][id];
+      await persist();
+    },
+    async all(tenantId, calendarId) {
+      const d = await load();
+      return Object.values(d[tenantId]?.[calendarId] || {});
+    },
+  };
 }
 
-function parseDateRangeFromText(userText) {
-  const t = normalizeText(userText);
+// un solo store (un solo archivo) compartido por las clínicas
+let localEventStore = null;
+
+function createLocalCalendarBackend(tenantId) {
+  if (!localEventStore) localEventStore = createLocalEventStore();
+  const shared = localEventStore;
+  const store = {
+    get: (calendarId, id) => shared.get(tenantId, calendarId, id),
+    put: (calendarId, ev) => shared.put(tenantId, calendarId, ev),
+    del: (calendarId, id) => shared.del(tenantId, calendarId, id),
+    all: (calendarId) => shared.all(tenantId, calendarId),
+  };
 
-  if (t.includes("hoy")) {
-    const from = startOfLocalDayUTC(new Date(), CLINIC_TIMEZONE);
-    const to = addLocalDaysUTC(from, 1, CLINIC_TIMEZONE);
-    return { from: from.toISOString(), to: to.toISOString(), label: "hoy" };
-  }
-  if (t.includes("pasado manana") || t.includes("pasado mañana")) {
-    const from = addLocalDaysUTC(startOfLocalDayUTC(new Date(), CLINIC_TIMEZONE), 2, CLINIC_TIMEZONE);
-    const to = addLocalDaysUTC(from, 1, CLINIC_TIMEZONE);
-    return { from: from.toISOString(), to: to.toISOString(), label: "pasado mañana" };
-  }
-  if (t.includes("manana") || t.includes("mañana")) {
-    const from = addLocalDaysUTC(startOfLocalDayUTC(new Date(), CLINIC_TIMEZONE), 1, CLINIC_TIMEZONE);
-    const to = addLocalDaysUTC(from, 1, CLINIC_TIMEZONE);
-    return { from: from.toISOString(), to: to.toISOString(), label: "mañana" };
-  }
+  return {
+    kind: "local",
+
+    async insertEvent(calendarId, requestBody) {
+      const nowISO = new Date().toISOString();
+      const ev = {
+        status: "confirmed",
+        transparency: "opaque",
+        ...requestBody,
+        id: crypto.randomUUID().replace(/-/g, ""),
+        created: nowISO,
+        updated: nowISO,
+      };
+      await store.put(calendarId, ev);
+      return ev;
+    },
 
-  if (t.includes("semana que viene") || t.includes("la semana que viene") || t.includes("siguiente semana")) {
-    const from = addLocalDaysUTC(startOfLocalDayUTC(new Date(), CLINIC_TIMEZONE), 1, CLINIC_TIMEZONE);
-    const to = addLocalDaysUTC(from, 7, CLINIC_TIMEZONE);
-    return { from: from.toISOString(), to: to.toISOString(), label: "la semana que viene" };
-  }
+    async getEvent(calendarId, eventId) {
+      const ev = await store.get(calendarId, eventId);
+      if (!ev) throw notFoundError(`Event ${eventId}`);
+      return ev;
+    },
 
-  for (const [mname, mnum] of Object.entries(MONTHS)) {
-    if (t === mname || t.includes(`en ${mname}`) || t.includes(`para ${mname}`)) {
-      const nowP = getZonedParts(new Date(), CLINIC_TIMEZONE);
-      let year = nowP.year;
-      if (mnum < nowP.month) year += 1;
-      const r = rangeForWholeMonth(year, mnum);
-      return { ...r, label: mname };
-    }
-  }
+    async patchEvent(calendarId, eventId, requestBody) {
+      const current = await store.get(calendarId, eventId);
+      if (!current) throw notFoundError(`Event ${eventId}`);
+      const ev = { ...mergePatch(current, requestBody), id: eventId, updated: new Date().toISOString() };
+      await store.put(calendarId, ev);
+      return ev;
+    },
 
-  for (const [name, iso] of Object.entries(DOW)) {
-    if (t.includes(name)) {
-      const isNext =
-        t.includes("proximo") || t.includes("próximo") || t.includes("que viene") || t.includes("siguiente");
-      const fromDay = nextWeekdayFromTodayUTC(iso, CLINIC_TIMEZONE, isNext);
-      const toDay = addLocalDaysUTC(fromDay, 1, CLINIC_TIMEZONE);
-      return { from: fromDay.toISOString(), to: toDay.toISOString(), label: name };
-    }
-  }
+    async moveEvent(calendarId, eventId, destination) {
+      const current = await store.get(calendarId, eventId);
+      if (!current) throw notFoundError(`Event ${eventId}`);
+      if (destination === calendarId) return current;
+      const ev = { ...current, updated: new Date().toISOString() };
+      await store.put(destination, ev);
+      await store.del(calendarId, eventId);
+      return ev;
+    },
 
-  const m1 = t.match(/(\d{1,2})\s+de\s+([a-záéíóú]+)(\s+de\s+(\d{4}))?/);
-  if (m1) {
-    const day = parseInt(m1[1], 10);
-    const monthName = normalizeText(m1[2]);
-    const month = MONTHS[monthName];
-    if (month) {
-      const now = new Date();
-      const nowP = getZonedParts(now, CLINIC_TIMEZONE);
-      let year = m1[4] ? parseInt(m1[4], 10) : nowP.year;
+    async listEvents(calendarId, { timeMin, timeMax, maxResults = 100, privateExtendedProperty } = {}) {
+      const events = await store.all(calendarId);
+      return events
+        .filter((ev) => ev.status !== "cancelled")
+        .filter((ev) => localEventOverlaps(ev, timeMin, timeMax))
+        .filter((ev) => matchesPrivateProps(ev, privateExtendedProperty))
+        .sort((a, b) => new Date(a.start.dateTime).getTime() - new Date(b.start.dateTime).getTime())
+        .slice(0, maxResults);
+    },
 
-      if (!m1[4]) {
-        const candidateUTC = zonedTimeToUtc({ year, month, day, hour: 0, minute: 0 }, CLINIC_TIMEZONE);
-        if (candidateUTC < startOfLocalDayUTC(now, CLINIC_TIMEZONE)) year += 1;
+    // igual que freebusy de Google: eventos opacos no eliminados, recortados al rango y unidos
+    async getBusyRanges(calendarId, timeMin, timeMax) {
+      const min = new Date(timeMin).getTime();
+      const max = new Date(timeMax).getTime();
+      const events = await store.all(calendarId);
+
+      const ranges = events
+        .filter((ev) => ev.status !== "cancelled" && ev.transparency !== "transparent")
+        .filter((ev) => localEventOverlaps(ev, timeMin, timeMax))
+        .map((ev) => ({
+          start: Math.max(min, new Date(ev.start.dateTime).getTime()),
+          end: Math.min(max, new Date(ev.end.dateTime).getTime()),
+        }))
+        .sort((a, b) => a.start - b.start);
+
+      const merged = [];
+      for (const r of ranges) {
+        const last = merged[merged.length - 1];
+        if (last && r.start <= last.end) last.end = Math.max(last.end, r.end);
+        else merged.push({ ...r });
       }
 
-      const from = zonedTimeToUtc({ year, month, day, hour: 0, minute: 0 }, CLINIC_TIMEZONE);
-      const to = addLocalDaysUTC(from, 1, CLINIC_TIMEZONE);
-      return { from: from.toISOString(), to: to.toISOString(), label: `${day} de ${monthName}` };
-    }
-  }
-
-  return null;
+      return merged.map((r) => ({ start: new Date(r.start), end: new Date(r.end) }));
+    },
+  };
 }
 
 // =========================
-// Slot formatting (LISTADO SIMPLE 8..5 SOLO DISPONIBLES)
+// ✅ Encontrar cita por teléfono
 // =========================
-function buildHourlyDisplaySlotsAvailableOnly(allFreeSlots) {
-  const out = [];
-  for (let h = HOURLY_LIST_START; h <= HOURLY_LIST_END; h++) {
-    const match = allFreeSlots.find((s) => {
-      const parts = getZonedParts(new Date(s.start), CLINIC_TIMEZONE);
-      return parts.hour === h && parts.minute === 0;
-    });
-    if (match) out.push(match);
+// el id de evento es único por calendario: si no sabemos en cuál está (citas viejas, IA), probamos todos
+async function locateAppointment(tenant, appointment_id, provider_id = "") {
+  const backend = getCalendarBackend(tenant);
+  const provider = findProvider(tenant, provider_id);
+  const calendars = tenantCalendarIds(tenant);
+  if (provider) calendars.sort((a, b) => (a === provider.calendarId ? -1 : b === provider.calendarId ? 1 : 0));
+  // las canceladas pueden estar en el calendario de archivo
+  const archive = tenant.cancellationPolicy.archiveCalendarId;
+  if (archive && !calendars.includes(archive)) calendars.push(archive);
+
+  let lastErr = null;
+  for (const calendarId of calendars) {
+    try {
+      const event = await backend.getEvent(calendarId, appointment_id);
+      return { calendarId, event };
+    } catch (e) {
+      lastErr = e;
+    }
   }
-  return out;
+
+  throw lastErr || notFoundError(`Appointment ${appointment_id}`);
 }
 
-function formatSlotsList(serviceKey, slots, session) {
-  if (!slots?.length) return null;
-  const dateLabel = formatDateInTZ(slots[0].start, CLINIC_TIMEZONE);
-  const prettyService = SERVICES.find((s) => s.key === serviceKey)?.title || serviceKey;
+function appointmentFromEvent(tenant, ev, phoneDigits = "") {
+  const priv = ev.extendedProperties?.private || {};
+  const service = String(priv.service || "").trim() || inferServiceFromSummary(ev.summary || "");
+
+  return {
+    appointment_id: ev.id,
+    start: ev.start?.dateTime,
+    end: ev.end?.dateTime,
+    service: service || "limpieza_prevencion",
+    patient_name: String(priv.patient_name || "").trim() || "",
+    phone: phoneDigits || String(priv.wa_phone || "").replace(/[^\d]/g, ""),
+    provider_id: String(priv.provider_id || "").trim(),
+    provider_name: String(priv.provider_name || "").trim(),
+    dependent_id: String(priv.dependent_id || "").trim(),
+    relationship: String(priv.relationship || "").trim(),
+    guardian_name: String(priv.guardian_name || "").trim(),
+    confirmation: priv.confirmation || "pending",
+  };
+}
 
-  if (HOURLY_LIST_MODE) {
-    const displaySlots = buildHourlyDisplaySlotsAvailableOnly(slots);
-    if (session) session.lastDisplaySlots = displaySlots;
+// la cita es del paciente si la agendó desde ese WhatsApp o con ese número (también las de sus dependientes)
+function isPatientAppointment(priv, waId) {
+  const waDigits = String(waId || "").replace(/[^\d]/g, "");
+  if (!waDigits) return false;
+  const phoneDigits = String(priv.wa_phone || "").replace(/[^\d]/g, "");
+  return String(priv.wa_id || "") === waDigits || (!!phoneDigits && toE164DigitsRD(phoneDigits) === toE164DigitsRD(waDigits));
+}
 
-    if (!displaySlots.length) {
-      return (
-        `No veo horarios disponibles entre *8:00 am* y *5:00 pm* para *${prettyService}* el *${dateLabel}* 🙏\n` +
-        `Dime otro día (ej: "viernes") o intenta otro rango.`
-      );
-    }
+// cita por id, solo si es de este paciente (los ids llegan desde botones) y sigue activa
+async function findAppointmentForPatient(tenant, appointment_id, waId) {
+  try {
+    const { event } = await locateAppointment(tenant, appointment_id);
+    const priv = event.extendedProperties?.private || {};
+    if (priv.status === "cancelled" || !event.start?.dateTime) return null;
 
-    const lines = displaySlots.map((s, i) => {
-      const a = formatTimeInTZ(s.start, CLINIC_TIMEZONE);
-      const b = formatTimeInTZ(s.end, CLINIC_TIMEZONE);
-      return `${i + 1}. ${a} - ${b}`;
-    });
+    if (!isPatientAppointment(priv, waId)) return null;
 
-    return (
-      `Estos son los horarios disponibles para *${prettyService}* el *${dateLabel}*:\n\n` +
-      `${lines.join("\n")}\n\n` +
-      `Responde con el *número* (1,2,3...) o escribe la *hora* (ej: 10:00 am / 3:00 pm).`
-    );
+    return appointmentFromEvent(tenant, event);
+  } catch (e) {
+    if (e?.code !== 404) console.error("findAppointmentForPatient error:", e?.response?.data || e?.message || e);
+    return null;
   }
+}
 
-  const view = slots.slice(0, Math.max(1, DISPLAY_SLOTS_LIMIT));
-  const lines = view.map((s, i) => {
-    const a = formatTimeInTZ(s.start, CLINIC_TIMEZONE);
-    const b = formatTimeInTZ(s.end, CLINIC_TIMEZONE);
-    return `${i + 1}. ${a} - ${b}`;
-  });
+// todas las citas próximas del paciente (por wa_id o por teléfono), incluidas las de sus dependientes
+async function findUpcomingAppointmentsForPatient(tenant, waId, windowDays = 120) {
+  try {
+    const waDigits = String(waId || "").replace(/[^\d]/g, "");
+    if (!waDigits) return [];
 
-  return (
-    `Estos son los horarios disponibles para *${prettyService}* el *${dateLabel}*:\n\n` +
-    `${lines.join("\n")}\n\n` +
-    `Responde con el *número* (1,2,3...) o escribe la *hora* (ej: 10:00 am / 3:00 pm).`
-  );
-}
+    const now = new Date();
+    const end = addMinutes(now, windowDays * 24 * 60);
+    const inWindow = (ev) => ev.start?.dateTime && ev.end?.dateTime && new Date(ev.start.dateTime) > now && new Date(ev.start.dateTime) <= end;
 
-// ✅ FIX: parsear hora del usuario con AM/PM robusto (pero NO interpretar "1" / "10" como hora)
-function parseUserTimeTo24h(userText) {
-  const raw = String(userText || "").trim().toLowerCase();
-  if (!raw) return null;
+    const indexed = await appointmentEventsFromIndex(tenant, waDigits);
+    const events = indexed || (await appointmentEventsByProperty(tenant, waDigits, now, end));
 
-  let compact = raw.replace(/\./g, "").replace(/\s+/g, " ").trim();
-  compact = compact.replace(/\b([ap])\s*m\b/g, "$1m");
+    const found = [];
+    for (const ev of events) {
+      const priv = ev.extendedProperties?.private || {};
+      if (priv.status === "cancelled" || priv.kind === "block") continue;
+      if (!isPatientAppointment(priv, waDigits) || !inWindow(ev)) continue;
+      found.push(appointmentFromEvent(tenant, ev));
+    }
 
-  if (/^\d{1,2}$/.test(compact)) return null;
+    found.sort((a, b) => new Date(a.start).getTime() - new Date(b.start).getTime());
+    return found;
+  } catch (e) {
+    console.error("findUpcomingAppointmentsForPatient error:", e?.response?.data || e?.message || e);
+    return [];
+  }
+}
 
-  const m = compact.match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/i);
-  if (!m) return null;
+// =========================
+// ✅ Índice teléfono / wa_id -> citas
+// =========================
+// Un hash por número (E.164 sin +): appointment_id -> { start, provider_id }. Lo mantienen los tools
+// de reservar / reprogramar / cancelar y se reconstruye desde el calendario (al arrancar o por
+// POST /admin/appointments/reindex). Solo se confía en él si la marca "built" existe; las entradas
+// viejas (canceladas, pasadas, borradas a mano en el calendario) se limpian al leerlas.
+function appointmentIndexKey(tenant, phoneDigits) {
+  return `${REDIS_PREFIX}appt_idx:${tenant.id}:${phoneDigits}`;
+}
 
-  let hh = parseInt(m[1], 10);
-  const mm = m[2] ? parseInt(m[2], 10) : 0;
-  const mer = m[3] ? String(m[3]).toLowerCase() : "";
+function appointmentIndexBuiltKey(tenant) {
+  return `${REDIS_PREFIX}appt_idx_built:${tenant.id}`;
+}
 
-  if (Number.isNaN(hh) || Number.isNaN(mm)) return null;
-  if (mm < 0 || mm > 59) return null;
+// wa_id y teléfono escrito por el paciente: los dos llevan a la cita
+function appointmentIndexPhones(priv) {
+  const phones = [priv?.wa_id, priv?.wa_phone].map((p) => toE164DigitsRD(p)).filter(Boolean);
+  return [...new Set(phones)];
+}
 
-  if (mer === "am" || mer === "pm") {
-    if (hh < 1 || hh > 12) return null;
-    if (mer === "pm" && hh !== 12) hh += 12;
-    if (mer === "am" && hh === 12) hh = 0;
-  } else {
-    if (hh < 0 || hh > 23) return null;
+async function indexAppointment(tenant, ev) {
+  if (!APPT_INDEX_ENABLED || !ev?.id) return;
+  const priv = ev.extendedProperties?.private || {};
+  if (priv.status === "cancelled" || priv.kind === "block") return unindexAppointment(tenant, priv, ev.id);
+
+  try {
+    for (const phone of appointmentIndexPhones(priv)) {
+      await kvHashSet(appointmentIndexKey(tenant, phone), ev.id, { start: ev.start?.dateTime || "", provider_id: priv.provider_id || "" });
+    }
+  } catch (e) {
+    // el índice es un atajo: si falla, las búsquedas lo validan y el rebuild lo repara
+    console.error("indexAppointment error:", e?.message || e);
   }
+}
 
-  return { hh, mm, meridian: mer || null };
+async function unindexAppointment(tenant, priv, appointmentId) {
+  if (!APPT_INDEX_ENABLED || !appointmentId) return;
+  try {
+    for (const phone of appointmentIndexPhones(priv)) {
+      await kvHashDel(appointmentIndexKey(tenant, phone), appointmentId);
+    }
+  } catch (e) {
+    console.error("unindexAppointment error:", e?.message || e);
+  }
 }
 
-function tryPickSlotFromUserText(session, userText) {
-  const t = normalizeText(userText);
+// eventos del paciente según el índice; null = no hay índice confiable (usar el calendario)
+async function appointmentEventsFromIndex(tenant, waDigits) {
+  if (!APPT_INDEX_ENABLED) return null;
+  try {
+    if (!(await kvGetJson(appointmentIndexBuiltKey(tenant)))) return null;
 
-  if (/^\d+$/.test(t)) {
-    const num = parseInt(t, 10);
-    if (!Number.isNaN(num)) {
-      if (HOURLY_LIST_MODE) {
-        if (num >= 1 && num <= (session.lastDisplaySlots?.length || 0)) {
-          return session.lastDisplaySlots[num - 1] || null;
-        }
-        return null;
-      }
+    const key = appointmentIndexKey(tenant, toE164DigitsRD(waDigits));
+    const entries = await kvHashGetAll(key);
+    const now = Date.now();
 
-      if (num >= 1 && num <= Math.min(session.lastSlots.length, DISPLAY_SLOTS_LIMIT)) {
-        return session.lastSlots[num - 1];
+    const events = [];
+    for (const [appointmentId, entry] of Object.entries(entries)) {
+      if (entry.start && new Date(entry.start).getTime() <= now) {
+        await kvHashDel(key, appointmentId);
+        continue;
+      }
+      try {
+        const { event } = await locateAppointment(tenant, appointmentId, entry.provider_id);
+        const priv = event.extendedProperties?.private || {};
+        if (priv.status === "cancelled" || !isPatientAppointment(priv, waDigits)) {
+          await kvHashDel(key, appointmentId);
+          continue;
+        }
+        events.push(event);
+      } catch (e) {
+        if (!isNotFound(e)) throw e;
+        await kvHashDel(key, appointmentId);
       }
     }
+    return events;
+  } catch (e) {
+    console.error("appointment index lookup error:", e?.response?.data || e?.message || e);
+    return null;
   }
+}
 
-  const parsed = parseUserTimeTo24h(userText);
-  if (parsed) {
-    const { hh, mm } = parsed;
-
-    if (HOURLY_LIST_MODE) {
-      if (mm !== 0) return null;
-      if (hh < HOURLY_LIST_START || hh > HOURLY_LIST_END) return null;
-
-      const found = session.lastSlots.find((s) => {
-        const parts = getZonedParts(new Date(s.start), CLINIC_TIMEZONE);
-        return parts.hour === hh && parts.minute === 0;
+// respaldo: filtro del lado del calendario por propiedad privada (wa_id y las formas del teléfono)
+async function appointmentEventsByProperty(tenant, waDigits, timeMin, timeMax) {
+  const backend = getCalendarBackend(tenant);
+  const e164 = toE164DigitsRD(waDigits);
+  const national = e164.length === 11 && e164.startsWith("1") ? e164.slice(1) : "";
+  const filters = [`wa_id=${waDigits}`, `wa_phone=${e164}`, national && `wa_phone=${national}`].filter(Boolean);
+
+  const byId = new Map();
+  for (const calendarId of tenantCalendarIds(tenant)) {
+    for (const filter of filters) {
+      const events = await backend.listEvents(calendarId, {
+        timeMin: timeMin.toISOString(),
+        timeMax: timeMax.toISOString(),
+        maxResults: 250,
+        privateExtendedProperty: [filter],
       });
-      if (found) return found;
-      return null;
+      for (const ev of events) byId.set(ev.id, ev);
     }
+  }
+  return [...byId.values()];
+}
 
-    const found = session.lastSlots.find((s) => {
-      const d = new Date(s.start);
-      const parts = getZonedParts(d, CLINIC_TIMEZONE);
-      return parts.hour === hh && parts.minute === mm;
-    });
+// recorre el calendario (desde ayer hasta APPT_INDEX_WINDOW_DAYS) y vuelve a indexar todas las citas
+async function rebuildAppointmentIndex(tenant) {
+  const backend = getCalendarBackend(tenant);
+  const now = new Date();
+  const timeMin = addMinutes(now, -24 * 60).toISOString();
+  const timeMax = addMinutes(now, APPT_INDEX_WINDOW_DAYS * 24 * 60).toISOString();
 
-    if (found) return found;
-    return null;
+  let indexed = 0;
+  for (const calendarId of tenantCalendarIds(tenant)) {
+    const events = await backend.listEvents(calendarId, { timeMin, timeMax, maxResults: 2500 });
+    for (const ev of events) {
+      const priv = ev.extendedProperties?.private || {};
+      if (priv.status === "cancelled" || priv.kind === "block" || !appointmentIndexPhones(priv).length) continue;
+      await indexAppointment(tenant, ev);
+      indexed++;
+    }
   }
 
-  const m = t.match(/^(\d{1,2})(?::(\d{2}))?$/);
-  if (m) {
-    const hh = parseInt(m[1], 10);
-    const mm = m[2] ? parseInt(m[2], 10) : 0;
+  const builtAt = new Date().toISOString();
+  await kvSetJson(appointmentIndexBuiltKey(tenant), { builtAt, indexed });
+  return { tenantId: tenant.id, builtAt, indexed };
+}
 
-    const found = session.lastSlots.find((s) => {
-      const d = new Date(s.start);
-      const parts = getZonedParts(d, CLINIC_TIMEZONE);
-      return parts.hour === hh && parts.minute === mm;
-    });
-    if (found) return found;
-  }
+async function appointmentIndexStatus(tenant) {
+  return (await kvGetJson(appointmentIndexBuiltKey(tenant))) || null;
+}
 
-  return null;
+function inferServiceFromSummary(summary) {
+  const s = normalizeText(summary || "");
+  if (s.includes("ortodon")) return "ortodoncia";
+  if (s.includes("implan")) return "implantes";
+  if (s.includes("urgenc")) return "urgencias";
+  if (s.includes("limp") || s.includes("prevenc")) return "limpieza_prevencion";
+  if (s.includes("pedi")) return "odontopediatria";
+  if (s.includes("estet") || s.includes("estetic")) return "estetica_dental";
+  return "";
 }
 
 // =========================
-// OpenAI: tool calling (kept)
+// Disponibilidad: turnos partidos, feriados y cierres
 // =========================
-async function callOpenAI({ session, userId, userText, userPhone, extraSystem = "" }) {
-  const today = new Date();
-  const tzParts = getZonedParts(today, CLINIC_TIMEZONE);
-  const todayStr = `${tzParts.year}-${String(tzParts.month).padStart(2, "0")}-${String(tzParts.day).padStart(2, "0")}`;
+// WORK_HOURS por día acepta null, {start,end} o una lista de ventanas:
+// "mon": [{"start":"08:00","end":"12:00"},{"start":"14:00","end":"18:00"}]
+function parseHHMM(str) {
+  const m = String(str || "").trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!m) return null;
+  return parseInt(m[1], 10) * 60 + parseInt(m[2], 10);
+}
 
-  const system = {
-    role: "system",
-    content: `
-Eres un asistente de WhatsApp de ${CLINIC_NAME} para agendar citas.
-Reglas:
-- No diagnostiques ni des consejo médico. Solo agenda y triage.
-- Urgencias reales (dolor severo, sangrado fuerte, fiebre, trauma, hinchazón intensa): llama a handoff_to_human.
-- NO inventes horarios. Solo ofrece slots de get_available_slots.
-- Para reservar, debes llamar a book_appointment con slot_start y slot_end EXACTOS del slot elegido.
-- Mantén respuestas cortas, claras y con opciones.
-- Fecha actual (zona ${CLINIC_TIMEZONE}): ${todayStr}. Interpreta "mañana", "viernes", "próximo martes", etc. correctamente.
-- Importante: no ofrezcas horarios que inicien en menos de ${MIN_BOOKING_LEAD_MIN} minutos desde ahora.
-
-Servicios disponibles (usuario puede escribirlos):
-- Estética dental
-- Ortodoncia
-- Implantes
-- Urgencias
-- Limpiezas y prevención
-- Odontopediatría
+function dayWindows(value) {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : [value];
+  return list
+    .map((w) => ({ startMin: parseHHMM(w?.start), endMin: parseHHMM(w?.end) }))
+    .filter((w) => w.startMin !== null && w.endMin !== null && w.endMin > w.startMin)
+    .sort((a, b) => a.startMin - b.startMin);
+}
 
-${extraSystem}
-Tel usuario: ${userPhone}.
-`,
-  };
+// override de fecha: null/false/{closed:true} = cerrado | lista o {windows} = horario especial
+function normalizeDateOverride(value) {
+  if (!value || value.closed) return { windows: [], reason: String(value?.reason || "") };
+  if (Array.isArray(value)) return { windows: dayWindows(value), reason: "" };
+  return { windows: dayWindows(value.windows || value), reason: String(value.reason || "") };
+}
 
-  session.messages.push({ role: "user", content: userText });
-  const messages = [system, ...session.messages].slice(-14);
+function pad2(n) {
+  return String(n).padStart(2, "0");
+}
 
-  const tools = [
-    {
-      type: "function",
-      function: {
-        name: "get_available_slots",
-        description: "Obtiene horarios reales disponibles para un servicio en rango de fechas.",
-        parameters: {
-          type: "object",
-          properties: {
-            service: { type: "string" },
-            from: { type: "string" },
-            to: { type: "string" },
-          },
-          required: ["from", "to"],
-        },
-      },
-    },
-    {
-      type: "function",
-      function: {
-        name: "book_appointment",
-        description: "Reserva una cita en el calendario usando el slot elegido (start/end exactos).",
-        parameters: {
-          type: "object",
-          properties: {
-            patient_name: { type: "string" },
-            phone: { type: "string" },
-            slot_id: { type: "string" },
-            service: { type: "string" },
-            notes: { type: "string" },
-            slot_start: { type: "string" },
-            slot_end: { type: "string" },
-          },
-          required: ["patient_name", "phone", "slot_id", "service", "slot_start", "slot_end"],
-        },
-      },
-    },
-    {
-      type: "function",
-      function: {
-        name: "reschedule_appointment",
-        description: "Reagenda una cita a un nuevo slot (start/end exactos).",
-        parameters: {
-          type: "object",
-          properties: {
-            appointment_id: { type: "string" },
-            new_slot_id: { type: "string" },
-            new_start: { type: "string" },
-            new_end: { type: "string" },
-          },
-          required: ["appointment_id", "new_slot_id", "new_start", "new_end"],
-        },
-      },
-    },
-    {
-      type: "function",
-      function: {
-        name: "cancel_appointment",
-        description: "Cancela una cita por id.",
-        parameters: {
-          type: "object",
-          properties: {
-            appointment_id: { type: "string" },
-            reason: { type: "string" },
-          },
-          required: ["appointment_id"],
-        },
-      },
-    },
-    {
-      type: "function",
-      function: {
-        name: "handoff_to_human",
-        description: "Deriva a humano si urgencia o caso especial.",
-        parameters: {
-          type: "object",
-          properties: { summary: { type: "string" } },
-          required: ["summary"],
-        },
-      },
-    },
-  ];
+function localDateKey({ year, month, day }) {
+  return `${year}-${pad2(month)}-${pad2(day)}`;
+}
 
-  const resp = await axios.post(
-    "https://api.openai.com/v1/chat/completions",
-    {
-      model: "gpt-4.1-mini",
-      messages,
-      tools,
-      tool_choice: "auto",
-      temperature: 0.2,
-    },
-    { headers: { Authorization: `Bearer ${OPENAI_API_KEY}` } }
-  );
+function isoWeekdayOfDate(year, month, day) {
+  const js = new Date(Date.UTC(year, month - 1, day, 12, 0, 0));
+  return ((js.getUTCDay() + 6) % 7) + 1;
+}
 
-  const msg = resp.data.choices?.[0]?.message;
+const WEEKDAY_NAMES_ES = ["", "lunes", "martes", "miércoles", "jueves", "viernes", "sábado", "domingo"];
+
+// domingo de Pascua (algoritmo de Meeus/Jones/Butcher)
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return new Date(Date.UTC(year, month - 1, day, 12, 0, 0));
+}
 
-  if (msg?.tool_calls?.length) {
-    const toolResults = [];
-    for (const tc of msg.tool_calls) {
-      const name = tc.function.name;
-      const args = JSON.parse(tc.function.arguments || "{}");
+function utcNoonToParts(d) {
+  return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate() };
+}
 
-      if (name === "get_available_slots") {
-        const slots = await getAvailableSlotsTool(args);
-        toolResults.push({ tool_call_id: tc.id, role: "tool", name, content: JSON.stringify({ slots }) });
-      }
+// Ley 139-97: si cae martes/miércoles se pasa al lunes anterior, jueves/viernes al lunes siguiente
+function movedToMonday(year, month, day) {
+  const d = new Date(Date.UTC(year, month - 1, day, 12, 0, 0));
+  const shift = { 2: -1, 3: -2, 4: 4, 5: 3 }[isoWeekdayOfDate(year, month, day)] || 0;
+  return utcNoonToParts(new Date(d.getTime() + shift * 24 * 60 * 60000));
+}
 
-      if (name === "book_appointment") {
-        const booked = await bookAppointmentTool(args);
-        toolResults.push({ tool_call_id: tc.id, role: "tool", name, content: JSON.stringify({ booked }) });
-      }
+function dominicanHolidays(year) {
+  const out = {};
+  const add = (parts, name) => {
+    out[localDateKey(parts)] = name;
+  };
 
-      if (name === "reschedule_appointment") {
-        const out = await rescheduleAppointmentTool(args);
-        toolResults.push({ tool_call_id: tc.id, role: "tool", name, content: JSON.stringify(out) });
-      }
+  add({ year, month: 1, day: 1 }, "Año Nuevo");
+  add(movedToMonday(year, 1, 6), "Día de Reyes");
+  add({ year, month: 1, day: 21 }, "Día de la Altagracia");
+  add(movedToMonday(year, 1, 26), "Día de Duarte");
+  add({ year, month: 2, day: 27 }, "Día de la Independencia");
+  add(movedToMonday(year, 5, 1), "Día del Trabajo");
+  // el 16 de agosto no se traslada en años de toma de posesión presidencial
+  add((year - 2024) % 4 === 0 ? { year, month: 8, day: 16 } : movedToMonday(year, 8, 16), "Día de la Restauración");
+  add({ year, month: 9, day: 24 }, "Día de las Mercedes");
+  add(movedToMonday(year, 11, 6), "Día de la Constitución");
+  add({ year, month: 12, day: 25 }, "Navidad");
+
+  const easter = easterSunday(year).getTime();
+  add(utcNoonToParts(new Date(easter - 2 * 24 * 60 * 60000)), "Viernes Santo");
+  add(utcNoonToParts(new Date(easter + 60 * 24 * 60 * 60000)), "Corpus Christi");
 
-      if (name === "cancel_appointment") {
-        const out = await cancelAppointmentTool(args);
-        toolResults.push({ tool_call_id: tc.id, role: "tool", name, content: JSON.stringify(out) });
-      }
+  return out;
+}
 
-      if (name === "handoff_to_human") {
-        const out = await handoffToHumanTool(args);
-        toolResults.push({ tool_call_id: tc.id, role: "tool", name, content: JSON.stringify(out) });
-      }
-    }
+const holidayCache = new Map();
 
-    const resp2 = await axios.post(
-      "https://api.openai.com/v1/chat/completions",
-      { model: "gpt-4.1-mini", messages: [...messages, msg, ...toolResults], temperature: 0.2 },
-      { headers: { Authorization: `Bearer ${OPENAI_API_KEY}` } }
-    );
+function holidaysForYear(tenant, year) {
+  const cacheKey = `${tenant.id}:${year}`;
+  if (holidayCache.has(cacheKey)) return holidayCache.get(cacheKey);
 
-    const finalText = resp2.data.choices?.[0]?.message?.content?.trim() || "";
-    session.messages.push({ role: "assistant", content: finalText });
-    return finalText || "¿En cuál servicio deseas agendar tu cita?";
+  const base = tenant.holidayCalendar === "DO" ? dominicanHolidays(year) : {};
+  const merged = { ...base };
+  for (const [dateKey, name] of Object.entries(tenant.extraHolidays || {})) {
+    if (!dateKey.startsWith(`${year}-`)) continue;
+    // "2026-08-16": null => quitar un feriado automático (ej: cambio por decreto)
+    if (name) merged[dateKey] = String(name);
+    else delete merged[dateKey];
   }
 
-  const text = msg?.content?.trim() || "Hola 👋 ¿Deseas agendar una cita? Escribe el servicio o te muestro el menú.";
-  session.messages.push({ role: "assistant", content: text });
-  return text;
+  holidayCache.set(cacheKey, merged);
+  return merged;
 }
 
-// =========================
-// Webhooks
-// =========================
-app.get("/webhook", (req, res) => {
-  const mode = req.query["hub.mode"];
-  const token = req.query["hub.verify_token"];
-  const challenge = req.query["hub.challenge"];
-  if (mode === "subscribe" && token === VERIFY_TOKEN) return res.status(200).send(challenge);
-  return res.sendStatus(403);
-});
+// ✅ ventanas de trabajo de un día local + por qué está cerrado (si lo está)
+// prioridad: cierre/horario especial del dentista > de la clínica > feriado > horario semanal
+function dayAvailability(tenant, provider, parts) {
+  const dateKey = localDateKey(parts);
 
-function extractIncomingText(msg) {
-  if (!msg) return "";
+  const providerOverride = provider?.dateOverrides?.[dateKey];
+  const clinicOverride = tenant.dateOverrides?.[dateKey];
+  const override = providerOverride !== undefined ? providerOverride : clinicOverride;
 
-  if (msg?.text?.body) return msg.text.body;
+  if (override !== undefined) {
+    const o = normalizeDateOverride(override);
+    if (o.windows.length) return { windows: o.windows, closed: null };
+    return {
+      windows: [],
+      closed: { kind: providerOverride !== undefined ? "provider" : "closure", label: o.reason, dateKey },
+    };
+  }
 
-  if (msg?.type === "interactive" && msg?.interactive?.list_reply) {
-    const lr = msg.interactive.list_reply;
-    return lr.id || lr.title || "";
+  const holiday = holidaysForYear(tenant, parts.year)[dateKey];
+  if (holiday) return { windows: [], closed: { kind: "holiday", label: holiday, dateKey } };
+
+  const isoWeekday = isoWeekdayOfDate(parts.year, parts.month, parts.day);
+  const hours = provider?.workHours || tenant.workHours;
+  const windows = dayWindows(hours[weekdayKeyFromISOWeekday(isoWeekday)]);
+  if (!windows.length) {
+    return { windows: [], closed: { kind: "weekly", label: WEEKDAY_NAMES_ES[isoWeekday], dateKey } };
   }
 
-  if (msg?.type === "interactive" && msg?.interactive?.button_reply) {
-    const br = msg.interactive.button_reply;
-    return br.id || br.title || "";
+  return { windows, closed: null };
+}
+
+// días locales entre from (incl.) y to (excl., los rangos terminan a medianoche)
+function localDaysInRange(fromISO, toISO, tz) {
+  const fromMs = new Date(fromISO).getTime();
+  const fromP = getZonedParts(new Date(fromMs), tz);
+  const toP = getZonedParts(new Date(Math.max(fromMs, new Date(toISO).getTime() - 1)), tz);
+  const last = localDateKey(toP);
+
+  const days = [];
+  let cur = new Date(Date.UTC(fromP.year, fromP.month - 1, fromP.day, 12, 0, 0));
+  while (days.length < 400) {
+    const parts = utcNoonToParts(cur);
+    days.push(parts);
+    if (localDateKey(parts) >= last) break;
+    cur = new Date(cur.getTime() + 24 * 60 * 60000);
   }
+  return days;
+}
 
-  if (msg?.type === "audio" && msg?.audio?.id) return "[AUDIO]";
+function closureReasonText(closed, providerName = "") {
+  const label = closed.label ? ` (${closed.label})` : "";
+  if (closed.kind === "holiday") return `ese día es feriado${label}`;
+  if (closed.kind === "closure") return `ese día la clínica estará cerrada${label}`;
+  if (closed.kind === "provider") {
+    return providerName ? `ese día ${providerName} no atiende${label}` : `ese día no hay dentistas disponibles${label}`;
+  }
+  const plural = closed.label.endsWith("s") ? closed.label : `${closed.label}s`;
+  return `los ${plural} no tenemos consulta`;
+}
 
-  if (msg?.type === "location" && msg?.location) {
-    const { latitude, longitude, name, address } = msg.location;
-    return `📍 Ubicación: ${name || ""} ${address || ""} (${latitude}, ${longitude})`.trim();
+// ✅ por qué no hay horarios en el rango: feriado, cierre o día libre.
+// Devuelve "" si algún día sí abre (o sea, simplemente está lleno).
+function explainNoAvailability(tenant, { service, from, to, provider_id }) {
+  const wanted = provider_id && provider_id !== "any" ? findProvider(tenant, provider_id) : null;
+  const providers = wanted ? [wanted] : providersForService(tenant, service);
+  const days = localDaysInRange(from, to, tenant.timezone);
+
+  const closures = [];
+  for (const parts of days) {
+    const perProvider = providers.map((p) => dayAvailability(tenant, p, parts));
+    if (perProvider.some((a) => a.windows.length)) return "";
+    closures.push(perProvider[0]?.closed);
   }
 
-  if (msg?.type === "image" && msg?.image?.id) return "[IMAGE]";
-  if (msg?.type === "video" && msg?.video?.id) return "[VIDEO]";
-  if (msg?.type === "document" && msg?.document?.id) return "[DOCUMENT]";
-  if (msg?.type === "sticker" && msg?.sticker?.id) return "[STICKER]";
+  const first = closures.find(Boolean);
+  if (!first) return "";
 
-  if (msg?.type === "contacts" && msg?.contacts?.length) return "[CONTACTS]";
-  if (msg?.type === "reaction" && msg?.reaction) return `[REACTION] ${msg.reaction.emoji || ""}`.trim();
+  if (days.length === 1) return closureReasonText(first, wanted && !wanted.implicit ? wanted.name : "");
 
-  return `[${(msg?.type || "UNKNOWN").toUpperCase()}]`;
+  const holidays = closures.filter((c) => c?.kind === "holiday");
+  if (holidays.length === closures.length) {
+    return `esos días son feriado (${[...new Set(holidays.map((c) => c.label))].join(", ")})`;
+  }
+  return "en esas fechas no tenemos consulta";
 }
 
-function detectServiceKeyFromUser(text) {
-  const t = normalizeText(text);
+// =========================
+// Calendar: FreeBusy => generate slots
+// =========================
+function calendarIsShared(tenant, calendarId) {
+  return tenant.providers.filter((p) => p.calendarId === calendarId).length > 1;
+}
 
-  if (SERVICE_ID_TO_KEY[text]) return SERVICE_ID_TO_KEY[text];
+async function getBusyRanges(tenant, provider, timeMinISO, timeMaxISO) {
+  const min = new Date(timeMinISO);
+  const max = new Date(timeMaxISO);
+  const ranges = await cachedCalendarBusy(tenant, provider.calendarId, timeMinISO, timeMaxISO);
 
-  for (const s of SERVICES) {
-    const nt = normalizeText(s.title);
-    if (t === nt) return s.key;
-    if (t.includes(nt)) return s.key;
+  // ✅ calendario compartido entre dentistas: los eventos sin dentista bloquean a todos
+  return ranges
+    .filter((r) => !r.owner || r.owner === provider.id)
+    .filter((r) => overlaps(r.start, r.end, min, max))
+    .map(({ start, end }) => ({ start, end }));
+}
+
+// ocupado del calendario (sin cache). Calendario compartido: freebusy no distingue de quién es cada
+// cita, así que miramos los eventos y guardamos el dentista (owner)
+async function fetchCalendarBusy(tenant, calendarId, timeMinISO, timeMaxISO) {
+  const backend = getCalendarBackend(tenant);
+
+  if (!calendarIsShared(tenant, calendarId)) {
+    return backend.getBusyRanges(calendarId, timeMinISO, timeMaxISO, tenant.timezone);
   }
 
-  if (t.includes("limpieza")) return "limpieza_prevencion";
-  if (t.includes("prevencion")) return "limpieza_prevencion";
-  if (t.includes("orto")) return "ortodoncia";
-  if (t.includes("implante")) return "implantes";
-  if (t.includes("pediatr")) return "odontopediatria";
-  if (t.includes("estetica") || t.includes("estética")) return "estetica_dental";
-  if (t.includes("urgencia")) return "urgencias";
+  const events = await backend.listEvents(calendarId, {
+    timeMin: timeMinISO,
+    timeMax: timeMaxISO,
+    maxResults: 250,
+  });
 
-  return null;
+  return events
+    .filter((ev) => ev.transparency !== "transparent" && !isCancelledEvent(ev) && ev.start?.dateTime && ev.end?.dateTime)
+    .map((ev) => ({
+      start: new Date(ev.start.dateTime),
+      end: new Date(ev.end.dateTime),
+      owner: ev.extendedProperties?.private?.provider_id || "",
+    }));
 }
 
-// =====================================================
-// ✅ endpoint para recibir mensaje del AGENTE desde BotHub
-// =====================================================
-app.post("/agent_message", async (req, res) => {
+// =========================
+// ✅ Cache de free/busy por calendario y día
+// =========================
+// Cada día local (zona de la clínica) de cada calendario vive FREEBUSY_CACHE_TTL_SEC. Reservar,
+// reprogramar, cancelar y bloquear invalidan los días que tocan, así nuestros propios cambios se ven
+// al instante; el TTL solo acota lo que el staff edita directo en el calendario.
+// La invalidación deja una marca (invalidatedAt): una consulta que empezó antes no re-escribe el día viejo.
+// Los aciertos se cuentan en Redis por clínica (suman todas las instancias y sobreviven reinicios).
+function busyCacheStatsKey(tenant) {
+  return `${REDIS_PREFIX}fb:stats:${tenant.id}`;
+}
+
+async function countBusyCache(tenant, counts) {
   try {
-    if (!BOTHUB_WEBHOOK_SECRET) {
-      return res.status(400).json({ error: "BOTHUB_WEBHOOK_SECRET not configured" });
+    const nonZero = Object.fromEntries(Object.entries(counts).filter(([, n]) => n));
+    await kvHashIncrMany(busyCacheStatsKey(tenant), nonZero, { since: new Date().toISOString() });
+  } catch (e) {
+    console.error("busy cache stats error:", e?.message || e);
+  }
+}
+
+function busyCacheKey(tenant, calendarId, dateKey) {
+  return `${REDIS_PREFIX}fb:${tenant.id}:${calendarId}:${dateKey}`;
+}
+
+// días locales que cubre el rango, con sus límites en UTC: [{ dateKey, from, to }]
+function busyCacheDays(tenant, timeMinISO, timeMaxISO) {
+  return localDaysInRange(timeMinISO, timeMaxISO, tenant.timezone).map((parts) => {
+    const from = zonedTimeToUtc({ ...parts, hour: 0, minute: 0 }, tenant.timezone);
+    return { dateKey: localDateKey(parts), from, to: addLocalDaysUTC(from, 1, tenant.timezone) };
+  });
+}
+
+async function cachedCalendarBusy(tenant, calendarId, timeMinISO, timeMaxISO) {
+  if (FREEBUSY_CACHE_TTL_SEC <= 0) return fetchCalendarBusy(tenant, calendarId, timeMinISO, timeMaxISO);
+
+  const days = busyCacheDays(tenant, timeMinISO, timeMaxISO);
+  const ranges = [];
+  const missing = [];
+  let hits = 0;
+
+  for (const day of days) {
+    let cached = null;
+    try {
+      cached = await kvGetJson(busyCacheKey(tenant, calendarId, day.dateKey));
+    } catch (e) {
+      console.error("busy cache read error:", e?.message || e);
+    }
+    if (Array.isArray(cached?.ranges)) {
+      hits++;
+      for (const r of cached.ranges) ranges.push({ start: new Date(r.start), end: new Date(r.end), owner: r.owner || "" });
+    } else {
+      missing.push(day);
     }
+  }
 
-    const signature = getHubSignature(req);
-    const okSig = verifyHubSignature(req.body, signature, BOTHUB_WEBHOOK_SECRET);
+  await countBusyCache(tenant, { hits, misses: missing.length });
+  if (!missing.length) return ranges;
 
-    if (!signature || !okSig) {
-      console.warn("[agent_message] Invalid signature", {
-        hasSignature: Boolean(signature),
-        sigLen: signature ? String(signature).length : 0,
-      });
-      return res.status(401).json({ error: "Invalid signature" });
+  // una sola consulta para todos los días que faltan y se reparte por día
+  const fetchedAt = Date.now();
+  const fetched = await fetchCalendarBusy(
+    tenant,
+    calendarId,
+    missing[0].from.toISOString(),
+    missing[missing.length - 1].to.toISOString()
+  );
+
+  for (const day of missing) {
+    const dayRanges = fetched.filter((r) => overlaps(r.start, r.end, day.from, day.to));
+    ranges.push(...dayRanges);
+
+    try {
+      const key = busyCacheKey(tenant, calendarId, day.dateKey);
+      const current = await kvGetJson(key);
+      if (current?.invalidatedAt && current.invalidatedAt >= fetchedAt) continue;
+      await kvSetJson(
+        key,
+        { fetchedAt, ranges: dayRanges.map((r) => ({ start: r.start.toISOString(), end: r.end.toISOString(), owner: r.owner || "" })) },
+        FREEBUSY_CACHE_TTL_SEC
+      );
+    } catch (e) {
+      console.error("busy cache write error:", e?.message || e);
+    }
+  }
+
+  // un evento que cruza la medianoche queda en dos días
+  const seen = new Set();
+  return ranges.filter((r) => {
+    const id = `${r.start.getTime()}|${r.end.getTime()}|${r.owner || ""}`;
+    if (seen.has(id)) return false;
+    seen.add(id);
+    return true;
+  });
+}
+
+// días que toca [start, end) en ese calendario; se llama después de cada escritura nuestra
+async function invalidateBusyCache(tenant, calendarId, start, end) {
+  if (FREEBUSY_CACHE_TTL_SEC <= 0 || !calendarId || !start) return;
+  const startISO = new Date(start).toISOString();
+  const endISO = new Date(end || start).toISOString();
+
+  let invalidations = 0;
+  for (const day of busyCacheDays(tenant, startISO, endISO)) {
+    try {
+      await kvSetJson(busyCacheKey(tenant, calendarId, day.dateKey), { invalidatedAt: Date.now() }, FREEBUSY_CACHE_TTL_SEC);
+      invalidations++;
+    } catch (e) {
+      console.error("busy cache invalidate error:", e?.message || e);
     }
+  }
+  await countBusyCache(tenant, { invalidations });
+}
+
+async function busyCacheStatsView(tenant, stats = null) {
+  stats = stats || (await kvHashGetAll(busyCacheStatsKey(tenant)));
+  const hits = Number(stats.hits) || 0;
+  const misses = Number(stats.misses) || 0;
+  const lookups = hits + misses;
+  return {
+    tenantId: tenant.id,
+    ttlSec: FREEBUSY_CACHE_TTL_SEC,
+    hits,
+    misses,
+    invalidations: Number(stats.invalidations) || 0,
+    since: stats.since || null,
+    lookups,
+    hitRate: lookups ? Number((hits / lookups).toFixed(4)) : null,
+  };
+}
+
+// devuelve lo que había: lo que se cuente en medio no se pierde ni se mezcla
+async function resetBusyCacheStats(tenant) {
+  const previous = await kvHashTakeAll(busyCacheStatsKey(tenant), { since: new Date().toISOString() });
+  return busyCacheStatsView(tenant, previous);
+}
+
+function overlaps(aStart, aEnd, bStart, bEnd) {
+  return aStart < bEnd && aEnd > bStart;
+}
+
+function buildCandidateSlotsZoned({ tenant, provider, service, fromISO, toISO, durationMin }) {
+  const from = new Date(fromISO);
+  const to = new Date(toISO);
+  const tz = tenant.timezone;
+
+  const slots = [];
+  const seen = new Set();
+
+  for (const day of localDaysInRange(fromISO, toISO, tz)) {
+    // ✅ turnos partidos (ej: almuerzo), feriados y cierres puntuales
+    const { windows } = dayAvailability(tenant, provider, day);
+
+    for (const w of windows) {
+      let cursorMin = Math.ceil(w.startMin / SLOT_STEP_MIN) * SLOT_STEP_MIN;
+
+      while (cursorMin + durationMin <= w.endMin) {
+        const h = Math.floor(cursorMin / 60);
+        const m = cursorMin % 60;
+
+        const slotStartUTC = zonedTimeToUtc(
+          { year: day.year, month: day.month, day: day.day, hour: h, minute: m },
+          tz
+        );
+        const slotEndUTC = new Date(slotStartUTC.getTime() + durationMin * 60000);
+        const slotId = "slot_" + slotStartUTC.getTime();
+
+        if (slotStartUTC >= from && slotEndUTC <= to && !seen.has(slotId)) {
+          seen.add(slotId);
+          slots.push({
+            slot_id: slotId,
+            service: service || "limpieza_prevencion",
+            start: slotStartUTC.toISOString(),
+            end: slotEndUTC.toISOString(),
+          });
+        }
+
+        cursorMin += SLOT_STEP_MIN;
+      }
+    }
+  }
+
+  return slots;
+}
+
+// ✅ FIX: devolvemos más slots (ej 80) y además filtramos por “mínimo 1h antes”
+// ✅ con varios dentistas: cada slot trae provider_ids = quiénes están libres a esa hora
+async function getAvailableSlotsTool(tenant, { service, from, to, provider_id, wa_id }) {
+  const durationMin = tenant.serviceDuration[service] || tenant.serviceDuration["otro"] || 30;
+  const wanted = provider_id && provider_id !== "any" ? findProvider(tenant, provider_id) : null;
+  const providers = wanted ? [wanted] : providersForService(tenant, service);
+
+  const nowPlusLead = getNowPlusLeadUTC();
+  const byStart = new Map();
+
+  for (const provider of providers) {
+    // lo apartado por otros pacientes cuenta como ocupado
+    const busyRanges = [...(await getBusyRanges(tenant, provider, from, to)), ...(await heldRanges(tenant, provider, from, to, wa_id))];
+    const candidates = buildCandidateSlotsZoned({
+      tenant,
+      provider,
+      service,
+      fromISO: from,
+      toISO: to,
+      durationMin,
+    });
+
+    for (const c of candidates) {
+      const cs = new Date(c.start);
+      const ce = new Date(c.end);
+
+      // ✅ NEW: no permitir slots que empiezan demasiado pronto (ej: ahora 2:30 -> no 3:00)
+      if (cs < nowPlusLead) continue;
+      if (busyRanges.some((b) => overlaps(cs, ce, b.start, b.end))) continue;
+
+      const existing = byStart.get(c.slot_id);
+      if (existing) existing.provider_ids.push(provider.id);
+      else byStart.set(c.slot_id, { ...c, provider_ids: [provider.id] });
+    }
+  }
+
+  const free = [...byStart.values()].sort((a, b) => new Date(a.start).getTime() - new Date(b.start).getTime());
+
+  return free.slice(0, MAX_SLOTS_RETURN);
+}
+
+// =========================
+// ✅ Retenciones de horario y doble reserva
+// =========================
+// Al elegir un horario el paciente lo aparta SLOT_HOLD_TTL_SEC mientras da nombre y teléfono: las
+// listas de los demás ya no lo muestran. Justo antes de insertar o mover el evento se verifica de
+// nuevo contra el calendario (sin cache) y las retenciones ajenas, bajo un lock por calendario; si
+// aun así se perdió, el tool falla con SLOT_TAKEN y se ofrecen los horarios más cercanos.
+const SLOT_LOCK_TTL_SEC = 15;
+const SLOT_LOCK_WAIT_MS = 5000;
+
+function slotTakenError(start) {
+  const err = new Error(`Slot ${start || ""} not available`);
+  err.code = "SLOT_TAKEN";
+  err.status = 409;
+  return err;
+}
+
+function isSlotTakenError(e) {
+  return e?.code === "SLOT_TAKEN";
+}
+
+// una retención por paciente, dentista y día local: wa_id -> { start, end, until }
+function slotHoldKey(tenant, providerId, startISO) {
+  return `${REDIS_PREFIX}hold:${tenant.id}:${providerId}:${localDateKey(getZonedParts(new Date(startISO), tenant.timezone))}`;
+}
+
+function slotLockKey(tenant, calendarId) {
+  return `${REDIS_PREFIX}slotlock:${tenant.id}:${calendarId}`;
+}
+
+// verificar + escribir sin que otra reserva se cuele en medio (SET NX con token)
+async function withSlotLock(tenant, calendarId, fn) {
+  const key = slotLockKey(tenant, calendarId);
+  const token = crypto.randomBytes(8).toString("hex");
+  const deadline = Date.now() + SLOT_LOCK_WAIT_MS;
+
+  while (!(await kvSetJsonNX(key, { token }, SLOT_LOCK_TTL_SEC))) {
+    // no se pudo verificar a tiempo: para quien reserva es lo mismo que ocupado (alternativas / 409)
+    if (Date.now() > deadline) throw slotTakenError();
+    await new Promise((r) => setTimeout(r, 150));
+  }
+
+  try {
+    return await fn();
+  } finally {
+    try {
+      if ((await kvGetJson(key))?.token === token) await kvDel(key);
+    } catch (e) {
+      console.error("slot lock release error:", e?.message || e);
+    }
+  }
+}
+
+// retenciones vigentes de ese dentista y día (menos las del propio paciente); limpia las vencidas
+async function activeSlotHolds(tenant, providerId, startISO, exceptWaId = "") {
+  const key = slotHoldKey(tenant, providerId, startISO);
+  const holds = await kvHashGetAll(key);
+  const now = Date.now();
+
+  const out = [];
+  for (const [waId, hold] of Object.entries(holds)) {
+    if (!(new Date(hold.until).getTime() > now)) {
+      await kvHashDel(key, waId);
+      continue;
+    }
+    if (exceptWaId && waId === String(exceptWaId)) continue;
+    out.push({ wa_id: waId, ...hold });
+  }
+  return out;
+}
+
+// (se leen aunque SLOT_HOLD_TTL_SEC sea 0: las ofertas de la lista de espera retienen con su propio TTL)
+async function heldRanges(tenant, provider, timeMinISO, timeMaxISO, exceptWaId = "") {
+  const ranges = [];
+  for (const day of busyCacheDays(tenant, timeMinISO, timeMaxISO)) {
+    for (const h of await activeSlotHolds(tenant, provider.id, day.from.toISOString(), exceptWaId)) {
+      ranges.push({ start: new Date(h.start), end: new Date(h.end) });
+    }
+  }
+  return ranges;
+}
+
+// ¿algo pisa [start, end) para ese dentista? Eventos reales (sin cache) + retenciones ajenas
+async function slotHasConflict(tenant, provider, start, end, { waId = "", ignoreEventId = "" } = {}) {
+  const backend = getCalendarBackend(tenant);
+  const s = new Date(start);
+  const e = new Date(end);
+  const shared = calendarIsShared(tenant, provider.calendarId);
+
+  const events = await backend.listEvents(provider.calendarId, { timeMin: s.toISOString(), timeMax: e.toISOString(), maxResults: 50 });
+  const busy = events.some((ev) => {
+    if (ev.id === ignoreEventId || ev.transparency === "transparent" || isCancelledEvent(ev)) return false;
+    if (!ev.start?.dateTime || !ev.end?.dateTime) return false;
+    const owner = ev.extendedProperties?.private?.provider_id;
+    if (shared && owner && owner !== provider.id) return false;
+    return overlaps(s, e, new Date(ev.start.dateTime), new Date(ev.end.dateTime));
+  });
+  if (busy) return true;
+
+  const holds = await activeSlotHolds(tenant, provider.id, s.toISOString(), waId);
+  return holds.some((h) => overlaps(s, e, new Date(h.start), new Date(h.end)));
+}
+
+// aparta el horario para el paciente; devuelve el dentista retenido o "" si ya lo tomó otro
+// (ttlSec: la oferta de la lista de espera lo aparta por lo que dura la oferta)
+async function holdSlot(tenant, waId, slot, preferredProviderId = "", { ttlSec = SLOT_HOLD_TTL_SEC } = {}) {
+  const ids = slot.provider_ids?.length ? slot.provider_ids : [preferredProviderId || tenant.providers[0]?.id].filter(Boolean);
+  const ordered = ids.includes(preferredProviderId) ? [preferredProviderId, ...ids.filter((id) => id !== preferredProviderId)] : ids;
+
+  for (const id of ordered) {
+    const provider = findProvider(tenant, id);
+    if (!provider) continue;
+
+    const held = await withSlotLock(tenant, provider.calendarId, async () => {
+      if (await slotHasConflict(tenant, provider, slot.start, slot.end, { waId })) return false;
+      if (ttlSec > 0) {
+        await kvHashSet(slotHoldKey(tenant, provider.id, slot.start), String(waId), {
+          start: slot.start,
+          end: slot.end,
+          until: new Date(Date.now() + ttlSec * 1000).toISOString(),
+        });
+      }
+      return true;
+    }).catch((e) => {
+      if (isSlotTakenError(e)) return false; // calendario ocupado por otra reserva: probamos el siguiente
+      throw e;
+    });
+    if (held) return provider.id;
+  }
+
+  return "";
+}
+
+async function releaseSlotHold(tenant, waId, providerId, startISO) {
+  if (!waId || !providerId || !startISO) return;
+  try {
+    await kvHashDel(slotHoldKey(tenant, providerId, startISO), String(waId));
+  } catch (e) {
+    console.error("releaseSlotHold error:", e?.message || e);
+  }
+}
+
+// horarios libres más cercanos al que se perdió (ese día y la semana siguiente), en orden cronológico
+async function nearestAlternativeSlots(tenant, { service, provider_id, start, wa_id, limit = 3 }) {
+  const wanted = new Date(start).getTime();
+  const dayStart = startOfLocalDayUTC(new Date(start), tenant.timezone);
+  const slots = await getAvailableSlotsTool(tenant, {
+    service,
+    provider_id,
+    wa_id,
+    from: new Date(Math.max(dayStart.getTime(), Date.now())).toISOString(),
+    to: addLocalDaysUTC(dayStart, 7, tenant.timezone).toISOString(),
+  });
+
+  // mismo criterio que la lista normal (en modo por hora solo las horas en punto)
+  const shown = (slot) => {
+    if (!HOURLY_LIST_MODE) return true;
+    const p = getZonedParts(new Date(slot.start), tenant.timezone);
+    return p.minute === 0 && p.hour >= HOURLY_LIST_START && p.hour <= HOURLY_LIST_END;
+  };
+
+  return slots
+    .filter((slot) => new Date(slot.start).getTime() !== wanted && shown(slot))
+    .sort((a, b) => Math.abs(new Date(a.start).getTime() - wanted) - Math.abs(new Date(b.start).getTime() - wanted))
+    .slice(0, limit)
+    .sort((a, b) => new Date(a.start).getTime() - new Date(b.start).getTime());
+}
+
+// =========================
+// ✅ Idempotencia de reservar / reprogramar / cancelar
+// =========================
+// La llave sale de quién, qué cita u horario y el mensaje entrante que lo pidió (o el header
+// Idempotency-Key de la API de staff). El resultado queda guardado IDEMPOTENCY_TTL_SEC: si Meta reintenta,
+// la cola repite el job o la IA vuelve a llamar el tool, se devuelve el mismo resultado sin volver a
+// escribir. Si el intento anterior murió a mitad (marca "pending"), recover() busca en el calendario lo
+// que alcanzó a escribir (el evento guarda idem_key) antes de repetir la operación.
+function idempotencyKey(op, ...parts) {
+  if (parts.some((p) => !p)) return "";
+  return `${op}_${crypto.createHash("sha256").update(parts.map(String).join("|")).digest("hex").slice(0, 32)}`;
+}
+
+function idempotencyStoreKey(tenant, key) {
+  return `${REDIS_PREFIX}idem:${tenant.id}:${key}`;
+}
+
+async function runIdempotent(tenant, key, op, { recover } = {}) {
+  if (!key) return op();
+
+  const storeKey = idempotencyStoreKey(tenant, key);
+  const prior = await kvGetJson(storeKey);
+  if (prior?.status === "done") return prior.result;
+
+  if (prior?.status === "pending" && recover) {
+    const recovered = await recover();
+    if (recovered) {
+      await kvSetJson(storeKey, { status: "done", result: recovered, at: new Date().toISOString() }, IDEMPOTENCY_TTL_SEC);
+      return recovered;
+    }
+  }
+
+  await kvSetJson(storeKey, { status: "pending", startedAt: new Date().toISOString() }, IDEMPOTENCY_TTL_SEC);
+  let result;
+  try {
+    result = await op();
+  } catch (e) {
+    // no se escribió nada (ej: horario ocupado): el próximo intento vuelve a probar
+    await kvDel(storeKey).catch(() => {});
+    throw e;
+  }
+  await kvSetJson(storeKey, { status: "done", result, at: new Date().toISOString() }, IDEMPOTENCY_TTL_SEC);
+  return result;
+}
+
+// resultado ya guardado (para responder un reintento antes de volver a validar el horario)
+async function idempotentResult(tenant, key) {
+  if (!key) return null;
+  const prior = await kvGetJson(idempotencyStoreKey(tenant, key));
+  return prior?.status === "done" ? prior.result : null;
+}
+
+// evento que dejó un intento anterior con esa llave (en el rango del horario)
+async function findEventByIdempotencyKey(tenant, key, start, end) {
+  const backend = getCalendarBackend(tenant);
+  for (const calendarId of tenantCalendarIds(tenant)) {
+    const events = await backend.listEvents(calendarId, {
+      timeMin: new Date(start).toISOString(),
+      timeMax: new Date(end).toISOString(),
+      maxResults: 10,
+      privateExtendedProperty: [`idem_key=${key}`],
+    });
+    if (events[0]) return { calendarId, event: events[0] };
+  }
+  return null;
+}
+
+// =========================
+// Calendar: book / reschedule / cancel
+// =========================
+function appointmentSummary(service, patientName, providerName = "") {
+  return `Cita - ${service} - ${patientName}${providerName ? ` - ${providerName}` : ""}`;
+}
+
+// si no nos dicen el dentista (IA, "cualquiera"), tomamos el primero que esté libre a esa hora
+async function resolveBookingProvider(tenant, { provider_id, service, start, end }) {
+  const explicit = findProvider(tenant, provider_id);
+  if (explicit) return explicit;
+
+  const candidates = providersForService(tenant, service);
+  if (candidates.length <= 1) return candidates[0] || tenant.providers[0];
+
+  for (const provider of candidates) {
+    const busy = await getBusyRanges(tenant, provider, start, end);
+    if (!busy.some((b) => overlaps(new Date(start), new Date(end), b.start, b.end))) return provider;
+  }
+
+  return candidates[0];
+}
+
+async function bookAppointmentTool(tenant, args) {
+  const key = args.idempotency_key || "";
+  return runIdempotent(tenant, key, () => bookAppointmentOnce(tenant, args), {
+    recover: async () => {
+      const found = await findEventByIdempotencyKey(tenant, key, args.slot_start, args.slot_end);
+      return found ? finishBooking(tenant, found.calendarId, found.event) : null;
+    },
+  });
+}
+
+async function bookAppointmentOnce(tenant, {
+  patient_name,
+  phone,
+  slot_id,
+  service,
+  notes,
+  slot_start,
+  slot_end,
+  wa_id, // ✅ NEW (opcional, no rompe llamadas viejas)
+  provider_id,
+  triage, // respuestas del triage de urgencias (opcional)
+  guardian, // cita de un dependiente: { name, relationship, dependent_id, age }
+  idempotency_key,
+}) {
+  const backend = getCalendarBackend(tenant);
+  if (!slot_start || !slot_end) throw new Error("Missing slot_start/slot_end");
+
+  const provider = await resolveBookingProvider(tenant, { provider_id, service, start: slot_start, end: slot_end });
+  const providerName = providerLabel(tenant, provider.id);
+
+  const event = await withSlotLock(tenant, provider.calendarId, async () => {
+    if (await slotHasConflict(tenant, provider, slot_start, slot_end, { waId: wa_id })) throw slotTakenError(slot_start);
+    return backend.insertEvent(provider.calendarId, {
+      summary: appointmentSummary(service, patient_name, providerName),
+      location: tenant.address || undefined,
+      description:
+        `Paciente: ${patient_name}\nTel: ${phone}\nServicio: ${service}\n` +
+        (providerName ? `Dentista: ${providerName}\n` : "") +
+        (guardian?.name
+          ? `Responsable: ${guardian.name}${guardian.relationship ? ` (${relationshipTitle(guardian.relationship)})` : ""}` +
+            `${Number.isFinite(Number(guardian.age)) ? ` · Edad paciente: ${ageText(guardian.age)}` : ""}\n`
+          : "") +
+        (triage?.outcome ? `${triageSummaryText(triage)}\n` : "") +
+        `Notas: ${notes || ""}\nSlotId: ${slot_id}`,
+      start: { dateTime: slot_start, timeZone: tenant.timezone },
+      end: { dateTime: slot_end, timeZone: tenant.timezone },
+      extendedProperties: {
+        private: {
+          wa_phone: phone,
+          wa_id: wa_id || "",
+          patient_name,
+          service,
+          slot_id,
+          provider_id: provider.id,
+          provider_name: providerName,
+          reminder24hSent: "false",
+          reminder2hSent: "false",
+          ...(idempotency_key ? { idem_key: idempotency_key } : {}),
+          ...(guardian?.name
+            ? {
+                guardian_name: guardian.name,
+                relationship: guardian.relationship || "",
+                dependent_id: guardian.dependent_id || "",
+                patient_age: guardian.age === undefined ? "" : String(guardian.age),
+              }
+            : {}),
+          ...(triage?.outcome
+            ? {
+                triage_score: String(triage.score),
+                triage_outcome: triage.outcome,
+                triage_answers: JSON.stringify({ ...triage.answers, flags: triage.flags }),
+              }
+            : {}),
+        },
+      },
+    });
+  });
+
+  return finishBooking(tenant, provider.calendarId, event);
+}
+
+// lo que sigue a insertar la cita (también al recuperar un intento que se cortó a mitad)
+async function finishBooking(tenant, calendarId, event) {
+  const priv = event.extendedProperties?.private || {};
+  const start = event.start?.dateTime;
+
+  await invalidateBusyCache(tenant, calendarId, start, event.end?.dateTime);
+  await releaseSlotHold(tenant, priv.wa_id, priv.provider_id, start);
+  await indexAppointment(tenant, event);
+
+  if (priv.wa_id) {
+    await recordProfileVisit(tenant, priv.wa_id, {
+      appointment_id: event.id,
+      service: priv.service,
+      start,
+      provider_id: priv.provider_id,
+      status: "booked",
+    });
+  }
+
+  return {
+    appointment_id: event.id,
+    start,
+    end: event.end?.dateTime,
+    service: priv.service,
+    patient_name: priv.patient_name,
+    phone: priv.wa_phone,
+    provider_id: priv.provider_id,
+    provider_name: priv.provider_name,
+  };
+}
+
+async function rescheduleAppointmentTool(tenant, args) {
+  const key = args.idempotency_key || "";
+  return runIdempotent(tenant, key, () => rescheduleAppointmentOnce(tenant, args), {
+    recover: async () => {
+      // el patch alcanzó a escribirse si el evento ya lleva esta llave
+      const located = await locateAppointment(tenant, args.appointment_id, args.new_provider_id || args.provider_id).catch(() => null);
+      const priv = located?.event?.extendedProperties?.private || {};
+      if (!located || priv.idem_key !== key) return null;
+
+      await invalidateBusyCache(tenant, located.calendarId, located.event.start?.dateTime, located.event.end?.dateTime);
+      await indexAppointment(tenant, located.event);
+      return {
+        ok: true,
+        appointment_id: located.event.id,
+        new_start: located.event.start?.dateTime,
+        new_end: located.event.end?.dateTime,
+        provider_id: priv.provider_id,
+        provider_name: priv.provider_name,
+      };
+    },
+  });
+}
+
+async function rescheduleAppointmentOnce(tenant, {
+  appointment_id,
+  provider_id, // dentista actual (para saber en qué calendario buscar)
+  new_provider_id, // opcional: cambiar de dentista
+  new_slot_id,
+  new_start,
+  new_end,
+  service,
+  patient_name,
+  phone,
+  wa_id,
+  idempotency_key,
+}) {
+  const backend = getCalendarBackend(tenant);
+  if (!new_start || !new_end) throw new Error("Missing new_start/new_end");
+
+  const located = await locateAppointment(tenant, appointment_id, provider_id);
+  const current = located.event;
+  const priv = current.extendedProperties?.private || {};
+
+  // ✅ un bloqueo de agenda no es una cita; una cancelada o liberada ya no tiene horario que mover
+  if (priv.kind === "block") return { ok: false, appointment_id, error: "not_found" };
+  if (priv.status === "cancelled" || priv.confirmation === "released") {
+    return { ok: false, appointment_id, error: priv.confirmation === "released" ? "released" : "cancelled" };
+  }
+
+  const nextService = String(service || priv.service || "").trim();
+  const nextName = String(patient_name || priv.patient_name || "").trim();
+  const nextPhone = String(phone || priv.wa_phone || "").trim();
+  const nextWaId = String(wa_id || priv.wa_id || "").trim();
+
+  const nextProvider =
+    findProvider(tenant, new_provider_id) ||
+    findProvider(tenant, priv.provider_id) ||
+    (await resolveBookingProvider(tenant, { service: nextService, start: new_start, end: new_end }));
+  const nextProviderName = providerLabel(tenant, nextProvider.id);
+
+  const nextPriv = {
+    ...priv,
+    slot_id: new_slot_id,
+    provider_id: nextProvider.id,
+    provider_name: nextProviderName,
+    reminder24hSent: "false",
+    reminder2hSent: "false",
+    reminder24hSentAt: "",
+    reminder2hSentAt: "",
+    // nueva fecha: hay que volver a confirmar
+    confirmation: "pending",
+    confirmedAt: "",
+    unconfirmedWarnedAt: "",
+    releaseAt: "",
+  };
+
+  if (idempotency_key) nextPriv.idem_key = idempotency_key;
+  if (nextService) nextPriv.service = nextService;
+  if (nextName) nextPriv.patient_name = nextName;
+  if (nextPhone) nextPriv.wa_phone = nextPhone;
+  if (nextWaId) nextPriv.wa_id = nextWaId;
+
+  const nextSummary =
+    nextService && nextName ? appointmentSummary(nextService, nextName, nextProviderName) : current.summary || "Cita";
+
+  let calendarId = located.calendarId;
+  const updated = await withSlotLock(tenant, nextProvider.calendarId, async () => {
+    // la propia cita no cuenta como ocupado (ej: correrla media hora)
+    const conflict = await slotHasConflict(tenant, nextProvider, new_start, new_end, { waId: nextWaId, ignoreEventId: appointment_id });
+    if (conflict) throw slotTakenError(new_start);
+
+    // ✅ cambio de dentista con otro calendario: movemos el evento (conserva el id)
+    if (nextProvider.calendarId !== calendarId) {
+      await backend.moveEvent(calendarId, appointment_id, nextProvider.calendarId);
+      calendarId = nextProvider.calendarId;
+    }
+
+    return backend.patchEvent(calendarId, appointment_id, {
+      summary: nextSummary,
+      start: { dateTime: new_start, timeZone: tenant.timezone },
+      end: { dateTime: new_end, timeZone: tenant.timezone },
+      colorId: null, // vuelve al color del calendario hasta que confirme de nuevo
+      extendedProperties: { private: nextPriv },
+    });
+  });
+
+  await invalidateBusyCache(tenant, located.calendarId, current.start?.dateTime, current.end?.dateTime);
+  await invalidateBusyCache(tenant, calendarId, new_start, new_end);
+
+  // el teléfono pudo cambiar: sacamos la cita de los números viejos antes de volver a indexarla
+  await unindexAppointment(tenant, priv, appointment_id);
+  await indexAppointment(tenant, updated);
+
+  // ✅ el horario anterior quedó libre
+  const oldStart = current.start?.dateTime;
+  if (oldStart && (new Date(oldStart).getTime() !== new Date(new_start).getTime() || nextProvider.id !== priv.provider_id)) {
+    await releaseSlotToWaitlist(tenant, {
+      start: oldStart,
+      end: current.end?.dateTime,
+      provider_id: priv.provider_id,
+      excludeWaIds: [priv.wa_id],
+    });
+  }
+
+  if (nextWaId) {
+    await recordProfileVisit(tenant, nextWaId, {
+      appointment_id,
+      service: nextService,
+      start: new_start,
+      provider_id: nextProvider.id,
+      status: "booked",
+    });
+  }
+
+  return {
+    ok: true,
+    appointment_id: updated.id,
+    new_start,
+    new_end,
+    provider_id: nextProvider.id,
+    provider_name: nextProviderName,
+  };
+}
+
+async function cancelAppointmentTool(tenant, args) {
+  const key = args.idempotency_key || "";
+  return runIdempotent(tenant, key, () => cancelAppointmentOnce(tenant, args), {
+    recover: async () => {
+      const located = await locateAppointment(tenant, args.appointment_id, args.provider_id).catch(() => null);
+      if (!located) return null;
+      const { calendarId, event } = located;
+      const priv = event.extendedProperties?.private || {};
+      if (priv.status !== "cancelled") return null;
+
+      await invalidateBusyCache(tenant, calendarId, event.start?.dateTime, event.end?.dateTime);
+      await unindexAppointment(tenant, priv, args.appointment_id);
+      return cancellationResult(tenant, args.appointment_id, priv.lateCancel === "true");
+    },
+  });
+}
+
+// by: patient | staff | auto_release. Solo la que pide el paciente puede ser tardía (si la clínica cancela
+// no es culpa del paciente); late_cancel: true la marca tardía igual, sin anotarla en el historial
+// (markAttendanceTool ya lo hace)
+async function cancelAppointmentOnce(tenant, { appointment_id, provider_id, reason, by = "patient", late_cancel = false }) {
+  const backend = getCalendarBackend(tenant);
+  const policy = tenant.cancellationPolicy;
+
+  const { calendarId, event } = await locateAppointment(tenant, appointment_id, provider_id);
+
+  const summary = event.summary || "Cita";
+  const priv = event.extendedProperties?.private || {};
+  // ✅ ya estaba cancelada (reintento sin llave): no se vuelve a liberar ni a avisar a la lista de espera
+  if (priv.status === "cancelled") {
+    return { ...cancellationResult(tenant, appointment_id, priv.lateCancel === "true"), already_cancelled: true };
+  }
+
+  const now = new Date();
+  const late = late_cancel === true || (by === "patient" && isLateCancellation(tenant, event.start?.dateTime, now));
+  const recordLate = late && by === "patient" && policy.recordAttendance;
+
+  // ✅ transparente: deja de contar como ocupado en free/busy y el horario se puede volver a reservar
+  await backend.patchEvent(calendarId, appointment_id, {
+    summary: `CANCELADA - ${summary}`,
+    description: (event.description || "") + `\n\nCancelación${late ? " tardía" : ""}: ${reason || ""}`,
+    transparency: "transparent",
+    extendedProperties: {
+      private: {
+        ...priv,
+        status: "cancelled",
+        cancelledAt: now.toISOString(),
+        cancelledBy: by,
+        lateCancel: late ? "true" : "false",
+        ...(recordLate ? { attendance: "late_cancel", attendanceAt: now.toISOString(), attendanceBy: by } : {}),
+      },
+    },
+  });
+
+  if (policy.archiveCalendarId && policy.archiveCalendarId !== calendarId) {
+    try {
+      await backend.moveEvent(calendarId, appointment_id, policy.archiveCalendarId);
+    } catch (e) {
+      // ya quedó transparente: el horario está libre aunque no se haya podido archivar
+      console.error("archive cancelled appointment error:", e?.response?.data || e?.message || e);
+    }
+  }
+
+  await invalidateBusyCache(tenant, calendarId, event.start?.dateTime, event.end?.dateTime);
+  await unindexAppointment(tenant, priv, appointment_id);
+
+  if (recordLate) {
+    await recordAttendance(tenant, { wa_id: priv.wa_id, phone: priv.wa_phone }, {
+      appointment_id,
+      status: "late_cancel",
+      start: event.start?.dateTime || "",
+      service: priv.service || "",
+      at: now.toISOString(),
+    });
+  }
+
+  await releaseSlotToWaitlist(tenant, {
+    start: event.start?.dateTime,
+    end: event.end?.dateTime,
+    provider_id: priv.provider_id,
+    excludeWaIds: [priv.wa_id],
+  });
+
+  if (priv.wa_id) await recordProfileVisit(tenant, priv.wa_id, { appointment_id, status: late ? "late_cancel" : "cancelled" });
+
+  return cancellationResult(tenant, appointment_id, late);
+}
+
+function cancellationResult(tenant, appointment_id, late) {
+  return late ? { ok: true, appointment_id, late: true, policy: lateCancellationPolicyText(tenant) } : { ok: true, appointment_id };
+}
+
+function isCancelledEvent(ev) {
+  return ev.extendedProperties?.private?.status === "cancelled";
+}
+
+// ¿cancelar ahora cae dentro de la ventana de cancelación tardía de la clínica?
+function isLateCancellation(tenant, startISO, now = new Date()) {
+  const hours = Number(tenant.cancellationPolicy.lateHours) || 0;
+  if (hours <= 0 || !startISO) return false;
+  const start = new Date(startISO);
+  return start > now && start.getTime() - now.getTime() < hours * 60 * 60 * 1000;
+}
+
+function lateCancellationPolicyText(tenant) {
+  const policy = tenant.cancellationPolicy;
+  if (policy.policyText) return policy.policyText;
+  const hours = Number(policy.lateHours) || 0;
+  return `En ${tenant.name} las cancelaciones con menos de ${hours} horas de anticipación se registran como cancelación tardía.`;
+}
+
+// ✅ asistencia confirmada: queda en el evento (y cambia de color)
+async function confirmAppointmentTool(tenant, { appointment_id, provider_id, via = "whatsapp" }) {
+  const backend = getCalendarBackend(tenant);
+  const { calendarId, event } = await locateAppointment(tenant, appointment_id, provider_id);
+  const priv = event.extendedProperties?.private || {};
+
+  // ✅ cancelada o liberada por falta de confirmación: el horario ya no es suyo (puede estar reservado)
+  if (priv.status === "cancelled" || priv.confirmation === "released") {
+    return { ok: false, appointment_id, error: priv.confirmation === "released" ? "released" : "cancelled" };
+  }
+
+  const confirmedAt = new Date().toISOString();
+
+  await backend.patchEvent(calendarId, appointment_id, {
+    colorId: CONFIRMED_COLOR_ID || undefined,
+    extendedProperties: {
+      private: {
+        ...priv,
+        confirmation: "confirmed",
+        confirmedAt,
+        confirmedVia: via,
+      },
+    },
+  });
+
+  return { ok: true, appointment_id, confirmedAt };
+}
+
+// ✅ bloqueo de agenda (reunión, mantenimiento...): evento opaco sin paciente.
+// Sin dentista se bloquea en todos los calendarios de la clínica.
+async function blockTimeTool(tenant, { start, end, provider_id, reason = "" }) {
+  const backend = getCalendarBackend(tenant);
+  if (!start || !end || !(new Date(end) > new Date(start))) throw new Error("Invalid start/end");
+
+  const provider = findProvider(tenant, provider_id);
+  if (provider_id && !provider) throw new Error(`Unknown provider: ${provider_id}`);
+  const calendars = provider ? [provider.calendarId] : tenantCalendarIds(tenant);
+
+  const blocks = [];
+  for (const calendarId of calendars) {
+    const event = await backend.insertEvent(calendarId, {
+      summary: `BLOQUEADO${reason ? ` - ${reason}` : ""}`,
+      description: reason || "",
+      start: { dateTime: start, timeZone: tenant.timezone },
+      end: { dateTime: end, timeZone: tenant.timezone },
+      transparency: "opaque",
+      extendedProperties: {
+        private: { kind: "block", provider_id: provider?.id || "", reason },
+      },
+    });
+    await invalidateBusyCache(tenant, calendarId, start, end);
+    blocks.push({ block_id: event.id, calendarId, start, end, provider_id: provider?.id || "", reason });
+  }
+
+  return { ok: true, blocks };
+}
+
+async function unblockTimeTool(tenant, { block_id }) {
+  const backend = getCalendarBackend(tenant);
+  const { calendarId, event } = await locateAppointment(tenant, block_id);
+  if (event.extendedProperties?.private?.kind !== "block") throw notFoundError(`Block ${block_id}`);
+
+  await backend.patchEvent(calendarId, block_id, { status: "cancelled" });
+  await invalidateBusyCache(tenant, calendarId, event.start?.dateTime, event.end?.dateTime);
+  return { ok: true, block_id };
+}
+
+async function handoffToHumanTool(tenant, session, waId, { summary }) {
+  await startHandoff(tenant, session, waId, { reason: "assistant", summary });
+  return { ok: true, routed: true, summary };
+}
+
+// =========================
+// Asistencia: historial por paciente y política de inasistencias
+// =========================
+// El historial se guarda bajo el wa_id y bajo el teléfono de la cita (E.164), así lo encontramos
+// aunque el paciente agende desde otro WhatsApp o con otro número de contacto.
+const ATTENDANCE_STATUSES = ["attended", "no_show", "late_cancel"];
+const ATTENDANCE_HISTORY_MAX = 50;
+
+function attendanceKey(tenant, patientId) {
+  return `${REDIS_PREFIX}attendance:${tenant.id}:${patientId}`;
+}
+
+function attendancePatientIds({ wa_id, phone }) {
+  const ids = [normalizePhoneDigits(wa_id), toE164DigitsRD(phone)].filter(Boolean);
+  return [...new Set(ids)];
+}
+
+async function getAttendanceHistory(tenant, { wa_id, phone }) {
+  const byAppointment = new Map();
+  for (const id of attendancePatientIds({ wa_id, phone })) {
+    const entries = (await kvGetJson(attendanceKey(tenant, id))) || [];
+    for (const e of entries) {
+      const prev = byAppointment.get(e.appointment_id);
+      if (!prev || String(prev.at) < String(e.at)) byAppointment.set(e.appointment_id, e);
+    }
+  }
+  return [...byAppointment.values()].sort((a, b) => String(a.start).localeCompare(String(b.start)));
+}
+
+async function recordAttendance(tenant, { wa_id, phone }, entry) {
+  for (const id of attendancePatientIds({ wa_id, phone })) {
+    const key = attendanceKey(tenant, id);
+    const entries = ((await kvGetJson(key)) || []).filter((e) => e.appointment_id !== entry.appointment_id);
+    entries.push(entry);
+    await kvSetJson(key, entries.slice(-ATTENDANCE_HISTORY_MAX));
+  }
+}
+
+function attendanceSummary(tenant, entries) {
+  const since = addMinutes(new Date(), -tenant.attendancePolicy.lookbackDays * 24 * 60);
+  const recent = entries.filter((e) => new Date(e.start || e.at) >= since);
+  const count = (status) => recent.filter((e) => e.status === status).length;
+
+  const attended = count("attended");
+  const no_show = count("no_show");
+  const late_cancel = count("late_cancel");
+  const strikes = no_show + (tenant.attendancePolicy.countLateCancel ? late_cancel : 0);
+
+  return { attended, no_show, late_cancel, strikes };
+}
+
+// ✅ el staff marca la cita (asistió / no vino / canceló tarde); se puede corregir marcándola de nuevo
+async function markAttendanceTool(tenant, { appointment_id, provider_id, status, by = "", notes = "" }) {
+  if (!ATTENDANCE_STATUSES.includes(status)) throw new Error(`Invalid attendance status: ${status}`);
+
+  const backend = getCalendarBackend(tenant);
+  const { calendarId, event } = await locateAppointment(tenant, appointment_id, provider_id);
+  const priv = event.extendedProperties?.private || {};
+  const at = new Date().toISOString();
+
+  await backend.patchEvent(calendarId, appointment_id, {
+    colorId: status === "no_show" ? NO_SHOW_COLOR_ID || undefined : undefined,
+    extendedProperties: {
+      private: { ...priv, attendance: status, attendanceAt: at, attendanceBy: by, attendanceNotes: notes },
+    },
+  });
+
+  // cancelación tardía de una cita que seguía activa: también la cancelamos
+  if (status === "late_cancel" && priv.status !== "cancelled") {
+    await cancelAppointmentTool(tenant, {
+      appointment_id,
+      provider_id: priv.provider_id,
+      reason: "Cancelación tardía",
+      by: "staff",
+      late_cancel: true,
+    });
+  }
+
+  if (priv.wa_id) await recordProfileVisit(tenant, priv.wa_id, { appointment_id, status });
+
+  const patient = { wa_id: priv.wa_id, phone: priv.wa_phone };
+  await recordAttendance(tenant, patient, {
+    appointment_id,
+    status,
+    start: event.start?.dateTime || "",
+    service: priv.service || "",
+    at,
+  });
+
+  const summary = attendanceSummary(tenant, await getAttendanceHistory(tenant, patient));
+  return { ok: true, appointment_id, attendance: status, summary };
+}
+
+// qué hacer con una nueva reserva según el historial:
+// ok | confirm (pedir confirmación explícita) | too_far (fuera del límite de días) | handoff (lo agenda el staff)
+async function attendancePolicyVerdict(tenant, { wa_id, phone, start }) {
+  const policy = tenant.attendancePolicy;
+  const summary = attendanceSummary(tenant, await getAttendanceHistory(tenant, { wa_id, phone }));
+  const reached = (n) => n > 0 && summary.strikes >= n;
+
+  if (reached(policy.handoffAfter)) return { action: "handoff", summary };
+
+  if (reached(policy.limitAfter)) {
+    const until = addLocalDaysUTC(startOfLocalDayUTC(new Date(), tenant.timezone), policy.maxDaysAhead + 1, tenant.timezone);
+    if (new Date(start) >= until) return { action: "too_far", summary, until: until.toISOString() };
+  }
+
+  if (reached(policy.confirmAfter)) return { action: "confirm", summary };
+  return { action: "ok", summary };
+}
+
+// resumen para el staff cuando la política manda a agendar a mano
+function attendanceHandoffSummary(tenant, { phone, patient_name, slot, summary }) {
+  return (
+    `Agendar a mano por historial de asistencia.\n` +
+    `👤 Paciente: ${patient_name || "—"} | 📞 Tel: ${normalizePhoneDigits(phone) || "—"}\n` +
+    (slot ? `📅 Quería: ${formatDateInTZ(slot.start, tenant.timezone)} ${formatTimeInTZ(slot.start, tenant.timezone)}\n` : "") +
+    `📊 Historial: ${summary.no_show} no asistió, ${summary.late_cancel} canceló tarde, ${summary.attended} asistió`
+  );
+}
+
+// =========================
+// ✅ Perfil del paciente (pacientes que vuelven)
+// =========================
+// Por wa_id: nombre y teléfono de su última reserva, nombre de contacto de WhatsApp, fecha de nacimiento,
+// seguro, dentista preferido e historial de visitas (lo mantienen las herramientas de reservar/reprogramar/
+// cancelar/asistencia). Con nombre y teléfono guardados el bot ofrece reservar con un toque.
+const PROFILE_VISITS_MAX = 30;
+
+function profileKey(tenant, waId) {
+  return `${REDIS_PREFIX}profile:${tenant.id}:${normalizePhoneDigits(waId)}`;
+}
+
+async function getPatientProfile(tenant, waId) {
+  if (!normalizePhoneDigits(waId)) return null;
+  return kvGetJson(profileKey(tenant, waId));
+}
+
+// solo pisa los campos que vienen con valor (null borra el campo)
+async function updatePatientProfile(tenant, waId, patch) {
+  const wa_id = normalizePhoneDigits(waId);
+  if (!wa_id) return null;
+
+  const now = new Date().toISOString();
+  const current = (await getPatientProfile(tenant, wa_id)) || { wa_id, visits: [], createdAt: now };
+  const profile = { ...current, wa_id, updatedAt: now };
+  for (const [k, v] of Object.entries(patch)) {
+    if (v === null) delete profile[k];
+    else if (v !== undefined && v !== "") profile[k] = v;
+  }
+
+  await kvSetJson(profileKey(tenant, wa_id), profile);
+  return profile;
+}
+
+// visita = { appointment_id, service, start, provider_id, status: booked | cancelled | attended | no_show | late_cancel }
+async function recordProfileVisit(tenant, waId, visit) {
+  try {
+    const current = await getPatientProfile(tenant, waId);
+    const visits = (current?.visits || []).filter((v) => v.appointment_id !== visit.appointment_id);
+    const prev = (current?.visits || []).find((v) => v.appointment_id === visit.appointment_id) || {};
+    visits.push({ ...prev, ...Object.fromEntries(Object.entries(visit).filter(([, v]) => v !== undefined)) });
+    visits.sort((a, b) => String(a.start).localeCompare(String(b.start)));
+    await updatePatientProfile(tenant, waId, { visits: visits.slice(-PROFILE_VISITS_MAX) });
+  } catch (e) {
+    console.error("profile visit error:", e?.response?.data || e?.message || e);
+  }
+}
+
+// nombre de contacto (value.contacts) solo se escribe si cambió
+async function rememberContactName(tenant, waId, contactName) {
+  const name = String(contactName || "").trim();
+  if (!name) return;
+  try {
+    const current = await getPatientProfile(tenant, waId);
+    if (current?.contactName === name) return;
+    await updatePatientProfile(tenant, waId, { contactName: name });
+  } catch (e) {
+    console.error("profile contact error:", e?.response?.data || e?.message || e);
+  }
+}
+
+// para la IA: no volver a pedir nombre y teléfono a quien ya los dio
+function knownPatientPromptLine(profile) {
+  if (!profile?.name || !profile?.phone) return "";
+  return `Paciente conocido: ${profile.name}, tel ${profile.phone}. Para reservar pregúntale si es a su nombre y a ese teléfono en vez de pedirlos de nuevo.`;
+}
+
+function profileView(tenant, profile) {
+  if (!profile) return null;
+  const preferred = findProvider(tenant, profile.preferredProviderId);
+  return {
+    wa_id: profile.wa_id,
+    name: profile.name || "",
+    contactName: profile.contactName || "",
+    phone: profile.phone || "",
+    dob: profile.dob || "",
+    insurance: profile.insurance || "",
+    preferredProviderId: preferred?.id || "",
+    preferredProviderName: preferred ? providerLabel(tenant, preferred.id) : "",
+    dependents: profile.dependents || [],
+    visits: profile.visits || [],
+    createdAt: profile.createdAt || "",
+    updatedAt: profile.updatedAt || "",
+  };
+}
+
+// =========================
+// ✅ Dependientes (hijos y familiares que agenda el mismo WhatsApp)
+// =========================
+// Viven en el perfil del responsable. La cita queda a nombre del dependiente y con los datos del
+// responsable (guardian_*); wa_id / wa_phone siguen siendo los del responsable (recordatorios, búsquedas).
+const RELATIONSHIPS = [
+  { key: "hijo", title: "Hijo" },
+  { key: "hija", title: "Hija" },
+  { key: "madre", title: "Madre" },
+  { key: "padre", title: "Padre" },
+  { key: "pareja", title: "Pareja" },
+  { key: "otro", title: "Otro familiar" },
+];
+// la lista de WhatsApp admite 10 filas: "Para mí" + dependientes + "Agregar"
+const DEPENDENTS_MAX = 8;
+
+function relationshipTitle(key) {
+  return RELATIONSHIPS.find((r) => r.key === key)?.title || "";
+}
+
+// "tu hijo Juan" / "Juan" (para recordatorios y avisos)
+function dependentLabel({ name, relationship }) {
+  return relationship && relationship !== "otro" ? `tu ${relationship} ${name}` : name;
+}
+
+function ageText(age) {
+  const n = Number(age);
+  if (!Number.isFinite(n)) return "";
+  if (n < 1) return "menos de 1 año";
+  return n === 1 ? "1 año" : `${n} años`;
+}
+
+function dependentDescription(dep) {
+  return [relationshipTitle(dep.relationship), ageText(dep.age)].filter(Boolean).join(", ");
+}
+
+async function addDependent(tenant, waId, { name, age, relationship }) {
+  const profile = (await getPatientProfile(tenant, waId)) || {};
+  const dependents = profile.dependents || [];
+  const existing = dependents.find((d) => normalizeText(d.name) === normalizeText(name));
+  const dep = {
+    id: existing?.id || `dep_${crypto.randomBytes(4).toString("hex")}`,
+    name: String(name).trim(),
+    age: Number(age),
+    relationship,
+    createdAt: existing?.createdAt || new Date().toISOString(),
+  };
+
+  const next = [...dependents.filter((d) => d.id !== dep.id), dep].slice(-DEPENDENTS_MAX);
+  await updatePatientProfile(tenant, waId, { dependents: next });
+  return dep;
+}
+
+async function sendPatientChoice(tenant, from, profile, lead) {
+  const rows = [
+    { id: "who:self", title: "Para mí", description: profile?.name || "" },
+    ...(profile?.dependents || []).map((d) => ({ id: `who:${d.id}`, title: d.name.slice(0, 24), description: dependentDescription(d) })),
+    { id: "who:new", title: "Agregar otra persona", description: "Hijo/a u otro familiar" },
+  ];
+
+  const body = `${lead}\n\n¿Para quién es la cita?`;
+  await sendWhatsAppList(
+    tenant,
+    from,
+    { header: "Paciente", body, footer: tenant.name, button: "Elegir", sectionTitle: "Paciente", rows },
+    `${body}\n\n${rows.map((r, i) => `${i + 1}. ${r.title}`).join("\n")}`
+  );
+}
+
+// "self" | "new" | id del dependiente | null
+function matchPatientChoice(profile, tNorm) {
+  const dependents = profile?.dependents || [];
+  const n = /^\d+$/.test(tNorm) ? parseInt(tNorm, 10) : 0;
+  if (n === 1) return "self";
+  if (n >= 2 && n <= dependents.length + 1) return dependents[n - 2].id;
+  if (n === dependents.length + 2) return "new";
+
+  const named = dependents.find((d) => tNorm.includes(normalizeText(d.name).split(" ")[0]));
+  if (named) return named.id;
+  if (["para mi", "yo", "a mi"].some((k) => tNorm === k || tNorm.startsWith(`${k} `))) return "self";
+  if (["otro", "otra", "agregar", "nuevo", "nueva", "hijo", "hija"].some((k) => tNorm.includes(k))) return "new";
+  return null;
+}
+
+function matchRelationship(tNorm) {
+  if (tNorm.includes("hija")) return "hija";
+  if (tNorm.includes("hijo")) return "hijo";
+  if (tNorm.includes("madre") || tNorm.includes("mama")) return "madre";
+  if (tNorm.includes("padre") || tNorm.includes("papa")) return "padre";
+  if (["pareja", "esposo", "esposa", "novio", "novia"].some((k) => tNorm.includes(k))) return "pareja";
+  if (["otro", "otra", "sobrin", "niet", "herman", "abuel", "prim", "tio", "tia"].some((k) => tNorm.includes(k))) return "otro";
+  return null;
+}
+
+async function sendRelationshipChoice(tenant, from, name) {
+  const rows = RELATIONSHIPS.map((r) => ({ id: `relationship:${r.key}`, title: r.title, description: "" }));
+  const body = `¿Qué es *${name}* para ti?`;
+  await sendWhatsAppList(
+    tenant,
+    from,
+    { header: "Parentesco", body, footer: tenant.name, button: "Elegir", sectionTitle: "Parentesco", rows },
+    `${body}\n\n${rows.map((r) => `• ${r.title}`).join("\n")}`
+  );
+}
+
+// =========================
+// ✅ Mis citas (varias citas próximas por paciente)
+// =========================
+// Con más de una cita el paciente elige sobre cuál actuar: las filas llevan la acción y el id
+// (appt_cancel:<id>, appt_pick:<id>…) y post_booking trabaja sobre la cita elegida.
+const APPT_CHOICE_PROMPTS = {
+  pick: "Estas son tus próximas citas 👇\nElige una para confirmarla, reprogramarla o cancelarla.",
+  confirm: "Tienes varias citas próximas.\n¿Cuál quieres *confirmar*?",
+  reschedule: "Tienes varias citas próximas.\n¿Cuál quieres *reprogramar*?",
+  cancel: "Tienes varias citas próximas.\n¿Cuál quieres *cancelar*?",
+};
+
+function looksLikeMyAppointments(textNorm) {
+  return ["mis citas", "mis reservas", "ver citas", "ver mis citas", "que citas tengo", "cuales son mis citas", "proximas citas"].some(
+    (k) => (textNorm || "").includes(k)
+  );
+}
+
+// fila de lista (máx 24 caracteres): "mar 20 oct, 09:00 a. m."
+function appointmentShortLabel(tenant, appt) {
+  const day = new Intl.DateTimeFormat("es-DO", {
+    timeZone: tenant.timezone,
+    weekday: "short",
+    day: "numeric",
+    month: "short",
+  })
+    .format(new Date(appt.start))
+    .replace(/\./g, "");
+  return `${day}, ${formatTimeInTZ(appt.start, tenant.timezone)}`.slice(0, 24);
+}
+
+function appointmentPatientText(appt) {
+  return appt.dependent_id ? dependentLabel({ name: appt.patient_name, relationship: appt.relationship }) : appt.patient_name;
+}
+
+function appointmentDetailText(tenant, appt) {
+  const patient = appt.dependent_id ? `👤 Paciente: *${appt.patient_name}*\n` : "";
+  const status = appt.confirmation === "confirmed" ? "\n✅ Asistencia confirmada" : "";
+  return `🦷 Servicio: *${serviceTitle(tenant, appt.service)}*\n${patient}${dentistLine(
+    appt.provider_name,
+    true
+  )}📅 Fecha: *${formatDateInTZ(appt.start, tenant.timezone)}*\n⏰ Hora: *${formatTimeInTZ(appt.start, tenant.timezone)}*${status}`;
+}
+
+// confirmar / reprogramar una cita que ya no está activa (reason: released | cancelled, o sin saber cuál)
+function inactiveAppointmentText(reason = "", verb = "confirmarla") {
+  const why =
+    reason === "released"
+      ? "fue liberada porque no recibimos tu confirmación a tiempo"
+      : reason === "cancelled"
+        ? "ya fue cancelada"
+        : "ya fue cancelada o liberada por falta de confirmación";
+  return `No pude ${verb} 🙏 Esa cita ${why} y el horario ya no está apartado.\n\nSi aún deseas venir, dime el servicio o escribe "Nueva cita" y buscamos otro horario.`;
+}
+
+// kind: pick | confirm | reschedule | cancel (máx 10 filas; son las más próximas)
+async function sendAppointmentChoice(tenant, from, session, appointments, kind) {
+  const shown = appointments.slice(0, 10);
+  const rows = shown.map((a) => ({
+    id: `appt_${kind}:${a.appointment_id}`,
+    title: appointmentShortLabel(tenant, a),
+    description: [serviceTitle(tenant, a.service), appointmentPatientText(a)].filter(Boolean).join(" · ").slice(0, 72),
+  }));
+
+  session.apptChoice = { kind, ids: shown.map((a) => a.appointment_id) };
+  session.state = "await_appt_choice";
+
+  const body = APPT_CHOICE_PROMPTS[kind] || APPT_CHOICE_PROMPTS.pick;
+  await sendWhatsAppList(
+    tenant,
+    from,
+    { header: "Mis citas", body: `${body}\nToca *Ver citas* o escribe el número.`, footer: tenant.name, button: "Ver citas", sectionTitle: "Próximas citas", rows },
+    `${body}\n\n${rows.map((r, i) => `${i + 1}. ${r.title} — ${r.description}`).join("\n")}\n\nEscribe el número.`
+  );
+}
+
+// la cita "en foco" (recién agendada o elegida) recibe directamente los confirmar/reprogramar/cancelar
+// escritos; pasado un rato, si tiene varias citas volvemos a preguntar cuál
+const APPT_FOCUS_MS = 30 * 60 * 1000;
+
+function focusAppointment(session, appt) {
+  session.lastBooking = { ...appt, focusedAt: new Date().toISOString() };
+  session.state = "post_booking";
+}
+
+function hasFocusedAppointment(session) {
+  const at = Date.parse(session.lastBooking?.focusedAt || "");
+  return Number.isFinite(at) && Date.now() - at < APPT_FOCUS_MS;
+}
+
+// "2" en la lista de citas => la misma acción que tocar la fila
+function apptChoiceFromText(session, tNorm) {
+  if (session.state !== "await_appt_choice" || !session.apptChoice || !/^\d+$/.test(tNorm)) return null;
+  const id = session.apptChoice.ids[parseInt(tNorm, 10) - 1];
+  return id ? { type: `appt_${session.apptChoice.kind}`, arg: id } : null;
+}
+
+// =========================
+// Atención humana (handoff)
+// =========================
+// Mientras la sesión está en handoff el bot no contesta: los mensajes siguen llegando a BotHub y el
+// agente responde por /agent_message. Se vuelve al bot con un comando del agente (HANDOFF_RELEASE_COMMANDS
+// o action "release") o cuando pasan HANDOFF_TIMEOUT_MIN sin respuesta del agente.
+// Índice por clínica (wa_id -> { since, lastAgentAt }) para que /tick encuentre los vencidos sin abrir cada sesión.
+function handoffIndexKey(tenant) {
+  return `${REDIS_PREFIX}handoff:${tenant.id}`;
+}
+
+function looksLikeHumanRequest(textNorm) {
+  return [
+    "hablar con alguien",
+    "hablar con una persona",
+    "hablar con un humano",
+    "hablar con un agente",
+    "hablar con un asesor",
+    "hablar con recepcion",
+    "persona real",
+    "quiero un humano",
+    "atencion humana",
+    "un agente",
+    "un asesor",
+  ].some((k) => (textNorm || "").includes(k));
+}
+
+// h: session.handoff o su entrada en el índice
+function handoffTimedOut(h, now = new Date()) {
+  const last = new Date(h?.lastAgentAt || h?.since || 0);
+  return now >= addMinutes(last, HANDOFF_TIMEOUT_MIN);
+}
+
+function handoffExpired(session, now = new Date()) {
+  return Boolean(session.handoff?.active) && handoffTimedOut(session.handoff, now);
+}
+
+function handoffContextLines(tenant, session) {
+  const lines = [];
+  if (session.pendingService) lines.push(`🦷 Servicio: ${serviceTitle(tenant, session.pendingService)}`);
+  if (session.triage?.outcome) lines.push(triageSummaryText(session.triage));
+  if (session.selectedSlot?.start) {
+    lines.push(
+      `📅 Horario elegido: ${formatDateInTZ(session.selectedSlot.start, tenant.timezone)} ${formatTimeInTZ(session.selectedSlot.start, tenant.timezone)}`
+    );
+  }
+  if (session.lastBooking?.appointment_id) {
+    const b = session.lastBooking;
+    lines.push(
+      `📌 Cita: ${serviceTitle(tenant, b.service)} ${formatDateInTZ(b.start, tenant.timezone)} ${formatTimeInTZ(
+        b.start,
+        tenant.timezone
+      )} (ID ${b.appointment_id})`
+    );
+  }
+
+  const recent = (session.messages || [])
+    .slice(-6)
+    .map((m) => `${m.role === "user" ? "👤" : "🤖"} ${String(m.content || "").slice(0, 200)}`);
+  if (recent.length) lines.push(`\nÚltimos mensajes:\n${recent.join("\n")}`);
+  return lines;
+}
+
+// ✅ pasa la conversación a una persona: avisa a BotHub y a PERSONAL_WA_TO con el resumen
+async function startHandoff(
+  tenant,
+  session,
+  waId,
+  { reason = "patient_request", summary = "", contactName = "", notifyStaff = true, title = "🙋 *Paciente pide atención humana*" } = {}
+) {
+  const now = new Date().toISOString();
+  const alreadyActive = session.handoff?.active;
+
+  session.handoff = { active: true, since: alreadyActive ? session.handoff.since : now, reason, lastAgentAt: "" };
+  await kvHashSet(handoffIndexKey(tenant), String(waId), { since: session.handoff.since });
+
+  if (alreadyActive || !notifyStaff) return;
+
+  const headline = summary || (reason === "patient_request" ? "El paciente pidió hablar con una persona." : "");
+  const body = [headline, ...handoffContextLines(tenant, session)].filter(Boolean).join("\n");
+
+  await bothubReportMessage(tenant, {
+    direction: "HANDOFF",
+    from: String(waId),
+    body,
+    source: "BOT",
+    name: contactName || undefined,
+    kind: "HANDOFF",
+    meta: { reason, since: session.handoff.since, timeoutMin: HANDOFF_TIMEOUT_MIN },
+  });
+
+  try {
+    const myTo = String(tenant.personalWaTo || "").replace(/[^\d]/g, "");
+    if (myTo && myTo !== String(waId)) {
+      await sendWhatsAppText(
+        tenant,
+        myTo,
+        `${title}\n\n🏥 Clínica: *${tenant.name}*\n👤 ${contactName || "Paciente"} (WhatsApp ${waId})\n\n${body}`,
+        "BOT"
+      );
+    }
+  } catch (e) {
+    console.error("Handoff notify error:", e?.response?.data || e?.message || e);
+  }
+}
+
+async function endHandoff(tenant, session, waId, { by = "agent" } = {}) {
+  const was = session.handoff || {};
+  session.handoff = defaultSession().handoff;
+  session.state = "idle";
+  await kvHashDel(handoffIndexKey(tenant), String(waId));
+
+  if (!was.active) return;
+  await bothubReportMessage(tenant, {
+    direction: "HANDOFF",
+    from: String(waId),
+    body:
+      by === "timeout"
+        ? `El bot retomó la conversación (sin respuesta del agente en ${HANDOFF_TIMEOUT_MIN} min)`
+        : "El bot retomó la conversación",
+    source: "BOT",
+    kind: "HANDOFF_END",
+    meta: { by, since: was.since },
+  });
+}
+
+const HANDOFF_BACK_TO_BOT_TEXT = `🤖 Te atiende de nuevo el asistente virtual.\nSi necesitas algo más, escribe *cita*, *reprogramar* o *cancelar*.`;
+
+// acciones del agente (por /agent_message) y vencimientos: pasan por la cola del paciente
+// para no pisar la sesión mientras se procesa un mensaje suyo
+async function handleAgentEvent(tenant, job) {
+  const { waTo, action } = job;
+  const waId = String(waTo);
+  const session = await getSession(tenant, waId);
+
+  if (action === "message" || action === "takeover") {
+    // si el agente escribe, el bot se calla (sin alertar: ya lo está atendiendo una persona)
+    if (!session.handoff?.active) await startHandoff(tenant, session, waId, { reason: "agent", notifyStaff: false });
+    session.handoff.lastAgentAt = new Date().toISOString();
+    await kvHashSet(handoffIndexKey(tenant), waId, { since: session.handoff.since, lastAgentAt: session.handoff.lastAgentAt });
+  } else if (action === "release") {
+    if (session.handoff?.active) {
+      await endHandoff(tenant, session, waId, { by: "agent" });
+      await sendWhatsAppText(tenant, waId, HANDOFF_BACK_TO_BOT_TEXT);
+    }
+  } else if (action === "slots") {
+    // el agente le pasa la reserva al bot: retoma la conversación y muestra los horarios
+    if (session.handoff?.active) await endHandoff(tenant, session, waId, { by: "agent" });
+    session.reschedule = defaultSession().reschedule;
+    clearBookingDraft(session);
+    session.pendingService = job.slots.service;
+    session.pendingProvider = job.slots.provider_id || "any";
+    session.greeted = true;
+    await offerSlotsForRange(tenant, waId, session, job.slots.range);
+  } else if (action === "timeout") {
+    if (handoffExpired(session)) {
+      await endHandoff(tenant, session, waId, { by: "timeout" });
+      await sendWhatsAppText(tenant, waId, HANDOFF_BACK_TO_BOT_TEXT);
+    } else if (!session.handoff?.active) {
+      await kvHashDel(handoffIndexKey(tenant), waId);
+    }
+  }
+
+  await saveSession(tenant, waId, session);
+}
+
+// ✅ /tick: conversaciones en handoff sin respuesta del agente vuelven al bot
+// (solo se encolan las vencidas según el índice; el job vuelve a revisar la sesión)
+async function handoffLoop() {
+  const now = new Date();
+  for (const tenant of TENANTS) {
+    try {
+      const index = await kvHashGetAll(handoffIndexKey(tenant));
+      for (const [waId, h] of Object.entries(index)) {
+        if (!handoffTimedOut(h, now)) continue;
+        const job = { type: "agent", tenantId: tenant.id, waTo: waId, action: "timeout" };
+        await inboundQueue.enqueue(`${tenant.id}:${waId}`, job);
+      }
+    } catch (e) {
+      console.error(`Handoff loop error [${tenant.id}]:`, e?.response?.data || e?.message || e);
+    }
+  }
+}
+
+// =========================
+// Lista de espera
+// =========================
+// Entradas por clínica en un hash; cuando se libera un espacio se ofrece a un paciente
+// a la vez (en orden de llegada). Cada oferta vence a los WAITLIST_OFFER_TTL_MIN y pasa al siguiente.
+function waitlistKey(tenant) {
+  return `${REDIS_PREFIX}waitlist:${tenant.id}`;
+}
+
+function waitlistOffersKey(tenant) {
+  return `${REDIS_PREFIX}waitlist:offers:${tenant.id}`;
+}
+
+// oferta activa del paciente (lo que responde "SI" / "NO")
+function waitlistPatientOfferKey(tenant, waId) {
+  return `${REDIS_PREFIX}waitlist:offer:${tenant.id}:${waId}`;
+}
+
+function waitlistClaimKey(tenant, offerId) {
+  return `${REDIS_PREFIX}waitlist:claim:${tenant.id}:${offerId}`;
+}
+
+async function joinWaitlist(tenant, { wa_id, service, provider_id, from, to, label }) {
+  const entries = await kvHashGetAll(waitlistKey(tenant));
+
+  // si ya estaba anotado para lo mismo, solo actualizamos el rango
+  const existing = Object.values(entries).find(
+    (e) => e.wa_id === wa_id && e.service === service && e.status === "waiting"
+  );
+
+  const entry = {
+    id: existing?.id || `wl_${Date.now()}_${crypto.randomBytes(3).toString("hex")}`,
+    wa_id,
+    service,
+    provider_id: provider_id && provider_id !== "any" ? provider_id : "",
+    from,
+    to,
+    label: label || "",
+    status: "waiting",
+    createdAt: existing?.createdAt || new Date().toISOString(),
+  };
+
+  await kvHashSet(waitlistKey(tenant), entry.id, entry);
+  return entry;
+}
+
+// quién puede tomar un espacio libre [start,end) con ese dentista, en orden de llegada
+async function waitlistCandidates(tenant, freed, excludeWaIds = []) {
+  const entries = Object.values(await kvHashGetAll(waitlistKey(tenant)));
+  const start = new Date(freed.start);
+  const freedMin = Math.round((new Date(freed.end).getTime() - start.getTime()) / 60000);
+
+  return entries
+    .filter((e) => e.status === "waiting" && !excludeWaIds.includes(e.wa_id))
+    .filter((e) => start >= new Date(e.from) && start < new Date(e.to))
+    .filter((e) => !e.provider_id || e.provider_id === freed.provider_id)
+    .filter((e) => {
+      const duration = tenant.serviceDuration[e.service] || tenant.serviceDuration["otro"] || 30;
+      if (duration > freedMin) return false;
+      return providersForService(tenant, e.service).some((p) => p.id === freed.provider_id);
+    })
+    .sort((a, b) => new Date(a.createdAt).getTime() - new Date(b.createdAt).getTime());
+}
+
+// ✅ lo llaman cancel/reschedule: el espacio que quedó libre se ofrece a la lista de espera
+async function releaseSlotToWaitlist(tenant, { start, end, provider_id, excludeWaIds = [] }) {
+  if (!WAITLIST_ENABLED || !start || !end) return;
+
+  try {
+    if (new Date(start) < getNowPlusLeadUTC()) return;
+
+    const freed = { start, end, provider_id: provider_id || tenant.providers[0].id };
+    const candidates = await waitlistCandidates(tenant, freed, excludeWaIds.filter(Boolean));
+    if (!candidates.length) return;
+
+    const offer = {
+      id: `wo_${Date.now()}_${crypto.randomBytes(3).toString("hex")}`,
+      slot: freed,
+      queue: candidates.map((c) => c.id),
+      current: "",
+      currentWaId: "",
+      expiresAt: "",
+    };
+
+    await offerToNextOnWaitlist(tenant, offer);
+  } catch (e) {
+    console.error("releaseSlotToWaitlist error:", e?.response?.data || e?.message || e);
+  }
+}
+
+async function offerToNextOnWaitlist(tenant, offer) {
+  const entries = await kvHashGetAll(waitlistKey(tenant));
+
+  while (offer.queue.length) {
+    const entry = entries[offer.queue.shift()];
+    if (!entry || entry.status !== "waiting") continue;
+
+    // ya tiene otra oferta abierta: que no se le crucen dos a la vez
+    if (await kvGetJson(waitlistPatientOfferKey(tenant, entry.wa_id))) continue;
+
+    const duration = tenant.serviceDuration[entry.service] || tenant.serviceDuration["otro"] || 30;
+    const slotStart = new Date(offer.slot.start);
+    const slot = {
+      slot_id: "slot_" + slotStart.getTime(),
+      service: entry.service,
+      start: slotStart.toISOString(),
+      end: addMinutes(slotStart, duration).toISOString(),
+      provider_ids: [offer.slot.provider_id],
+    };
+
+    const ttlSec = WAITLIST_OFFER_TTL_MIN * 60;
+
+    // ✅ "te lo guardo": mientras dura la oferta nadie más lo ve ni lo puede reservar
+    const heldProviderId = await holdSlot(tenant, entry.wa_id, slot, offer.slot.provider_id, { ttlSec });
+    if (!heldProviderId) break; // ya lo tomó alguien: no hay nada que ofrecer
+    slot.held_provider_id = heldProviderId;
+
+    offer.current = entry.id;
+    offer.currentWaId = entry.wa_id;
+    offer.expiresAt = new Date(Date.now() + ttlSec * 1000).toISOString();
+
+    await kvHashSet(waitlistKey(tenant), entry.id, { ...entry, status: "offered" });
+    await kvHashSet(waitlistOffersKey(tenant), offer.id, offer);
+    await kvSetJson(
+      waitlistPatientOfferKey(tenant, entry.wa_id),
+      { offerId: offer.id, entryId: entry.id, slot, expiresAt: offer.expiresAt },
+      ttlSec
+    );
+
+    const providerName = providerLabel(tenant, offer.slot.provider_id);
+    try {
+      // el paciente se anotó hace días: puede que haga falta plantilla
+      await sendWhatsAppTextOrTemplate(
+        tenant,
+        entry.wa_id,
+        `🎉 ¡Se liberó un espacio!\n\n🦷 Servicio: *${serviceTitle(tenant, entry.service)}*\n${dentistLine(
+          providerName,
+          true
+        )}📅 Fecha: *${formatDateInTZ(slot.start, tenant.timezone)}*\n⏰ Hora: *${formatTimeInTZ(
+          slot.start,
+          tenant.timezone
+        )}*\n\n¿Lo quieres? (Te lo guardo por ${WAITLIST_OFFER_TTL_MIN} minutos)`,
+        {
+          template: "waitlist_offer",
+          buttons: [
+            { id: "wl_accept", title: "Sí, lo quiero" },
+            { id: "wl_decline", title: "No, gracias" },
+          ],
+          vars: {
+            service: serviceTitle(tenant, entry.service),
+            date: formatDateInTZ(slot.start, tenant.timezone),
+            time: formatTimeInTZ(slot.start, tenant.timezone),
+            provider: providerName,
+            clinic: tenant.name,
+            minutes: String(WAITLIST_OFFER_TTL_MIN),
+          },
+        }
+      );
+    } catch (e) {
+      console.error("waitlist offer send error:", e?.response?.data || e?.message || e);
+      await releaseSlotHold(tenant, entry.wa_id, heldProviderId, slot.start);
+      await kvHashSet(waitlistKey(tenant), entry.id, { ...entry, status: "waiting" });
+      await kvDel(waitlistPatientOfferKey(tenant, entry.wa_id));
+      continue;
+    }
+    return true;
+  }
+
+  // nadie más en la fila para este espacio (o ya se ocupó)
+  await kvHashDel(waitlistOffersKey(tenant), offer.id);
+  return false;
+}
+
+// el paciente dejó pasar la oferta (o venció): vuelve a esperar y se ofrece al siguiente
+async function passWaitlistOffer(tenant, offer) {
+  const entries = await kvHashGetAll(waitlistKey(tenant));
+  const entry = entries[offer.current];
+  if (entry && entry.status === "offered") {
+    await kvHashSet(waitlistKey(tenant), entry.id, { ...entry, status: "waiting" });
+  }
+  if (offer.currentWaId) {
+    await kvDel(waitlistPatientOfferKey(tenant, offer.currentWaId));
+    await releaseSlotHold(tenant, offer.currentWaId, offer.slot.provider_id, offer.slot.start);
+  }
+  await offerToNextOnWaitlist(tenant, { ...offer, current: "", currentWaId: "", expiresAt: "" });
+}
+
+// ✅ respuesta del paciente a una oferta: el primero que acepta se queda el espacio
+async function answerWaitlistOffer(tenant, waId, accepted) {
+  const mine = await kvGetJson(waitlistPatientOfferKey(tenant, waId));
+  if (!mine) return { status: "none" };
+
+  const offers = await kvHashGetAll(waitlistOffersKey(tenant));
+  const offer = offers[mine.offerId];
+  const stillMine = offer && offer.current === mine.entryId && new Date(offer.expiresAt) > new Date();
+
+  if (!accepted) {
+    if (stillMine) await passWaitlistOffer(tenant, offer);
+    else await kvDel(waitlistPatientOfferKey(tenant, waId));
+    return { status: "declined" };
+  }
+
+  const claimed =
+    stillMine && (await kvSetJsonNX(waitlistClaimKey(tenant, mine.offerId), { wa_id: waId }, 24 * 60 * 60));
+
+  await kvDel(waitlistPatientOfferKey(tenant, waId));
+  if (!claimed) {
+    await restoreWaitlistEntry(tenant, mine.entryId);
+    return { status: "expired" };
+  }
+
+  await kvHashDel(waitlistOffersKey(tenant), mine.offerId);
+
+  // la retención de la oferta se renueva para que termine de dar sus datos; si se perdió igual,
+  // el paciente no pierde su lugar en la lista
+  const heldProviderId = await holdSlot(tenant, waId, mine.slot, mine.slot.held_provider_id || mine.slot.provider_ids?.[0]);
+  if (!heldProviderId) {
+    await restoreWaitlistEntry(tenant, mine.entryId);
+    return { status: "lost", slot: mine.slot };
+  }
+
+  await kvHashDel(waitlistKey(tenant), mine.entryId);
+  return { status: "accepted", slot: { ...mine.slot, held_provider_id: heldProviderId } };
+}
+
+async function restoreWaitlistEntry(tenant, entryId) {
+  const entries = await kvHashGetAll(waitlistKey(tenant));
+  const entry = entries[entryId];
+  if (entry && entry.status === "offered") {
+    await kvHashSet(waitlistKey(tenant), entry.id, { ...entry, status: "waiting" });
+  }
+}
+
+// ✅ corre con /tick: ofertas vencidas pasan al siguiente y se limpian entradas viejas
+async function waitlistLoop() {
+  for (const tenant of TENANTS) {
+    try {
+      const now = new Date();
+
+      const offers = await kvHashGetAll(waitlistOffersKey(tenant));
+      for (const offer of Object.values(offers)) {
+        if (offer.expiresAt && new Date(offer.expiresAt) <= now) await passWaitlistOffer(tenant, offer);
+      }
+
+      const entries = await kvHashGetAll(waitlistKey(tenant));
+      for (const entry of Object.values(entries)) {
+        if (entry.status === "waiting" && new Date(entry.to) <= now) {
+          await kvHashDel(waitlistKey(tenant), entry.id);
+        }
+      }
+    } catch (e) {
+      console.error(`Waitlist loop error [${tenant.id}]:`, e?.response?.data || e?.message || e);
+    }
+  }
+}
+
+// =========================
+// Date parsing
+// =========================
+const DOW = {
+  lunes: 1,
+  martes: 2,
+  miercoles: 3,
+  miércoles: 3,
+  jueves: 4,
+  viernes: 5,
+  sabado: 6,
+  sábado: 6,
+  domingo: 7,
+};
+
+const MONTHS = {
+  enero: 1,
+  febrero: 2,
+  marzo: 3,
+  abril: 4,
+  mayo: 5,
+  junio: 6,
+  julio: 7,
+  agosto: 8,
+  septiembre: 9,
+  setiembre: 9,
+  octubre: 10,
+  noviembre: 11,
+  diciembre: 12,
+};
+
+function startOfLocalDayUTC(date, tz) {
+  const p = getZonedParts(date, tz);
+  return zonedTimeToUtc({ year: p.year, month: p.month, day: p.day, hour: 0, minute: 0 }, tz);
+}
+
+function addLocalDaysUTC(dateUTC, days, tz) {
+  const p = getZonedParts(dateUTC, tz);
+  const base = new Date(Date.UTC(p.year, p.month - 1, p.day, 12, 0, 0));
+  base.setUTCDate(base.getUTCDate() + days);
+  return zonedTimeToUtc(
+    { year: base.getUTCFullYear(), month: base.getUTCMonth() + 1, day: base.getUTCDate(), hour: 0, minute: 0 },
+    tz
+  );
+}
+
+function nextWeekdayFromTodayUTC(targetIsoDow, tz, isNext = false) {
+  const now = new Date();
+  const todayLocal = startOfLocalDayUTC(now, tz);
+
+  const p = getZonedParts(todayLocal, tz);
+  const mid = zonedTimeToUtc({ year: p.year, month: p.month, day: p.day, hour: 12, minute: 0 }, tz);
+  const js = new Date(mid.toISOString());
+  const isoToday = ((js.getUTCDay() + 6) % 7) + 1;
+
+  let diff = targetIsoDow - isoToday;
+  if (diff < 0) diff += 7;
+  if (diff === 0 && isNext) diff = 7;
+
+  return addLocalDaysUTC(todayLocal, diff, tz);
+}
+
+function rangeForWholeMonth(year, month, tz) {
+  const from = zonedTimeToUtc({ year, month, day: 1, hour: 0, minute: 0 }, tz);
+  const toMonth = month === 12 ? { year: year + 1, month: 1 } : { year, month: month + 1 };
+  const to = zonedTimeToUtc(
+    { year: toMonth.year, month: toMonth.month, day: 1, hour: 0, minute: 0 },
+    tz
+  );
+  return { from: from.toISOString(), to: to.toISOString() };
+}
+
+function parseDateRangeFromText(userText, tz) {
+  const t = normalizeText(userText);
+
+  if (t.includes("hoy")) {
+    const from = startOfLocalDayUTC(new Date(), tz);
+    const to = addLocalDaysUTC(from, 1, tz);
+    return { from: from.toISOString(), to: to.toISOString(), label: "hoy" };
+  }
+  if (t.includes("pasado manana") || t.includes("pasado mañana")) {
+    const from = addLocalDaysUTC(startOfLocalDayUTC(new Date(), tz), 2, tz);
+    const to = addLocalDaysUTC(from, 1, tz);
+    return { from: from.toISOString(), to: to.toISOString(), label: "pasado mañana" };
+  }
+  if (t.includes("manana") || t.includes("mañana")) {
+    const from = addLocalDaysUTC(startOfLocalDayUTC(new Date(), tz), 1, tz);
+    const to = addLocalDaysUTC(from, 1, tz);
+    return { from: from.toISOString(), to: to.toISOString(), label: "mañana" };
+  }
+
+  if (t.includes("semana que viene") || t.includes("la semana que viene") || t.includes("siguiente semana")) {
+    const from = addLocalDaysUTC(startOfLocalDayUTC(new Date(), tz), 1, tz);
+    const to = addLocalDaysUTC(from, 7, tz);
+    return { from: from.toISOString(), to: to.toISOString(), label: "la semana que viene" };
+  }
+
+  for (const [mname, mnum] of Object.entries(MONTHS)) {
+    if (t === mname || t.includes(`en ${mname}`) || t.includes(`para ${mname}`)) {
+      const nowP = getZonedParts(new Date(), tz);
+      let year = nowP.year;
+      if (mnum < nowP.month) year += 1;
+      const r = rangeForWholeMonth(year, mnum, tz);
+      return { ...r, label: mname };
+    }
+  }
+
+  for (const [name, iso] of Object.entries(DOW)) {
+    if (t.includes(name)) {
+      const isNext =
+        t.includes("proximo") || t.includes("próximo") || t.includes("que viene") || t.includes("siguiente");
+      const fromDay = nextWeekdayFromTodayUTC(iso, tz, isNext);
+      const toDay = addLocalDaysUTC(fromDay, 1, tz);
+      return { from: fromDay.toISOString(), to: toDay.toISOString(), label: name };
+    }
+  }
+
+  const m1 = t.match(/(\d{1,2})\s+de\s+([a-záéíóú]+)(\s+de\s+(\d{4}))?/);
+  if (m1) {
+    const day = parseInt(m1[1], 10);
+    const monthName = normalizeText(m1[2]);
+    const month = MONTHS[monthName];
+    if (month) {
+      const now = new Date();
+      const nowP = getZonedParts(now, tz);
+      let year = m1[4] ? parseInt(m1[4], 10) : nowP.year;
+
+      if (!m1[4]) {
+        const candidateUTC = zonedTimeToUtc({ year, month, day, hour: 0, minute: 0 }, tz);
+        if (candidateUTC < startOfLocalDayUTC(now, tz)) year += 1;
+      }
+
+      const from = zonedTimeToUtc({ year, month, day, hour: 0, minute: 0 }, tz);
+      const to = addLocalDaysUTC(from, 1, tz);
+      return { from: from.toISOString(), to: to.toISOString(), label: `${day} de ${monthName}` };
+    }
+  }
+
+  return null;
+}
+
+// =========================
+// Slot formatting (LISTADO SIMPLE 8..5 SOLO DISPONIBLES)
+// =========================
+function buildHourlyDisplaySlotsAvailableOnly(allFreeSlots, tz) {
+  const out = [];
+  for (let h = HOURLY_LIST_START; h <= HOURLY_LIST_END; h++) {
+    const match = allFreeSlots.find((s) => {
+      const parts = getZonedParts(new Date(s.start), tz);
+      return parts.hour === h && parts.minute === 0;
+    });
+    if (match) out.push(match);
+  }
+  return out;
+}
+
+// lo que se le muestra al paciente (y a lo que apuntan los números 1,2,3...)
+function displaySlotsFor(tenant, slots) {
+  if (HOURLY_LIST_MODE) return buildHourlyDisplaySlotsAvailableOnly(slots, tenant.timezone);
+  return slots.slice(0, Math.max(1, DISPLAY_SLOTS_LIMIT));
+}
+
+function formatSlotsList(tenant, serviceKey, slots, session) {
+  if (!slots?.length) return null;
+  const dateLabel = formatDateInTZ(slots[0].start, tenant.timezone);
+  const prettyService = serviceTitle(tenant, serviceKey);
+
+  const displaySlots = displaySlotsFor(tenant, slots);
+  if (session) session.lastDisplaySlots = displaySlots;
+
+  if (HOURLY_LIST_MODE && !displaySlots.length) {
+    return (
+      `No veo horarios disponibles entre *8:00 am* y *5:00 pm* para *${prettyService}* el *${dateLabel}* 🙏\n` +
+      `Dime otro día (ej: "viernes") o intenta otro rango.`
+    );
+  }
+
+  const lines = displaySlots.map((s, i) => {
+    const a = formatTimeInTZ(s.start, tenant.timezone);
+    const b = formatTimeInTZ(s.end, tenant.timezone);
+    return `${i + 1}. ${a} - ${b}`;
+  });
+
+  return (
+    `Estos son los horarios disponibles para *${prettyService}* el *${dateLabel}*:\n\n` +
+    `${lines.join("\n")}\n\n` +
+    `Responde con el *número* (1,2,3...) o escribe la *hora* (ej: 10:00 am / 3:00 pm).`
+  );
+}
+
+// WhatsApp permite 10 filas por lista: 9 horarios + "ver más"
+const SLOT_LIST_PAGE_SIZE = 9;
+
+// ✅ lista interactiva de horarios: cada fila es "slot:<slot_id>" y la última "slots_more:<página>"
+async function sendSlotsList(tenant, to, serviceKey, session, page = 0) {
+  const text = formatSlotsList(tenant, serviceKey, session.lastSlots, session);
+  const display = session.lastDisplaySlots;
+
+  if (!display.length) {
+    await sendWhatsAppText(tenant, to, text);
+    return;
+  }
+
+  const tz = tenant.timezone;
+  const first = page * SLOT_LIST_PAGE_SIZE;
+  const view = display.slice(first, first + SLOT_LIST_PAGE_SIZE);
+  const remaining = display.length - first - view.length;
+
+  const rows = view.map((slot, i) => ({
+    id: `slot:${slot.slot_id}`,
+    title: `${first + i + 1}. ${formatTimeInTZ(slot.start, tz)}`,
+    description: `Hasta las ${formatTimeInTZ(slot.end, tz)}`,
+  }));
+  if (remaining > 0) {
+    rows.push({
+      id: `slots_more:${page + 1}`,
+      title: "Ver más horarios",
+      description: `${remaining} horario${remaining === 1 ? "" : "s"} más`,
+    });
+  }
+
+  const body =
+    `Horarios disponibles para *${serviceTitle(tenant, serviceKey)}* el *${formatDateInTZ(display[0].start, tz)}* 👇\n` +
+    `Toca *Ver horarios* o escribe la hora (ej: 10:00 am).`;
+
+  await sendWhatsAppList(
+    tenant,
+    to,
+    { header: "Horarios disponibles", body, footer: tenant.name, button: "Ver horarios", sectionTitle: "Horarios", rows },
+    text
+  );
+}
+
+// =========================
+// Dentista: elección y textos
+// =========================
+function dentistLine(providerName, bold = false) {
+  if (!providerName) return "";
+  return bold ? `👩‍⚕️ Dentista: *${providerName}*\n` : `👩‍⚕️ Dentista: ${providerName}\n`;
+}
+
+function providerChoiceText(tenant, serviceKey, preferredId = "") {
+  const lines = providersForService(tenant, serviceKey).map(
+    (p, i) => `${i + 1}. ${p.name || p.id}${p.id === preferredId ? " ⭐ (tu dentista de siempre)" : ""}`
+  );
+  return (
+    `¿Con qué dentista deseas tu cita de *${serviceTitle(tenant, serviceKey)}*?\n\n` +
+    `${lines.join("\n")}\n\n` +
+    `Responde con el *número*, el *nombre* o escribe *cualquiera*.`
+  );
+}
+
+function isAnyProviderText(textNorm) {
+  return ["cualquiera", "cualquier", "me da igual", "el que sea", "la que sea", "no importa", "quien sea", "indiferente"].some(
+    (k) => (textNorm || "").includes(k)
+  );
+}
+
+// devuelve "any", el id del dentista o null. Los números solo cuentan si acabamos de mostrar la lista.
+function detectProviderFromUser(tenant, serviceKey, text, { allowNumber = false } = {}) {
+  const t = normalizeText(text);
+  if (!t) return null;
+  if (isAnyProviderText(t)) return "any";
+
+  const list = providersForService(tenant, serviceKey);
+
+  if (allowNumber && /^\d+$/.test(t)) {
+    return list[parseInt(t, 10) - 1]?.id || null;
+  }
+
+  const TITLES = ["dr", "dra", "doctor", "doctora", "odontologo", "odontologa"];
+  for (const p of list) {
+    if (normalizeText(p.id) === t) return p.id;
+    const words = normalizeText(p.name)
+      .replace(/[^\p{L}\p{N}\s]/gu, " ")
+      .split(" ")
+      .filter((w) => w.length >= 3 && !TITLES.includes(w));
+    if (words.some((w) => new RegExp(`\\b${w}\\b`).test(t))) return p.id;
+  }
+
+  return null;
+}
+
+// dentista con el que se reserva el slot elegido: el que quedó apartado, el preferido si está libre o el primero libre
+function providerForPickedSlot(session, slot) {
+  if (slot?.held_provider_id) return slot.held_provider_id;
+  const pref = session.pendingProvider;
+  if (pref && pref !== "any" && (!slot?.provider_ids || slot.provider_ids.includes(pref))) return pref;
+  return slot?.provider_ids?.[0] || "";
+}
+
+// ✅ FIX: parsear hora del usuario con AM/PM robusto (pero NO interpretar "1" / "10" como hora)
+function parseUserTimeTo24h(userText) {
+  const raw = String(userText || "").trim().toLowerCase();
+  if (!raw) return null;
+
+  let compact = raw.replace(/\./g, "").replace(/\s+/g, " ").trim();
+  compact = compact.replace(/\b([ap])\s*m\b/g, "$1m");
+
+  if (/^\d{1,2}$/.test(compact)) return null;
+
+  const m = compact.match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/i);
+  if (!m) return null;
+
+  let hh = parseInt(m[1], 10);
+  const mm = m[2] ? parseInt(m[2], 10) : 0;
+  const mer = m[3] ? String(m[3]).toLowerCase() : "";
+
+  if (Number.isNaN(hh) || Number.isNaN(mm)) return null;
+  if (mm < 0 || mm > 59) return null;
+
+  if (mer === "am" || mer === "pm") {
+    if (hh < 1 || hh > 12) return null;
+    if (mer === "pm" && hh !== 12) hh += 12;
+    if (mer === "am" && hh === 12) hh = 0;
+  } else {
+    if (hh < 0 || hh > 23) return null;
+  }
+
+  return { hh, mm, meridian: mer || null };
+}
+
+function tryPickSlotFromUserText(tenant, session, userText) {
+  const t = normalizeText(userText);
+
+  if (/^\d+$/.test(t)) {
+    const num = parseInt(t, 10);
+    if (!Number.isNaN(num)) {
+      if (HOURLY_LIST_MODE) {
+        if (num >= 1 && num <= (session.lastDisplaySlots?.length || 0)) {
+          return session.lastDisplaySlots[num - 1] || null;
+        }
+        return null;
+      }
+
+      if (num >= 1 && num <= Math.min(session.lastSlots.length, DISPLAY_SLOTS_LIMIT)) {
+        return session.lastSlots[num - 1];
+      }
+    }
+  }
+
+  const parsed = parseUserTimeTo24h(userText);
+  if (parsed) {
+    const { hh, mm } = parsed;
+
+    if (HOURLY_LIST_MODE) {
+      if (mm !== 0) return null;
+      if (hh < HOURLY_LIST_START || hh > HOURLY_LIST_END) return null;
+
+      const found = session.lastSlots.find((s) => {
+        const parts = getZonedParts(new Date(s.start), tenant.timezone);
+        return parts.hour === hh && parts.minute === 0;
+      });
+      if (found) return found;
+      return null;
+    }
+
+    const found = session.lastSlots.find((s) => {
+      const d = new Date(s.start);
+      const parts = getZonedParts(d, tenant.timezone);
+      return parts.hour === hh && parts.minute === mm;
+    });
+
+    if (found) return found;
+    return null;
+  }
+
+  const m = t.match(/^(\d{1,2})(?::(\d{2}))?$/);
+  if (m) {
+    const hh = parseInt(m[1], 10);
+    const mm = m[2] ? parseInt(m[2], 10) : 0;
+
+    const found = session.lastSlots.find((s) => {
+      const d = new Date(s.start);
+      const parts = getZonedParts(d, tenant.timezone);
+      return parts.hour === hh && parts.minute === mm;
+    });
+    if (found) return found;
+  }
+
+  return null;
+}
+
+// =========================
+// OpenAI: tool calling (kept)
+// =========================
+function dentistsPromptBlock(tenant) {
+  const named = tenant.providers.filter((p) => !p.implicit);
+  if (!named.length) return "";
+
+  const lines = named.map((p) => {
+    const svc = p.services ? p.services.map((k) => serviceTitle(tenant, k)).join(", ") : "todos los servicios";
+    return `- ${p.name || p.id} (provider_id: ${p.id}): ${svc}`;
+  });
+  return `\nDentistas (si el paciente no tiene preferencia, usa cualquiera libre):\n${lines.join("\n")}\n`;
+}
+
+async function callOpenAI({ tenant, session, userId, userText, userPhone, msgId = "", extraSystem = "" }) {
+  const today = new Date();
+  const tzParts = getZonedParts(today, tenant.timezone);
+  const todayStr = `${tzParts.year}-${String(tzParts.month).padStart(2, "0")}-${String(tzParts.day).padStart(2, "0")}`;
+
+  const system = {
+    role: "system",
+    content: `
+Eres un asistente de WhatsApp de ${tenant.name} para agendar citas.
+Reglas:
+- No diagnostiques ni des consejo médico. Solo agenda y triage.
+- Urgencias reales (dolor severo, sangrado fuerte, fiebre, trauma, hinchazón intensa): llama a handoff_to_human.
+- NO inventes horarios. Solo ofrece slots de get_available_slots.
+- Si get_available_slots trae closed_reason, dile al paciente por qué no hay horarios (ej: "ese día es feriado") y sugiere otro día.
+- Para reservar, debes llamar a book_appointment con slot_start y slot_end EXACTOS del slot elegido.
+- Si book_appointment devuelve policy: "confirm" => pregunta si asistirá y, si dice que sí, vuelve a llamarlo con attendance_confirmed=true; "too_far" => solo puede agendar antes de "until"; "handoff" => dile que alguien del equipo le escribirá para agendar.
+- Si book_appointment o reschedule_appointment devuelven error: "slot_taken", ese horario se acaba de ocupar: ofrece solo los de "alternatives".
+- Si reschedule_appointment devuelve ok: false con error "cancelled" o "released", esa cita ya no está activa: no la reprogrames; ofrece agendar una nueva.
+- Si cancel_appointment devuelve late: true, fue una cancelación tardía: confirma la cancelación y explica la política de la clínica (campo "policy").
+- Mantén respuestas cortas, claras y con opciones.
+- Fecha actual (zona ${tenant.timezone}): ${todayStr}. Interpreta "mañana", "viernes", "próximo martes", etc. correctamente.
+- Importante: no ofrezcas horarios que inicien en menos de ${MIN_BOOKING_LEAD_MIN} minutos desde ahora.
+
+Servicios disponibles (usuario puede escribirlos):
+${tenant.services.map((s) => `- ${s.title}`).join("\n")}
+${dentistsPromptBlock(tenant)}
+
+${extraSystem}
+Tel usuario: ${userPhone}.
+`,
+  };
+
+  session.messages.push({ role: "user", content: userText });
+  const messages = [system, ...session.messages].slice(-14);
+
+  const tools = [
+    {
+      type: "function",
+      function: {
+        name: "get_available_slots",
+        description: "Obtiene horarios reales disponibles para un servicio en rango de fechas.",
+        parameters: {
+          type: "object",
+          properties: {
+            service: { type: "string" },
+            from: { type: "string" },
+            to: { type: "string" },
+            provider_id: { type: "string", description: "Id del dentista, o vacío para cualquiera." },
+          },
+          required: ["from", "to"],
+        },
+      },
+    },
+    {
+      type: "function",
+      function: {
+        name: "book_appointment",
+        description: "Reserva una cita en el calendario usando el slot elegido (start/end exactos).",
+        parameters: {
+          type: "object",
+          properties: {
+            patient_name: { type: "string" },
+            phone: { type: "string" },
+            slot_id: { type: "string" },
+            service: { type: "string" },
+            notes: { type: "string" },
+            slot_start: { type: "string" },
+            slot_end: { type: "string" },
+            provider_id: { type: "string", description: "Id del dentista (uno de provider_ids del slot)." },
+            attendance_confirmed: {
+              type: "boolean",
+              description: "true solo si el paciente confirmó explícitamente que asistirá (lo pide la política de inasistencias).",
+            },
+          },
+          required: ["patient_name", "phone", "slot_id", "service", "slot_start", "slot_end"],
+        },
+      },
+    },
+    {
+      type: "function",
+      function: {
+        name: "reschedule_appointment",
+        description: "Reagenda una cita a un nuevo slot (start/end exactos).",
+        parameters: {
+          type: "object",
+          properties: {
+            appointment_id: { type: "string" },
+            new_slot_id: { type: "string" },
+            new_start: { type: "string" },
+            new_end: { type: "string" },
+            new_provider_id: { type: "string" },
+          },
+          required: ["appointment_id", "new_slot_id", "new_start", "new_end"],
+        },
+      },
+    },
+    {
+      type: "function",
+      function: {
+        name: "cancel_appointment",
+        description: "Cancela una cita por id.",
+        parameters: {
+          type: "object",
+          properties: {
+            appointment_id: { type: "string" },
+            reason: { type: "string" },
+          },
+          required: ["appointment_id"],
+        },
+      },
+    },
+    {
+      type: "function",
+      function: {
+        name: "handoff_to_human",
+        description: "Deriva a humano si urgencia o caso especial.",
+        parameters: {
+          type: "object",
+          properties: { summary: { type: "string" } },
+          required: ["summary"],
+        },
+      },
+    },
+  ];
+
+  const resp = await axios.post(
+    "https://api.openai.com/v1/chat/completions",
+    {
+      model: "gpt-4.1-mini",
+      messages,
+      tools,
+      tool_choice: "auto",
+      temperature: 0.2,
+    },
+    { headers: { Authorization: `Bearer ${OPENAI_API_KEY}` }, timeout: OPENAI_TIMEOUT_MS }
+  );
+
+  const msg = resp.data.choices?.[0]?.message;
+
+  if (msg?.tool_calls?.length) {
+    const toolResults = [];
+    for (const tc of msg.tool_calls) {
+      const name = tc.function.name;
+      const args = JSON.parse(tc.function.arguments || "{}");
+
+      if (name === "get_available_slots") {
+        const slots = await getAvailableSlotsTool(tenant, { ...args, wa_id: userId });
+        const closed_reason = slots.length ? "" : explainNoAvailability(tenant, args);
+        toolResults.push({
+          tool_call_id: tc.id,
+          role: "tool",
+          name,
+          content: JSON.stringify({ slots, closed_reason }),
+        });
+      }
+
+      if (name === "book_appointment") {
+        const verdict = await attendancePolicyVerdict(tenant, { wa_id: userId, phone: args.phone, start: args.slot_start });
+        let out;
+        if (verdict.action === "ok" || (verdict.action === "confirm" && args.attendance_confirmed)) {
+          try {
+            const booked = await bookAppointmentTool(tenant, {
+              ...args,
+              wa_id: userId,
+              // la IA puede repetir el tool en el mismo turno o en un reintento del webhook
+              idempotency_key: idempotencyKey("book", tenant.id, userId, args.slot_start, msgId),
+            });
+            if (verdict.action === "confirm") {
+              await confirmAppointmentTool(tenant, { appointment_id: booked.appointment_id, provider_id: booked.provider_id, via: "booking" });
+            }
+            out = { booked };
+          } catch (e) {
+            if (!isSlotTakenError(e)) throw e;
+            const alternatives = args.service
+              ? await nearestAlternativeSlots(tenant, { service: args.service, start: args.slot_start, wa_id: userId })
+              : [];
+            out = { booked: null, error: "slot_taken", alternatives };
+          }
+        } else {
+          if (verdict.action === "handoff") {
+            await startHandoff(tenant, session, userId, {
+              reason: "attendance_policy",
+              summary: attendanceHandoffSummary(tenant, {
+                phone: args.phone,
+                patient_name: args.patient_name,
+                slot: { start: args.slot_start },
+                summary: verdict.summary,
+              }),
+            });
+          }
+          out = { booked: null, policy: verdict.action, until: verdict.until || undefined };
+        }
+        toolResults.push({ tool_call_id: tc.id, role: "tool", name, content: JSON.stringify(out) });
+      }
+
+      if (name === "reschedule_appointment") {
+        let out;
+        try {
+          out = await rescheduleAppointmentTool(tenant, {
+            ...args,
+            idempotency_key: idempotencyKey("reschedule", tenant.id, userId, args.appointment_id, args.new_start, msgId),
+          });
+        } catch (e) {
+          if (!isSlotTakenError(e)) throw e;
+          const alternatives = args.service
+            ? await nearestAlternativeSlots(tenant, { service: args.service, start: args.new_start, wa_id: userId })
+            : [];
+          out = { ok: false, error: "slot_taken", alternatives };
+        }
+        toolResults.push({ tool_call_id: tc.id, role: "tool", name, content: JSON.stringify(out) });
+      }
+
+      if (name === "cancel_appointment") {
+        const out = await cancelAppointmentTool(tenant, {
+          ...args,
+          by: "patient",
+          idempotency_key: idempotencyKey("cancel", tenant.id, userId, args.appointment_id, msgId),
+        });
+        toolResults.push({ tool_call_id: tc.id, role: "tool", name, content: JSON.stringify(out) });
+      }
+
+      if (name === "handoff_to_human") {
+        const out = await handoffToHumanTool(tenant, session, userId, args);
+        toolResults.push({ tool_call_id: tc.id, role: "tool", name, content: JSON.stringify(out) });
+      }
+    }
+
+    const resp2 = await axios.post(
+      "https://api.openai.com/v1/chat/completions",
+      { model: "gpt-4.1-mini", messages: [...messages, msg, ...toolResults], temperature: 0.2 },
+      { headers: { Authorization: `Bearer ${OPENAI_API_KEY}` }, timeout: OPENAI_TIMEOUT_MS }
+    );
+
+    const finalText = resp2.data.choices?.[0]?.message?.content?.trim() || "";
+    session.messages.push({ role: "assistant", content: finalText });
+    return finalText || "¿En cuál servicio deseas agendar tu cita?";
+  }
+
+  const text = msg?.content?.trim() || "Hola 👋 ¿Deseas agendar una cita? Escribe el servicio o te muestro el menú.";
+  session.messages.push({ role: "assistant", content: text });
+  return text;
+}
+
+// =========================
+// Webhooks
+// =========================
+app.get("/webhook", (req, res) => {
+  const mode = req.query["hub.mode"];
+  const token = req.query["hub.verify_token"];
+  const challenge = req.query["hub.challenge"];
+  if (mode === "subscribe" && token === VERIFY_TOKEN) return res.status(200).send(challenge);
+  return res.sendStatus(403);
+});
+
+function extractIncomingText(msg) {
+  if (!msg) return "";
+
+  if (msg?.text?.body) return msg.text.body;
+
+  if (msg?.type === "interactive" && msg?.interactive?.list_reply) {
+    const lr = msg.interactive.list_reply;
+    return lr.id || lr.title || "";
+  }
+
+  if (msg?.type === "interactive" && msg?.interactive?.button_reply) {
+    const br = msg.interactive.button_reply;
+    return br.id || br.title || "";
+  }
+
+  // botón de respuesta rápida de una plantilla
+  if (msg?.type === "button" && msg?.button) return msg.button.payload || msg.button.text || "";
+
+  if (msg?.type === "audio" && msg?.audio?.id) return "[AUDIO]";
+
+  if (msg?.type === "location" && msg?.location) {
+    const { latitude, longitude, name, address } = msg.location;
+    return `📍 Ubicación: ${name || ""} ${address || ""} (${latitude}, ${longitude})`.trim();
+  }
+
+  if (msg?.type === "image" && msg?.image?.id) return "[IMAGE]";
+  if (msg?.type === "video" && msg?.video?.id) return "[VIDEO]";
+  if (msg?.type === "document" && msg?.document?.id) return "[DOCUMENT]";
+  if (msg?.type === "sticker" && msg?.sticker?.id) return "[STICKER]";
+
+  if (msg?.type === "contacts" && msg?.contacts?.length) return "[CONTACTS]";
+  if (msg?.type === "reaction" && msg?.reaction) return `[REACTION] ${msg.reaction.emoji || ""}`.trim();
+
+  return `[${(msg?.type || "UNKNOWN").toUpperCase()}]`;
+}
+
+// ✅ ids de botones y filas de lista: "accion" o "accion:argumento" (sin adivinar por texto)
+const ACTION_TYPES = [
+  "slot",
+  "slots_more",
+  "appt_confirm",
+  "appt_reschedule",
+  "appt_cancel",
+  "appt_pick",
+  "wl_accept",
+  "wl_decline",
+  "attend_yes",
+  "attend_no",
+  "triage",
+  "profile_yes",
+  "profile_no",
+  "who",
+  "relationship",
+];
+
+const NUMERIC_ANSWER_STATES = [
+  "await_slot_choice",
+  "await_provider",
+  "await_phone",
+  "await_patient_choice",
+  "await_dependent_age",
+  "await_appt_choice",
+];
+
+function extractInteractiveId(msg) {
+  if (msg?.type === "interactive") return msg.interactive?.list_reply?.id || msg.interactive?.button_reply?.id || "";
+  if (msg?.type === "button") return msg.button?.payload || "";
+  return "";
+}
+
+function parseActionId(id) {
+  const raw = String(id || "");
+  const idx = raw.indexOf(":");
+  const type = idx === -1 ? raw : raw.slice(0, idx);
+  if (!ACTION_TYPES.includes(type)) return null;
+  return { type, arg: idx === -1 ? "" : raw.slice(idx + 1) };
+}
+
+function detectServiceKeyFromUser(tenant, text) {
+  const t = normalizeText(text);
+
+  if (tenant.serviceIdToKey[text]) return tenant.serviceIdToKey[text];
+
+  for (const s of tenant.services) {
+    const nt = normalizeText(s.title);
+    if (t === nt) return s.key;
+    if (t.includes(nt)) return s.key;
+  }
+
+  if (t.includes("limpieza")) return "limpieza_prevencion";
+  if (t.includes("prevencion")) return "limpieza_prevencion";
+  if (t.includes("orto")) return "ortodoncia";
+  if (t.includes("implante")) return "implantes";
+  if (t.includes("pediatr")) return "odontopediatria";
+  if (t.includes("estetica") || t.includes("estética")) return "estetica_dental";
+  if (t.includes("urgencia")) return "urgencias";
+
+  return null;
+}
+
+// =====================================================
+// ✅ endpoint para recibir mensaje del AGENTE desde BotHub
+// =====================================================
+app.post("/agent_message", agentJsonBody, async (req, res) => {
+  try {
+    if (!BOTHUB_WEBHOOK_SECRET) {
+      return res.status(400).json({ error: "BOTHUB_WEBHOOK_SECRET not configured" });
+    }
+
+    const signature = getHubSignature(req);
+    const okSig = verifyHubSignature(req.body, signature, BOTHUB_WEBHOOK_SECRET);
+
+    if (!signature || !okSig) {
+      console.warn("[agent_message] Invalid signature", {
+        hasSignature: Boolean(signature),
+        sigLen: signature ? String(signature).length : 0,
+      });
+      return res.status(401).json({ error: "Invalid signature" });
+    }
+
+    const { waTo, text, tenantId, phoneNumberId } = req.body || {};
+    if (!waTo || !String(waTo).trim()) return res.status(400).json({ error: "waTo is required" });
+
+    const tenant =
+      tenantId || phoneNumberId
+        ? findTenantById(tenantId) || findTenantByPhoneNumberId(phoneNumberId)
+        : DEFAULT_TENANT;
+    if (!tenant) return res.status(404).json({ error: "Unknown tenant" });
+
+    // action: "release" (devolver al bot) | "takeover" (pausar el bot sin escribir); o un comando en text
+    const waId = String(waTo).replace(/[^\d]/g, "");
+    const isReleaseCommand = HANDOFF_RELEASE_COMMANDS.includes(String(text || "").trim().toLowerCase());
+    const type = String(req.body?.type || "text").trim().toLowerCase();
+
+    if (req.body?.action === "release" || isReleaseCommand || req.body?.action === "takeover") {
+      const action = req.body?.action === "takeover" ? "takeover" : "release";
+      await inboundQueue.enqueue(`${tenant.id}:${waId}`, { type: "agent", tenantId: tenant.id, waTo: waId, action });
+      return res.json({ ok: true, action });
+    }
+
+    // lista de horarios del bot: el paciente elige y el bot termina la reserva
+    if (type === "slots") {
+      const slots = parseAgentSlotsRequest(tenant, req.body);
+      await inboundQueue.enqueue(`${tenant.id}:${waId}`, { type: "agent", tenantId: tenant.id, waTo: waId, action: "slots", slots });
+      return res.json({ ok: true, action: "slots", queued: true });
+    }
+
+    const sent = await sendAgentMessage(tenant, waId, type, req.body, { baseUrl: getBotPublicBaseUrl(req) });
+    await inboundQueue.enqueue(`${tenant.id}:${waId}`, { type: "agent", tenantId: tenant.id, waTo: waId, action: "message" });
+    return res.json({ ok: true, action: "message", type, ...sent });
+  } catch (e) {
+    if (e?.status === 400) return res.status(400).json({ error: e.message });
+    if (isOutsideWindowError(e)) {
+      return res.status(409).json({ error: "Outside the 24h customer service window: send a template (type=template)" });
+    }
+    console.error("agent_message error:", e?.response?.data || e?.message || e);
+    return res.status(500).json({ error: "Internal error" });
+  }
+});
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+// mediaUrl del agente: solo https a hosts públicos (nada de localhost, red interna ni metadata de la nube)
+const PRIVATE_NETWORKS = new net.BlockList();
+for (const [ip, prefix] of [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 3],
+]) {
+  PRIVATE_NETWORKS.addSubnet(ip, prefix, "ipv4");
+}
+for (const [ip, prefix] of [["::", 127], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]]) {
+  PRIVATE_NETWORKS.addSubnet(ip, prefix, "ipv6");
+}
+
+function isPrivateAddress(address) {
+  const v4 = String(address).match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i)?.[1];
+  if (v4 || net.isIPv4(address)) return PRIVATE_NETWORKS.check(v4 || address, "ipv4");
+  return net.isIPv6(address) ? PRIVATE_NETWORKS.check(address, "ipv6") : true;
+}
+
+function parseAgentMediaUrl(raw) {
+  let url;
+  try {
+    url = new URL(String(raw));
+  } catch {
+    throw badRequest("mediaUrl is invalid");
+  }
+  if (url.protocol !== "https:") throw badRequest("mediaUrl must be https");
+  const host = url.hostname.replace(/^\[|\]$/g, "");
+  if (net.isIP(host) && isPrivateAddress(host)) throw badRequest("mediaUrl host is not allowed");
+  return url;
+}
+
+// se valida la IP a la que realmente se conecta (un DNS no puede apuntar luego a la red interna)
+async function publicOnlyLookup(hostname) {
+  const addresses = await dns.lookup(hostname, { all: true });
+  if (!addresses.length || addresses.some((a) => isPrivateAddress(a.address))) {
+    throw badRequest("mediaUrl host is not allowed");
+  }
+  return addresses;
+}
+
+// media del agente: mediaId (ya en Meta), mediaBase64 + mimeType, o mediaUrl (el bot la descarga y la sube)
+async function resolveAgentMedia(body) {
+  const filename = body.filename ? sanitizeFileName(body.filename) : "";
+  if (body.mediaId) return { id: String(body.mediaId), mimeType: body.mimeType, filename };
+
+  let buffer = null;
+  let mimeType = String(body.mimeType || "").trim();
+
+  if (body.mediaBase64) {
+    buffer = Buffer.from(String(body.mediaBase64).replace(/^data:[^;]+;base64,/, ""), "base64");
+  } else if (body.mediaUrl) {
+    const url = parseAgentMediaUrl(body.mediaUrl);
+    const bin = await axios.get(url.toString(), {
+      responseType: "arraybuffer",
+      timeout: 60000,
+      maxContentLength: AGENT_MEDIA_MAX_BYTES,
+      maxRedirects: 0,
+      lookup: publicOnlyLookup,
+      proxy: false,
+      validateStatus: () => true,
+    }).catch((e) => {
+      if (e?.status === 400) throw e;
+      if (e?.cause?.status === 400) throw e.cause;
+      throw badRequest(`mediaUrl download failed (${e?.code || e?.message || "error"})`);
+    });
+    if (bin.status < 200 || bin.status >= 300) throw badRequest(`mediaUrl download failed (${bin.status})`);
+    buffer = Buffer.from(bin.data);
+    mimeType = mimeType || String(bin.headers?.["content-type"] || "").split(";")[0].trim();
+  } else {
+    throw badRequest("mediaId, mediaBase64 or mediaUrl is required");
+  }
+
+  if (!buffer.length) throw badRequest("media is empty");
+  if (buffer.length > AGENT_MEDIA_MAX_BYTES) throw badRequest(`media exceeds ${AGENT_MEDIA_MAX_BYTES} bytes`);
+  if (!mimeType) throw badRequest("mimeType is required");
+
+  return { buffer, mimeType, filename: filename || `archivo${extFromMimeType(mimeType)}` };
+}
+
+// text | image | document | audio | location | template
+async function sendAgentMessage(tenant, to, type, body, { baseUrl = "" } = {}) {
+  if (type === "text") {
+    const text = String(body.text || "").trim();
+    if (!text) throw badRequest("text is required");
+    return { waMessageId: await sendWhatsAppText(tenant, to, text, "AGENT") };
+  }
+
+  if (["image", "document", "audio"].includes(type)) {
+    const media = await resolveAgentMedia(body);
+    const caption = String(body.caption || body.text || "").trim();
+    return sendWhatsAppMedia(tenant, to, type, media, { caption, reportSource: "AGENT", baseUrl });
+  }
+
+  if (type === "location") {
+    const latitude = Number(body.latitude);
+    const longitude = Number(body.longitude);
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) throw badRequest("latitude and longitude are required");
+    const waMessageId = await sendWhatsAppLocation(
+      tenant,
+      to,
+      { latitude, longitude, name: String(body.name || "").trim(), address: String(body.address || "").trim() },
+      "AGENT"
+    );
+    return { waMessageId };
+  }
+
+  if (type === "template") {
+    // llave configurada (template + vars) o plantilla aprobada por nombre (templateName + params en orden)
+    let def = null;
+    let vars = body.vars || {};
+    if (body.template) {
+      def = tenant.templates[String(body.template)];
+      if (!def?.name) throw badRequest(`Unknown template key: ${body.template}`);
+    } else if (body.templateName) {
+      const params = Array.isArray(body.params) ? body.params.map(String) : [];
+      def = { name: String(body.templateName), language: body.language || undefined, params: params.map((_, i) => String(i + 1)) };
+      vars = Object.fromEntries(params.map((v, i) => [String(i + 1), v]));
+    } else {
+      throw badRequest("template or templateName is required");
+    }
+    return { waMessageId: await sendWhatsAppTemplate(tenant, to, def, vars, { reportSource: "AGENT" }) };
+  }
+
+  throw badRequest(`Unknown type: ${type}`);
+}
+
+// { service, date: "YYYY-MM-DD" | "mañana" | "viernes"..., provider_id? }
+function parseAgentSlotsRequest(tenant, body) {
+  const service = String(body.service || "").trim();
+  if (!tenant.services.some((s) => s.key === service)) throw badRequest("Unknown service");
+
+  const date = String(body.date || "").trim();
+  if (!date) throw badRequest("date is required");
+
+  const range = isValidDateKey(date)
+    ? { ...localDayRangeISO(tenant, date), label: date }
+    : parseDateRangeFromText(date, tenant.timezone);
+  if (!range) throw badRequest("Could not understand date");
+
+  const provider_id = String(body.provider_id || "").trim();
+  if (provider_id && !findProvider(tenant, provider_id)) throw badRequest("Unknown provider");
+
+  return { service, provider_id, range };
+}
+
+// =====================================================
+// ✅ NEW: media proxy para BotHub
+// - El CRM NO necesita WA_TOKEN
+// - El bot usa SU propio WA_TOKEN para traer audio/doc/imagen
+// =====================================================
+app.get("/hub_media/:mediaId", async (req, res) => {
+  try {
+    const { mediaId } = req.params || {};
+    const ts = String(req.query?.ts || "");
+    const sig = String(req.query?.sig || "");
+    const tenantId = String(req.query?.t || "");
+
+    if (!mediaId) {
+      return res.status(400).json({ error: "mediaId is required" });
+    }
+
+    if (!verifyHubMediaToken(mediaId, ts, sig, tenantId)) {
+      return res.status(401).json({ error: "Invalid or expired media signature" });
+    }
+
+    const tenant = tenantId ? findTenantById(tenantId) : DEFAULT_TENANT;
+    if (!tenant) {
+      return res.status(404).json({ error: "Unknown tenant" });
+    }
+
+    if (!tenant.waToken) {
+      return res.status(500).json({ error: "WA_TOKEN not configured in bot" });
+    }
+
+    const info = await getMetaMediaInfo(mediaId, tenant.waToken);
+    const mimeType = String(info?.mime_type || "application/octet-stream");
+    const filename = sanitizeFileName(
+      info?.filename || `media-${mediaId}${extFromMimeType(mimeType)}`,
+      `media-${mediaId}${extFromMimeType(mimeType)}`
+    );
+
+    const downloaded = await downloadMetaMedia(mediaId, tenant.waToken);
+
+    res.setHeader("Content-Type", downloaded.mimeType || mimeType);
+    res.setHeader("Cache-Control", "private, max-age=300");
+    res.setHeader("Content-Disposition", `inline; filename="${String(filename).replace(/"/g, "")}"`);
+
+    return res.status(200).send(downloaded.buffer);
+  } catch (e) {
+    console.error("hub_media error:", e?.response?.data || e?.message || e);
+    return res.status(500).json({
+      error: "hub_media_failed",
+      detail: e?.response?.data || e?.message || "unknown",
+    });
+  }
+});
+
+// =========================
+// ✅ Triage de urgencias
+// =========================
+// Preguntas guiadas (botones / lista; también se aceptan respuestas escritas). Cada respuesta suma
+// puntos y algunas son señales de alarma; con eso se decide: cita hoy, aviso inmediato al staff o emergencias.
+const TRIAGE_STEPS = [
+  {
+    key: "pain",
+    label: "Dolor",
+    prompt: "¿Cuánto dolor tienes, del 0 al 10?",
+    list: true,
+    options: [
+      { value: "0", title: "Sin dolor (0)", points: 0, match: ["sin dolor", "nada"] },
+      { value: "2", title: "Leve (1-3)", points: 0, match: ["leve", "poco"] },
+      { value: "5", title: "Moderado (4-6)", points: 1, match: ["moderado", "regular"] },
+      { value: "8", title: "Fuerte (7-8)", points: 2, match: ["fuerte", "mucho"] },
+      { value: "10", title: "Insoportable (9-10)", points: 3, match: ["insoportable", "horrible", "muchisimo"] },
+    ],
+  },
+  {
+    key: "swelling",
+    label: "Inflamación",
+    prompt: "¿Tienes inflamación (hinchazón)?",
+    options: [
+      { value: "no", title: "No", points: 0, match: ["no"] },
+      { value: "mouth", title: "En encía o boca", points: 1, match: ["si", "encia", "boca", "poco", "leve"] },
+      { value: "face", title: "Cara, ojo o cuello", points: 3, flag: "swelling_face", match: ["cara", "ojo", "cuello", "cachete", "mejilla"] },
+    ],
+  },
+  {
+    key: "bleeding",
+    label: "Sangrado",
+    prompt: "¿Tienes sangrado?",
+    options: [
+      { value: "no", title: "No", points: 0, match: ["no"] },
+      { value: "little", title: "Poco o ya paró", points: 1, match: ["si", "poco", "paro", "leve"] },
+      { value: "uncontrolled", title: "No para", points: 4, flag: "bleeding_uncontrolled", match: ["no para", "mucho", "abundante", "sigue"] },
+    ],
+  },
+  {
+    key: "fever",
+    label: "Fiebre",
+    prompt: "¿Tienes fiebre?",
+    options: [
+      { value: "yes", title: "Sí", points: 2, match: ["si", "fiebre", "calentura"] },
+      { value: "no", title: "No", points: 0, match: ["no"] },
+    ],
+  },
+  {
+    key: "trauma",
+    label: "Golpe",
+    prompt: "¿Fue por un golpe o accidente?",
+    options: [
+      { value: "no", title: "No", points: 0, match: ["no"] },
+      { value: "broken", title: "Golpe / diente roto", points: 2, match: ["si", "golpe", "roto", "partido", "fractura", "accidente"] },
+      { value: "avulsion", title: "Se salió un diente", points: 3, flag: "avulsion", match: ["salio", "se cayo", "arranco", "se me cayo"] },
+    ],
+  },
+  {
+    key: "onset",
+    label: "Inicio",
+    prompt: "¿Desde cuándo tienes el problema?",
+    options: [
+      { value: "today", title: "Hoy", points: 1, match: ["hoy", "ahora", "hace un rato", "horas"] },
+      { value: "days", title: "1 a 3 días", points: 0, match: ["ayer", "dias", "antier"] },
+      { value: "longer", title: "Más de 3 días", points: 0, match: ["mas de", "semana", "mes"] },
+    ],
+  },
+  { key: "photo", label: "Foto", prompt: "Si puedes, envíame una *foto* de la zona 📷\nSi no, toca *Omitir*." },
+];
+
+function triageOption(step, value) {
+  return (step.options || []).find((o) => o.value === value) || null;
+}
+
+// respuesta escrita: gana la palabra clave más larga ("no para" antes que "no"); el dolor acepta el número
+function matchTriageAnswer(step, tNorm) {
+  if (step.key === "pain") {
+    const n = tNorm.match(/\b(10|[0-9])\b/);
+    if (n) {
+      const v = parseInt(n[1], 10);
+      return { ...triageOption(step, v >= 9 ? "10" : v >= 7 ? "8" : v >= 4 ? "5" : v >= 1 ? "2" : "0"), value: String(v) };
+    }
+  }
+
+  let best = null;
+  let bestLen = 0;
+  for (const opt of step.options || []) {
+    for (const k of opt.match || []) {
+      const hit = k.length <= 2 ? tNorm.split(/[^a-z0-9]+/).includes(k) : tNorm.includes(k);
+      if (hit && k.length > bestLen) {
+        best = opt;
+        bestLen = k.length;
+      }
+    }
+  }
+  return best;
+}
+
+function triageAnswerLabel(key, value) {
+  const step = TRIAGE_STEPS.find((st) => st.key === key);
+  if (key === "pain") return `${value}/10`;
+  if (key === "photo") return value ? "enviada" : "no";
+  return triageOption(step, value)?.title || value;
+}
+
+function triageSummaryText(triage) {
+  const parts = TRIAGE_STEPS.filter((st) => triage.answers?.[st.key] !== undefined).map(
+    (st) => `${st.label}: ${triageAnswerLabel(st.key, triage.answers[st.key])}`
+  );
+  const outcome = { er: "emergencias", escalate: "aviso inmediato al staff", same_day: "cita hoy" }[triage.outcome] || "";
+  return `🚑 Triage (puntaje ${triage.score}${outcome ? `, ${outcome}` : ""}): ${parts.join(" · ")}`;
+}
+
+function triageOutcome(tenant, triage) {
+  const policy = tenant.triagePolicy;
+  const flags = triage.flags || [];
+  if (flags.includes("bleeding_uncontrolled")) return "er";
+  if (flags.includes("swelling_face") && triage.answers.fever === "yes") return "er";
+  if (triage.score >= policy.erScore) return "er";
+  // diente fuera de la boca: hay que reimplantarlo en menos de una hora
+  if (flags.includes("avulsion")) return "escalate";
+  if (triage.score >= policy.escalateScore) return "escalate";
+  return "same_day";
+}
+
+async function sendTriageQuestion(tenant, from, session, { retry = false } = {}) {
+  const index = session.triage.step;
+  const step = TRIAGE_STEPS[index];
+  const body = `${retry ? "No te entendí 🙏 " : ""}(${index + 1}/${TRIAGE_STEPS.length}) ${step.prompt}`;
+
+  if (step.key === "photo") {
+    await sendWhatsAppButtons(tenant, from, body, [{ id: "triage:photo:skip", title: "Omitir" }]);
+    return;
+  }
+
+  const options = step.options.map((o) => ({ id: `triage:${step.key}:${o.value}`, title: o.title }));
+  if (!step.list) {
+    await sendWhatsAppButtons(tenant, from, body, options);
+    return;
+  }
+
+  await sendWhatsAppList(
+    tenant,
+    from,
+    {
+      header: "Urgencias",
+      body: `${body}\nToca *Responder* o escribe el número.`,
+      footer: tenant.name,
+      button: "Responder",
+      sectionTitle: step.label,
+      rows: options.map((o) => ({ ...o, description: "" })),
+    },
+    `${body}\n\n${options.map((o) => `• [${o.id}] ${o.title}`).join("\n")}`
+  );
+}
+
+async function startTriage(tenant, from, session) {
+  clearBookingDraft(session);
+  session.reschedule = defaultSession().reschedule;
+  session.pendingService = "urgencias";
+  session.triage = { step: 0, answers: {}, score: 0, flags: [], outcome: "", startedAt: new Date().toISOString() };
+  session.state = "await_triage";
+
+  await sendWhatsAppText(
+    tenant,
+    from,
+    `⚠️ Vamos a evaluar tu urgencia con unas preguntas rápidas.\n\nSi te cuesta *respirar o tragar*, llama ya al *${tenant.triagePolicy.emergencyPhone}* o acude a la emergencia más cercana.`
+  );
+  await sendTriageQuestion(tenant, from, session);
+}
+
+async function handleTriageAnswer(tenant, from, session, { action, msg, tNorm, contactName }) {
+  const triage = session.triage;
+  const step = TRIAGE_STEPS[triage.step];
+
+  // botón de una pregunta anterior: repetimos la actual
+  const [actionKey, actionValue] = action ? String(action.arg).split(":") : [];
+  if (action && actionKey !== step.key) {
+    await sendTriageQuestion(tenant, from, session);
+    return;
+  }
+
+  if (step.key === "photo") {
+    if (msg?.type === "image" && msg?.image?.id) triage.answers.photo = msg.image.id;
+    else if (action || isNo(tNorm) || ["omitir", "no tengo", "saltar"].some((k) => tNorm.includes(k))) triage.answers.photo = "";
+    else {
+      await sendTriageQuestion(tenant, from, session, { retry: true });
+      return;
+    }
+  } else {
+    const picked = action ? triageOption(step, actionValue) : matchTriageAnswer(step, tNorm);
+    if (!picked) {
+      await sendTriageQuestion(tenant, from, session, { retry: true });
+      return;
+    }
+    triage.answers[step.key] = picked.value;
+    triage.score += picked.points;
+    if (picked.flag) triage.flags.push(picked.flag);
+  }
+
+  triage.step += 1;
+  if (triage.step < TRIAGE_STEPS.length) {
+    await sendTriageQuestion(tenant, from, session);
+    return;
+  }
+
+  triage.outcome = triageOutcome(tenant, triage);
+  await finishTriage(tenant, from, session, { contactName });
+}
+
+async function finishTriage(tenant, from, session, { contactName }) {
+  const triage = session.triage;
+  const emergencyPhone = tenant.triagePolicy.emergencyPhone;
+
+  if (triage.outcome === "er") {
+    await sendWhatsAppText(
+      tenant,
+      from,
+      `🚑 Por lo que me cuentas, necesitas atención *inmediata*.\n\nAcude ahora a la emergencia más cercana o llama al *${emergencyPhone}*.\nTambién le avisé a nuestro equipo; te escribirán por aquí.`
+    );
+    await startHandoff(tenant, session, from, {
+      reason: "triage_er",
+      contactName,
+      title: "🚑 *Urgencia: paciente enviado a emergencias*",
+      summary: "El triage indica atención de emergencia.",
+    });
+    session.state = "idle";
+    return;
+  }
+
+  if (triage.outcome === "same_day") {
+    const from0 = new Date();
+    const slots = await getAvailableSlotsTool(tenant, {
+      service: "urgencias",
+      from: from0.toISOString(),
+      to: addLocalDaysUTC(startOfLocalDayUTC(from0, tenant.timezone), 1, tenant.timezone).toISOString(),
+      wa_id: from,
+    });
+
+    // el primero que logremos apartar (otro paciente pudo tomarlo en medio)
+    let slot = null;
+    for (const candidate of slots.slice(0, 3)) {
+      if (await holdPickedSlot(tenant, from, session, candidate)) {
+        slot = session.selectedSlot;
+        break;
+      }
+    }
+
+    if (slot) {
+      session.pendingProvider = slot.held_provider_id || slot.provider_ids?.[0] || "";
+      await askPatientDetails(
+        tenant,
+        from,
+        session,
+        `Gracias ✅ Te aparto el primer espacio de urgencias de hoy (*${formatTimeInTZ(slot.start, tenant.timezone)}*).`
+      );
+      return;
+    }
+    // sin espacio hoy: que el staff lo acomode
+    triage.outcome = "escalate";
+  }
+
+  await sendWhatsAppText(
+    tenant,
+    from,
+    `⚠️ Gracias. Le avisé a nuestro equipo *ahora mismo* para que te atiendan lo antes posible; te escribirán por aquí en breve.\n\nSi empeora (sangrado que no para, fiebre con hinchazón en la cara), acude a emergencias o llama al *${emergencyPhone}*.`
+  );
+  await startHandoff(tenant, session, from, {
+    reason: "triage_urgent",
+    contactName,
+    title: "🆘 *Urgencia dental: atender ya*",
+    summary: "El triage indica una urgencia que requiere atención del equipo.",
+  });
+  session.state = "idle";
+}
+
+// datos de una reserva a medias (horario, nombre, teléfono)
+function clearBookingDraft(session) {
+  session.lastSlots = [];
+  session.lastDisplaySlots = [];
+  session.selectedSlot = null;
+  session.pendingName = null;
+  session.pendingPhone = null;
+  session.pendingProvider = "";
+  session.pendingRange = null;
+  session.triage = null;
+  session.pendingDependent = null;
+  session.newDependent = null;
+}
+
+async function sendAttendanceConfirmPrompt(tenant, from, slot) {
+  await sendWhatsAppButtons(
+    tenant,
+    from,
+    `Antes de reservar 🙏\n\n¿Nos confirmas que asistirás el *${formatDateInTZ(slot.start, tenant.timezone)}* a las *${formatTimeInTZ(
+      slot.start,
+      tenant.timezone
+    )}*? Si no puedes venir, avísanos con tiempo para darle el espacio a otro paciente.`,
+    [
+      { id: "attend_yes", title: "Sí, asistiré" },
+      { id: "attend_no", title: "No reservar" },
+    ]
+  );
+}
+
+// ✅ ¿para quién es la cita? (solo si ya tiene dependientes o es odontopediatría)
+async function askPatientDetails(tenant, from, session, lead) {
+  const profile = await getPatientProfile(tenant, from);
+  if (profile?.dependents?.length || session.pendingService === "odontopediatria") {
+    session.state = "await_patient_choice";
+    await sendPatientChoice(tenant, from, profile, lead);
+    return;
+  }
+  await askContactDetails(tenant, from, session, lead, profile);
+}
+
+function profileConfirmText(session, profile) {
+  const dep = session.pendingDependent;
+  return dep
+    ? `¿Agendo la cita de *${dep.name}* con tus datos de responsable: *${profile.name}*, al *${profile.phone}*?`
+    : `¿Agendo a nombre de *${profile.name}* al *${profile.phone}*?`;
+}
+
+// ✅ paciente conocido: se ofrece reservar con el nombre y teléfono de siempre (un toque)
+async function askContactDetails(tenant, from, session, lead, profile) {
+  if (profile?.name && profile?.phone) {
+    session.state = "await_profile_confirm";
+    await sendWhatsAppButtons(tenant, from, `${lead}\n\n${profileConfirmText(session, profile)}`, [
+      { id: "profile_yes", title: "Sí, agendar" },
+      { id: "profile_no", title: "Otros datos" },
+    ]);
+    return;
+  }
+
+  session.state = "await_name";
+  const who = session.pendingDependent ? "tu *nombre completo* (responsable)" : "tu *nombre completo*";
+  await sendWhatsAppText(tenant, from, `${lead}\nAhora indícame ${who} para reservar.`);
+}
+
+// ✅ historial de inasistencias: puede pedir confirmación, limitar la fecha o pasar al staff; si no, reserva
+async function bookWithPhone(tenant, from, session, phoneDigits, { contactName = "", msgId = "" } = {}) {
+  const slot = session.selectedSlot;
+
+  const verdict = await attendancePolicyVerdict(tenant, { wa_id: from, phone: phoneDigits, start: slot.start });
+
+  if (verdict.action === "handoff") {
+    await startHandoff(tenant, session, from, {
+      reason: "attendance_policy",
+      contactName,
+      summary: attendanceHandoffSummary(tenant, {
+        phone: phoneDigits,
+        patient_name: session.pendingName,
+        slot,
+        summary: verdict.summary,
+      }),
+    });
+    await sendWhatsAppText(
+      tenant,
+      from,
+      `Gracias, ${session.pendingName} 🙏\nPara esta cita, una persona de nuestro equipo te escribirá por aquí para coordinar el horario contigo.`
+    );
+    clearBookingDraft(session);
+    session.state = "idle";
+    return;
+  }
+
+  if (verdict.action === "too_far") {
+    const lastDay = new Date(new Date(verdict.until).getTime() - 1).toISOString();
+    await sendWhatsAppText(
+      tenant,
+      from,
+      `Por tu historial de citas, por ahora solo podemos agendarte hasta el *${formatDateInTZ(lastDay, tenant.timezone)}* 🙏\nTe muestro los horarios disponibles hasta esa fecha.`
+    );
+    session.selectedSlot = null;
+    await offerSlotsForRange(tenant, from, session, {
+      from: new Date().toISOString(),
+      to: verdict.until,
+      label: `hasta el ${formatDateInTZ(lastDay, tenant.timezone)}`,
+    });
+    return;
+  }
+
+  if (verdict.action === "confirm") {
+    session.pendingPhone = phoneDigits;
+    session.state = "await_attendance_confirm";
+    await sendAttendanceConfirmPrompt(tenant, from, slot);
+    return;
+  }
+
+  await finalizeBooking(tenant, from, session, phoneDigits, { msgId });
+}
+
+// ✅ reserva el horario elegido con el nombre y teléfono ya recogidos
+async function finalizeBooking(tenant, from, session, phoneDigits, { attendanceConfirmed = false, msgId = "" } = {}) {
+  const slot = session.selectedSlot;
+  const dep = session.pendingDependent;
+  let booked;
+  try {
+    booked = await bookAppointmentTool(tenant, {
+      // cita de un dependiente: a su nombre, con el que escribe como responsable
+      patient_name: dep ? dep.name : session.pendingName,
+      guardian: dep
+        ? { name: session.pendingName, relationship: dep.relationship, dependent_id: dep.id, age: dep.age }
+        : null,
+      phone: phoneDigits,
+      slot_id: slot.slot_id,
+      service: session.pendingService || slot.service,
+      notes: "",
+      slot_start: slot.start,
+      slot_end: slot.end,
+      wa_id: from,
+      provider_id: providerForPickedSlot(session, slot),
+      triage: (session.pendingService || slot.service) === "urgencias" ? session.triage : null,
+      // ✅ reintento de Meta / job repetido con el mismo mensaje: misma cita, no una segunda
+      idempotency_key: idempotencyKey("book", tenant.id, from, slot.start, msgId),
+    });
+  } catch (e) {
+    if (!isSlotTakenError(e)) throw e;
+    // conservamos nombre y teléfono: al elegir otro horario se reserva directo
+    session.pendingPhone = phoneDigits;
+    await offerNearestSlots(
+      tenant,
+      from,
+      session,
+      slot,
+      `Lo siento 🙏 el horario de las *${formatTimeInTZ(slot.start, tenant.timezone)}* se acaba de ocupar.`
+    );
+    return null;
+  }
+
+  // ya confirmó su asistencia al reservar
+  if (attendanceConfirmed) {
+    await confirmAppointmentTool(tenant, { appointment_id: booked.appointment_id, provider_id: booked.provider_id, via: "booking" });
+  }
+
+  const prettyService = serviceTitle(tenant, booked.service);
+
+  await sendWhatsAppButtons(
+    tenant,
+    from,
+    `✅ *Cita reservada*\n\n🦷 Servicio: *${prettyService}*\n${dentistLine(booked.provider_name, true)}👤 Paciente: *${booked.patient_name}*\n${
+      dep ? `👪 Responsable: *${session.pendingName}*\n` : ""
+    }📞 Teléfono: *${phoneDigits}*\n📅 Fecha: *${formatDateInTZ(booked.start, tenant.timezone)}*\n⏰ Hora: *${formatTimeInTZ(booked.start, tenant.timezone)}*\n📍 Dirección: ${tenant.address || "—"}`,
+    appointmentButtons(booked.appointment_id, { confirm: !attendanceConfirmed })
+  );
+
+  await notifyPersonalWhatsAppBookingSummary(tenant, booked);
+
+  // el dentista cuenta como preferido solo si lo eligió entre varios
+  const chosenProvider =
+    needsProviderChoice(tenant, booked.service) && findProvider(tenant, session.pendingProvider) ? booked.provider_id : undefined;
+  await updatePatientProfile(tenant, from, {
+    name: session.pendingName,
+    phone: phoneDigits,
+    preferredProviderId: chosenProvider,
+  });
+
+  focusAppointment(session, booked);
+  clearBookingDraft(session);
+  session.reschedule = defaultSession().reschedule;
+  return booked;
+}
+
+// ✅ el paciente aparta el horario que eligió (y suelta el que tenía); false si ya lo tomó otro
+async function holdPickedSlot(tenant, from, session, slot) {
+  const prev = session.selectedSlot;
+  if (prev?.held_provider_id) await releaseSlotHold(tenant, from, prev.held_provider_id, prev.start);
+
+  const heldProviderId = await holdSlot(tenant, from, slot, providerForPickedSlot(session, slot));
+  session.selectedSlot = heldProviderId ? { ...slot, held_provider_id: heldProviderId } : null;
+  return !!heldProviderId;
+}
+
+// ✅ el horario se perdió: en vez de duplicar la cita ofrecemos los más cercanos
+async function offerNearestSlots(tenant, from, session, lostSlot, lead) {
+  const alternatives = await nearestAlternativeSlots(tenant, {
+    service: session.pendingService || lostSlot.service,
+    provider_id: session.pendingProvider,
+    start: lostSlot.start,
+    wa_id: from,
+  });
+
+  session.selectedSlot = null;
+  session.lastSlots = alternatives;
+  session.lastDisplaySlots = alternatives;
+
+  if (!alternatives.length) {
+    session.state = "await_day";
+    await sendWhatsAppText(tenant, from, `${lead}\nNo veo otros horarios cercanos; dime otro día (ej: "próximo viernes").`);
+    return;
+  }
+
+  session.state = "await_slot_choice";
+  const rows = alternatives.map((slot) => ({
+    id: `slot:${slot.slot_id}`,
+    title: appointmentShortLabel(tenant, slot),
+    description: `Hasta las ${formatTimeInTZ(slot.end, tenant.timezone)}`,
+  }));
+  const body = `${lead}\nEstos son los horarios libres más cercanos 👇`;
+  await sendWhatsAppList(
+    tenant,
+    from,
+    { header: "Otros horarios", body, footer: tenant.name, button: "Ver horarios", sectionTitle: "Horarios", rows },
+    `${body}\n\n${rows.map((r, i) => `${i + 1}. ${r.title}`).join("\n")}\n\nResponde con el *número*.`
+  );
+}
+
+// ✅ busca horarios del servicio pendiente y los muestra; devuelve false si no hubo espacios
+async function offerSlotsForRange(tenant, from, session, range) {
+  const serviceKey = session.pendingService;
+  const slots = await getAvailableSlotsTool(tenant, {
+    service: serviceKey,
+    from: range.from,
+    to: range.to,
+    provider_id: session.pendingProvider,
+    wa_id: from,
+  });
+
+  if (!slots.length) {
+    // ✅ si el día está cerrado (feriado, cierre, domingo) se lo decimos al paciente
+    const reason = explainNoAvailability(tenant, {
+      service: serviceKey,
+      from: range.from,
+      to: range.to,
+      provider_id: session.pendingProvider,
+    });
+    // ✅ si está lleno (no cerrado), ofrecemos la lista de espera
+    if (!reason && WAITLIST_ENABLED && !session.reschedule?.active) {
+      session.pendingRange = range;
+      session.state = "await_waitlist_join";
+      await sendWhatsAppText(
+        tenant,
+        from,
+        `No veo espacios disponibles para ese rango 🙏\n\n¿Quieres que te anote en la *lista de espera*? Si alguien cancela, te escribo.\nResponde *SI* para anotarte, o dime otro día (ej: "próximo viernes").`
+      );
+      return false;
+    }
+
+    const head = reason
+      ? `No hay horarios: ${reason} 🙏`
+      : `No veo espacios disponibles para ese rango 🙏`;
+    await sendWhatsAppText(
+      tenant,
+      from,
+      `${head}\nDime otro día (ej: "próximo viernes") o un mes (ej: "en junio").`
+    );
+    session.state = "await_day";
+    return false;
+  }
+
+  session.pendingRange = range;
+  session.lastSlots = slots;
+  session.state = "await_slot_choice";
+
+  await sendSlotsList(tenant, from, serviceKey, session);
+  return true;
+}
+
+// ✅ Meta agrupa en un mismo envío varias entradas, cambios, mensajes y statuses: los recorremos todos en orden.
+// Solo se encolan (respuesta inmediata a Meta); los workers procesan cada paciente en orden.
+app.post("/webhook", async (req, res) => {
+  if (!verifyMetaSignature(req)) return res.sendStatus(403);
+
+  try {
+    const baseUrl = getBotPublicBaseUrl(req);
+    for (const entry of req.body?.entry || []) {
+      for (const change of entry?.changes || []) {
+        await enqueueWebhookChange(baseUrl, change?.value);
+      }
+    }
+  } catch (e) {
+    // no pudimos encolar: que Meta reintente (el dedupe evita duplicar lo que sí entró)
+    console.error("Webhook enqueue error:", e?.response?.data || e?.message || e);
+    return res.sendStatus(500);
+  }
+
+  return res.sendStatus(200);
+});
+
+function inboundDedupeKey(tenant, msgId) {
+  return `${REDIS_PREFIX}seen:${tenant.id}:${msgId}`;
+}
+
+async function enqueueWebhookChange(baseUrl, value) {
+  if (!value) return;
+
+  const incomingPhoneNumberId = String(value?.metadata?.phone_number_id || "").trim();
+  const incomingDisplayPhone = String(value?.metadata?.display_phone_number || "").trim();
+
+  // ✅ cada número entrante va a su clínica; sin phone_number_id usamos la clínica por defecto
+  const tenant = incomingPhoneNumberId ? findTenantByPhoneNumberId(incomingPhoneNumberId) : DEFAULT_TENANT;
+
+  console.log("[WEBHOOK TENANT]", {
+    tenantId: tenant?.id || null,
+    incomingPhoneNumberId,
+    incomingDisplayPhone,
+  });
+
+  if (!tenant) {
+    console.log("[WEBHOOK TENANT] Ignorado: phone_number_id sin clínica configurada");
+    return;
+  }
+
+  for (const msg of value.messages || []) {
+    if (!msg?.from) continue;
+
+    // ✅ dedupe por mensaje en todo el sistema
+    const dedupeKey = msg.id ? inboundDedupeKey(tenant, msg.id) : "";
+    if (dedupeKey && !(await kvSetJsonNX(dedupeKey, { at: new Date().toISOString() }, INBOUND_DEDUPE_TTL_SEC))) {
+      continue;
+    }
+
+    const contact = (value?.contacts || []).find((c) => c?.wa_id === msg.from) || value?.contacts?.[0];
+
+    try {
+      await inboundQueue.enqueue(`${tenant.id}:${msg.from}`, {
+        type: "message",
+        tenantId: tenant.id,
+        baseUrl,
+        contactName: contact?.profile?.name || "",
+        msg,
+      });
+    } catch (e) {
+      if (dedupeKey) await kvDel(dedupeKey).catch(() => {});
+      throw e;
+    }
+  }
+
+  for (const status of value.statuses || []) {
+    await inboundQueue.enqueue(`${tenant.id}:${status?.recipient_id || "status"}`, {
+      type: "status",
+      tenantId: tenant.id,
+      status,
+    });
+  }
+}
+
+async function processInboundJob(job) {
+  const tenant = findTenantById(job?.tenantId);
+  if (!tenant) return;
+
+  if (job.type === "status") return handleMessageStatus(tenant, job.status);
+  if (job.type === "agent") return handleAgentEvent(tenant, job);
+  return handleInboundMessage(tenant, job);
+}
+
+const inboundQueue = createKeyedQueue("inbound", processInboundJob);
+
+// un mensaje entrante = un paso de la conversación (errores aislados por mensaje)
+async function handleInboundMessage(tenant, { baseUrl, contactName, msg }) {
+  const from = msg?.from;
+  if (!from) return;
+
+  // si falla leer la sesión (Redis caído) el job se reintenta desde la cola
+  const session = await getSession(tenant, from);
+
+  try {
+    await markServiceWindow(tenant, from);
+    await rememberContactName(tenant, from, contactName);
+
+    // ✅ nota de voz: la transcripción sigue el flujo normal como si la hubiera escrito
+    const transcript = msg?.type === "audio" && msg?.audio?.id && sttEnabled() ? await transcribeVoiceNote(tenant, msg) : "";
+    const voiceNotUnderstood = msg?.type === "audio" && sttEnabled() && !transcript;
+
+    const userTextRaw = transcript || extractIncomingText(msg);
+    const userText = (userTextRaw || "").trim();
+    const tNorm = normalizeText(userText);
+
+    if (!userText) return;
+
+    // botón / fila de lista nuestra => acción directa (o el número de una cita en "mis citas")
+    const action = parseActionId(extractInteractiveId(msg)) || apptChoiceFromText(session, tNorm);
+
+    const inboundMeta = extractInboundMeta(msg);
+    const inboundMetaWithMediaUrl = attachHubMediaUrl(baseUrl, inboundMeta, tenant);
+    if (transcript) inboundMetaWithMediaUrl.transcript = transcript;
+
+    console.log(
+      "BOTHUB INBOUND DEBUG: ",
+      JSON.stringify(
+        {
+          msgType: msg?.type,
+          from,
+          userText,
+          inboundMeta,
+          inboundMetaWithMediaUrl,
+        },
+        null,
+        2
+      )
+    );
+
+    await bothubReportMessage(tenant, {
+      direction: "INBOUND",
+      from: String(from),
+      body: String(userText),
+      source: "WHATSAPP",
+      waMessageId: msg?.id,
+      name: contactName,
+      kind: inboundMetaWithMediaUrl?.kind || (msg?.type ? String(msg.type).toUpperCase() : "UNKNOWN"),
+      meta: inboundMetaWithMediaUrl,
+      mediaUrl: inboundMetaWithMediaUrl?.mediaUrl || undefined,
+    });
+
+    // ✅ atención humana: el bot no contesta (el agente lo ve en BotHub) salvo que ya venció
+    if (session.handoff?.active) {
+      if (!handoffExpired(session)) return;
+      await endHandoff(tenant, session, from, { by: "timeout" });
+    }
+
+    if (voiceNotUnderstood) {
+      await sendWhatsAppText(tenant, from, `No pude escuchar bien tu nota de voz 🙏\n¿Me lo puedes escribir?`);
+      return;
+    }
+
+    if (!action && looksLikeHumanRequest(tNorm)) {
+      await startHandoff(tenant, session, from, { reason: "patient_request", contactName });
+      await sendWhatsAppText(
+        tenant,
+        from,
+        `Claro 🙏 Te comunico con una persona de nuestro equipo.\nTe responderán por aquí en breve; mientras tanto el asistente automático queda en pausa.`
+      );
+      return;
+    }
+
+    // ✅ respuesta a una oferta de la lista de espera (botón o SI / NO)
+    const waitlistAnswer = action
+      ? ["wl_accept", "wl_decline"].includes(action.type)
+      : !["await_waitlist_join", "await_attendance_confirm", "await_triage", "await_profile_confirm"].includes(session.state) && (isYes(tNorm) || isNo(tNorm));
+    if (waitlistAnswer) {
+      const answer = await answerWaitlistOffer(tenant, from, action ? action.type === "wl_accept" : isYes(tNorm));
+
+      if (answer.status === "accepted") {
+        const slot = answer.slot;
+        session.reschedule = defaultSession().reschedule;
+        session.pendingService = slot.service;
+        session.pendingProvider = slot.provider_ids?.[0] || "";
+        session.pendingRange = null;
+        session.pendingName = null;
+        session.lastSlots = [];
+        session.lastDisplaySlots = [];
+
+        // ya quedó apartado a su nombre en answerWaitlistOffer
+        const prev = session.selectedSlot;
+        if (prev?.held_provider_id && prev.start !== slot.start) await releaseSlotHold(tenant, from, prev.held_provider_id, prev.start);
+        session.selectedSlot = slot;
+
+        await askPatientDetails(
+          tenant,
+          from,
+          session,
+          `¡Listo! ✅ El espacio del *${formatDateInTZ(slot.start, tenant.timezone)}* a las *${formatTimeInTZ(
+            slot.start,
+            tenant.timezone
+          )}* es tuyo.`
+        );
+        return;
+      }
+
+      if (answer.status === "lost") {
+        const slot = answer.slot;
+        session.reschedule = defaultSession().reschedule;
+        session.pendingService = slot.service;
+        session.pendingProvider = slot.provider_ids?.[0] || "";
+        session.pendingRange = null;
+        await offerNearestSlots(
+          tenant,
+          from,
+          session,
+          slot,
+          `Lo siento 🙏 ese espacio se acaba de ocupar, pero sigues en la lista de espera.`
+        );
+        return;
+      }
+
+      if (answer.status === "declined") {
+        await sendWhatsAppText(tenant, from, `Perfecto 👍 Sigues en la lista de espera; te aviso si se libera otro espacio.`);
+        return;
+      }
+
+      if (answer.status === "expired") {
+        await sendWhatsAppText(
+          tenant,
+          from,
+          `Lo siento 🙏 ese espacio ya no está disponible.\nSigues en la lista de espera y te escribo si se libera otro.`
+        );
+        return;
+      }
+    }
+
+    // lista de horarios vieja (el paciente ya salió de ese paso)
+    if (action && ["slot", "slots_more"].includes(action.type) && session.state !== "await_slot_choice") {
+      await sendWhatsAppText(tenant, from, `Esa lista de horarios ya no está vigente 🙏\nDime para qué día quieres tu cita (ej: "mañana", "viernes").`);
+      if (session.pendingService) session.state = "await_day";
+      return;
+    }
+
+    // ✅ triage de urgencias en curso (otro botón o "reiniciar" lo abandonan)
+    if (session.state === "await_triage" && session.triage) {
+      if (!action && ["reiniciar", "salir"].some((k) => tNorm.includes(k))) {
+        clearBookingDraft(session);
+        session.pendingService = null;
+        session.state = "idle";
+        await sendWhatsAppText(tenant, from, `Listo ✅ Dejé la evaluación de urgencia.\n¿En qué más te puedo ayudar?`);
+        return;
+      }
+      if (!action || action.type === "triage") {
+        await handleTriageAnswer(tenant, from, session, { action, msg, tNorm, contactName });
+        return;
+      }
+      session.triage = null;
+      session.state = "idle";
+    }
+
+    if (action?.type === "triage") {
+      await sendWhatsAppText(tenant, from, `Esa evaluación ya terminó 🙏\nSi sigues con molestias, escribe *urgencias*.`);
+      return;
+    }
+
+    // "1/2/3" son atajos de confirmar/reprogramar/cancelar salvo en los pasos que piden un número
+    const numberShortcuts = !NUMERIC_ANSWER_STATES.includes(session.state);
+    const wantsCancel = action ? action.type === "appt_cancel" : looksLikeCancel(tNorm) || (numberShortcuts && isChoice(tNorm, 3));
+    const wantsReschedule = action
+      ? action.type === "appt_reschedule"
+      : looksLikeReschedule(tNorm) || (numberShortcuts && isChoice(tNorm, 2));
+    const wantsConfirm = action ? action.type === "appt_confirm" : looksLikeConfirm(tNorm) || (numberShortcuts && isChoice(tNorm, 1));
+
+    // la lista de citas solo vale para la respuesta siguiente
+    if (session.state === "await_appt_choice") {
+      session.apptChoice = null;
+      session.state = session.lastBooking ? "post_booking" : "idle";
+    }
+
+    // ✅ botón de una cita concreta (ej: recordatorio, "mis citas"): trabajamos sobre ESA cita,
+    // siempre leída de nuevo del calendario (pudo liberarse o cancelarse después de enviar el botón)
+    if (action?.type.startsWith("appt_") && action.arg) {
+      const appt = await findAppointmentForPatient(tenant, action.arg, from);
+
+      if (!appt) {
+        if (session.lastBooking?.appointment_id === action.arg) {
+          session.lastBooking = null;
+          if (session.state === "post_booking") session.state = "idle";
+        }
+        await sendWhatsAppText(
+          tenant,
+          from,
+          action.type === "appt_confirm"
+            ? inactiveAppointmentText()
+            : `No encontré esa cita 🙏 Puede que ya haya sido cancelada o reprogramada.`
+        );
+        return;
+      }
+      focusAppointment(session, appt);
+    }
+
+    // ✅ "mis citas": todas las próximas, incluidas las de sus dependientes
+    if (!action && looksLikeMyAppointments(tNorm)) {
+      const appointments = await findUpcomingAppointmentsForPatient(tenant, from);
+      if (!appointments.length) {
+        session.lastBooking = null;
+        if (session.state === "post_booking") session.state = "idle";
+        await sendWhatsAppText(tenant, from, `No tienes citas próximas 🙂\nSi deseas agendar, dime el servicio o escribe "Nueva cita".`);
+        return;
+      }
+      if (appointments.length === 1) {
+        const appt = appointments[0];
+        focusAppointment(session, appt);
+        await sendWhatsAppButtons(
+          tenant,
+          from,
+          `Tu próxima cita:\n\n${appointmentDetailText(tenant, appt)}\n\n¿Qué deseas hacer?`,
+          appointmentButtons(appt.appointment_id, { confirm: appt.confirmation !== "confirmed" })
+        );
+        return;
+      }
+      await sendAppointmentChoice(tenant, from, session, appointments, "pick");
+      return;
+    }
+
+    // ✅ confirmar / reprogramar / cancelar escrito: si tiene varias citas, que elija cuál
+    const typedApptIntent = (wantsCancel || wantsReschedule || wantsConfirm) && !action?.arg;
+    if (typedApptIntent && (!session.lastBooking || (session.state === "post_booking" && !hasFocusedAppointment(session)))) {
+      const found = await findUpcomingAppointmentsForPatient(tenant, from);
+      if (found.length > 1) {
+        await sendAppointmentChoice(tenant, from, session, found, wantsCancel ? "cancel" : wantsReschedule ? "reschedule" : "confirm");
+        return;
+      }
+      if (found.length === 1) focusAppointment(session, found[0]);
+    }
+
+    const detectedServiceEarly = detectServiceKeyFromUser(tenant, userText);
+    const detectedRangeEarly = parseDateRangeFromText(userText, tenant.timezone);
+    const hasEarlyIntent =
+      !!detectedServiceEarly ||
+      !!detectedRangeEarly ||
+      tNorm.includes("cita") ||
+      tNorm.includes("agendar") ||
+      tNorm.includes("reservar") ||
+      tNorm.includes("reprogram") ||
+      tNorm.includes("cancel");
+
+    if (session.greeted && session.state === "idle" && isGreeting(tNorm) && !hasEarlyIntent) {
+      await sendWhatsAppText(tenant, from, quickHelpText());
+      return;
+    }
+
+    if (!session.greeted && session.state === "idle" && isGreeting(tNorm) && !hasEarlyIntent) {
+      session.greeted = true;
+      await sendWhatsAppText(tenant, from, servicesEmojiText(tenant));
+      await sendServicesList(tenant, from);
+      return;
+    }
+
+    if (!session.greeted && session.state === "idle") {
+      session.greeted = true;
+    }
+
+    // POST-BOOKING (sobre la cita elegida: la recién agendada, la del botón o la de "mis citas")
+    if (session.state === "post_booking" && session.lastBooking) {
+      if (action?.type === "appt_pick") {
+        const b = session.lastBooking;
+        await sendWhatsAppButtons(
+          tenant,
+          from,
+          `${appointmentDetailText(tenant, b)}\n\n¿Qué deseas hacer con esta cita?`,
+          appointmentButtons(b.appointment_id, { confirm: b.confirmation !== "confirmed" })
+        );
+        return;
+      }
+
+      if (wantsConfirm) {
+        const b = session.lastBooking;
+        const confirmed = await confirmAppointmentTool(tenant, { appointment_id: b.appointment_id, provider_id: b.provider_id });
+        if (!confirmed.ok) {
+          session.lastBooking = null;
+          session.state = "idle";
+          await sendWhatsAppText(tenant, from, inactiveAppointmentText(confirmed.error));
+          return;
+        }
+        await sendWhatsAppButtons(
+          tenant,
+          from,
+          `✅ ¡Confirmado!\n\n🦷 Servicio: ${serviceTitle(tenant, b.service)}\n${dentistLine(b.provider_name)}📅 Fecha: ${formatDateInTZ(
+            b.start,
+            tenant.timezone
+          )}\n⏰ Hora: ${formatTimeInTZ(b.start, tenant.timezone)}\n\n¿Necesitas algún cambio?`,
+          appointmentButtons(b.appointment_id, { confirm: false })
+        );
+        return;
+      }
+
+      if (wantsCancel) {
+        const cancelled = await cancelAppointmentTool(tenant, {
+          appointment_id: session.lastBooking.appointment_id,
+          reason: userText,
+          idempotency_key: idempotencyKey("cancel", tenant.id, from, session.lastBooking.appointment_id, msg?.id),
+        });
+        const lateNote = cancelled.late ? `\n\n⚠️ ${cancelled.policy}` : "";
+        await sendWhatsAppText(
+          tenant,
+          from,
+          `✅ Listo. Tu cita fue cancelada.${lateNote}\n\nSi deseas agendar una nueva, escribe "Nueva cita" o dime el servicio.`
+        );
+
+        session.state = "idle";
+        session.lastSlots = [];
+        session.lastDisplaySlots = [];
+        session.selectedSlot = null;
+        session.pendingService = null;
+        session.pendingProvider = "";
+        session.pendingRange = null;
+        session.pendingName = null;
+        session.lastBooking = null;
+        session.reschedule = defaultSession().reschedule;
+        return;
+      }
+
+      if (wantsReschedule) {
+        session.reschedule.active = true;
+        session.reschedule.appointment_id = session.lastBooking.appointment_id;
+        session.reschedule.phone = session.lastBooking.phone || String(from).replace(/[^\d]/g, "");
+        session.reschedule.patient_name = session.lastBooking.patient_name || "";
+        session.reschedule.service = session.lastBooking.service || "";
+        session.reschedule.provider_id = session.lastBooking.provider_id || "";
+
+        session.pendingService = session.reschedule.service || session.pendingService;
+        // ✅ por defecto se reprograma con el mismo dentista
+        session.pendingProvider = session.reschedule.provider_id || "any";
+        session.state = "await_day";
+        session.lastSlots = [];
+        session.lastDisplaySlots = [];
+        session.selectedSlot = null;
+        session.pendingRange = null;
+        session.pendingName = null;
+
+        const prettyService = serviceTitle(tenant, session.pendingService);
+        await sendWhatsAppText(
+          tenant,
+          from,
+          `Perfecto ✅ Vamos a reprogramar tu cita.\nServicio: *${prettyService}*\n\n¿Para qué día?\nEj: "mañana", "viernes", "próximo martes".`
+        );
+        return;
+      }
+
+      if (looksLikeNewAppointment(tNorm)) {
+        session.state = "idle";
+        session.reschedule = defaultSession().reschedule;
+        await sendWhatsAppText(tenant, from, `Claro ✅ Vamos a agendar una nueva cita.\nElige un servicio:`);
+        await sendServicesList(tenant, from);
+        return;
+      }
+
+      if (isThanks(tNorm)) {
+        const b = session.lastBooking;
+        await sendWhatsAppText(
+          tenant,
+          from,
+          `¡Perfecto! ✅\nTu cita queda confirmada.\n\n🦷 Servicio: ${serviceTitle(tenant, b.service)}\n${dentistLine(
+            b.provider_name
+          )}📅 Fecha: ${formatDateInTZ(b.start, tenant.timezone)}\n⏰ Hora: ${formatTimeInTZ(
+            b.start,
+            tenant.timezone
+          )}\n\nSi necesitas *reprogramar* o *cancelar*, escríbelo aquí.`
+        );
+        return;
+      }
+
+      await sendWhatsAppButtons(
+        tenant,
+        from,
+        `Estoy aquí ✅\n¿Deseas *reprogramar* o *cancelar* tu cita?\n\nSi deseas una *nueva cita*, escribe "Nueva cita".`,
+        appointmentButtons(session.lastBooking.appointment_id, { confirm: false })
+      );
+      return;
+    }
+
+    // AWAIT SLOT CHOICE
+    if (session.state === "await_slot_choice" && session.lastSlots?.length) {
+      if (["reiniciar", "reset", "resetear", "empezar", "inicio"].some((k) => tNorm.includes(k))) {
+        session.state = "idle";
+        session.lastSlots = [];
+        session.lastDisplaySlots = [];
+        session.selectedSlot = null;
+        session.pendingProvider = "";
+        session.pendingRange = null;
+        session.pendingName = null;
+        session.reschedule = defaultSession().reschedule;
+
+        await sendWhatsAppText(tenant, from, `Listo ✅ Reinicié el proceso.\n¿Qué servicio deseas agendar?`);
+        await sendWhatsAppText(tenant, from, servicesEmojiText(tenant));
+        await sendServicesList(tenant, from);
+        return;
+      }
+
+      if (["reprogramar", "cambiar", "otro dia", "otro día"].some((k) => tNorm.includes(k))) {
+        session.state = "await_day";
+        session.lastSlots = [];
+        session.lastDisplaySlots = [];
+        session.selectedSlot = null;
+        session.pendingRange = null;
+        session.pendingName = null;
+
+        const prettyService = serviceTitle(tenant, session.pendingService) || "tu servicio";
+        await sendWhatsAppText(
+          tenant,
+          from,
+          `Perfecto ✅ Vamos a elegir *otro día* para *${prettyService}*.\n\n¿Para qué día?\nEj: "mañana", "viernes", "próximo martes", "la semana que viene" o "14 de junio".`
+        );
+        return;
+      }
+
+      if (action?.type === "slots_more") {
+        await sendSlotsList(tenant, from, session.pendingService, session, parseInt(action.arg, 10) || 0);
+        return;
+      }
+
+      const picked =
+        action?.type === "slot"
+          ? session.lastSlots.find((s) => s.slot_id === action.arg) || null
+          : tryPickSlotFromUserText(tenant, session, userText);
+
+      if (!picked && action?.type === "slot") {
+        await sendWhatsAppText(tenant, from, `Ese horario ya no está en la lista 🙏 Elige otro de los que te mostré.`);
+        return;
+      }
+
+      if (!picked) {
+        if (/^\d+$/.test(tNorm)) {
+          await sendWhatsAppText(
+            tenant,
+            from,
+            `Ese número no corresponde a un horario disponible 🙏\nResponde con uno de los números que ves en la lista, o escribe una hora como "10:00 am".`
+          );
+          return;
+        }
+
+        const parsed = parseUserTimeTo24h(userText);
+
+        if (parsed) {
+          await sendWhatsAppText(
+            tenant,
+            from,
+            `Entendí *${userText}* ✅\nPero ese horario no está disponible.\n\nResponde con el *número* (1,2,3...) o elige una *hora disponible* (ej: 10:00 am / 3:00 pm).`
+          );
+          return;
+        }
+
+        await sendWhatsAppText(
+          tenant,
+          from,
+          `No entendí el horario 🙏\nResponde con el *número* (1,2,3...) o la *hora* (ej: 10:00 am / 3:00 pm).`
+        );
+        return;
+      }
+
+      if (session.reschedule?.active && session.reschedule.appointment_id) {
+        const appointment_id = session.reschedule.appointment_id;
+        const nextService = session.pendingService || picked.service || session.reschedule.service;
+
+        let rescheduled;
+        try {
+          rescheduled = await rescheduleAppointmentTool(tenant, {
+            appointment_id,
+            provider_id: session.reschedule.provider_id,
+            new_provider_id: providerForPickedSlot(session, picked),
+            new_slot_id: picked.slot_id,
+            new_start: picked.start,
+            new_end: picked.end,
+            service: nextService,
+            patient_name: session.reschedule.patient_name,
+            phone: session.reschedule.phone || from,
+            wa_id: from,
+            idempotency_key: idempotencyKey("reschedule", tenant.id, from, appointment_id, picked.start, msg?.id),
+          });
+        } catch (e) {
+          if (!isSlotTakenError(e)) throw e;
+          await offerNearestSlots(
+            tenant,
+            from,
+            session,
+            picked,
+            `Lo siento 🙏 el horario de las *${formatTimeInTZ(picked.start, tenant.timezone)}* se acaba de ocupar.`
+          );
+          return;
+        }
+
+        if (!rescheduled.ok) {
+          if (session.selectedSlot?.held_provider_id) {
+            await releaseSlotHold(tenant, from, session.selectedSlot.held_provider_id, session.selectedSlot.start);
+          }
+          clearBookingDraft(session);
+          session.reschedule = defaultSession().reschedule;
+          session.lastBooking = null;
+          session.state = "idle";
+          await sendWhatsAppText(tenant, from, inactiveAppointmentText(rescheduled.error, "reprogramarla"));
+          return;
+        }
+
+        const prettyService = serviceTitle(tenant, nextService);
+
+        focusAppointment(session, {
+          appointment_id,
+          start: picked.start,
+          end: picked.end,
+          service: nextService,
+          patient_name: session.reschedule.patient_name || session.lastBooking?.patient_name || "",
+          phone: session.reschedule.phone || String(from).replace(/[^\d]/g, ""),
+          provider_id: rescheduled.provider_id,
+          provider_name: rescheduled.provider_name,
+        });
+
+        session.lastSlots = [];
+        session.lastDisplaySlots = [];
+        session.selectedSlot = null;
+        session.pendingRange = null;
+        session.pendingName = null;
+        session.reschedule = defaultSession().reschedule;
+
+        await sendWhatsAppButtons(
+          tenant,
+          from,
+          `✅ *Cita reprogramada*\n\n🦷 Servicio: *${prettyService}*\n${dentistLine(rescheduled.provider_name, true)}📅 Fecha: *${formatDateInTZ(
+            picked.start,
+            tenant.timezone
+          )}*\n⏰ Hora: *${formatTimeInTZ(picked.start, tenant.timezone)}*`,
+          appointmentButtons(appointment_id)
+        );
+        return;
+      }
+
+      // ✅ se lo apartamos mientras termina de dar sus datos
+      if (!(await holdPickedSlot(tenant, from, session, picked))) {
+        await offerNearestSlots(tenant, from, session, picked, `Lo siento 🙏 otra persona acaba de apartar ese horario.`);
+        return;
+      }
+
+      // volvió a elegir porque el anterior se ocupó: ya tenemos sus datos
+      if (session.pendingName && session.pendingPhone) {
+        await bookWithPhone(tenant, from, session, session.pendingPhone, { contactName, msgId: msg?.id });
+        return;
+      }
+
+      await askPatientDetails(
+        tenant,
+        from,
+        session,
+        `Perfecto ✅ Queda seleccionado el horario ${formatTimeInTZ(picked.start, tenant.timezone)}.`
+      );
+      return;
+    }
+
+    // AWAIT PATIENT CHOICE (para mí / un dependiente / agregar otro)
+    if (session.state === "await_patient_choice" && session.selectedSlot) {
+      const profile = await getPatientProfile(tenant, from);
+      const choice = action?.type === "who" ? action.arg : matchPatientChoice(profile, tNorm);
+      const dep = (profile?.dependents || []).find((d) => d.id === choice);
+
+      if (choice === "self") {
+        session.pendingDependent = null;
+        await askContactDetails(tenant, from, session, `Perfecto ✅ La cita es para ti.`, profile);
+        return;
+      }
+
+      if (dep) {
+        session.pendingDependent = dep;
+        await askContactDetails(tenant, from, session, `Perfecto ✅ La cita es para *${dep.name}*.`, profile);
+        return;
+      }
+
+      if (choice === "new") {
+        session.newDependent = {};
+        session.state = "await_dependent_name";
+        await sendWhatsAppText(tenant, from, `Claro ✅ ¿Cuál es el *nombre completo* de la persona que viene a la cita?`);
+        return;
+      }
+
+      await sendPatientChoice(tenant, from, profile, `No te entendí 🙏`);
+      return;
+    }
+
+    // AWAIT DEPENDENT NAME / AGE / RELATIONSHIP (agregar hijo o familiar)
+    if (session.state === "await_dependent_name" && session.selectedSlot) {
+      if (tNorm.length < 3 || isYes(tNorm) || isNo(tNorm)) {
+        await sendWhatsAppText(tenant, from, `Por favor, envíame el *nombre completo* de la persona que viene a la cita 🙂`);
+        return;
+      }
+      session.newDependent = { name: userText };
+      session.state = "await_dependent_age";
+      await sendWhatsAppText(tenant, from, `¿Qué edad tiene *${userText}*? (ej: 7)`);
+      return;
+    }
+
+    if (session.state === "await_dependent_age" && session.selectedSlot && session.newDependent?.name) {
+      const m = tNorm.match(/\d{1,3}/);
+      const age = m ? (tNorm.includes("mes") ? 0 : parseInt(m[0], 10)) : NaN;
+      if (!Number.isFinite(age) || age > 120) {
+        await sendWhatsAppText(tenant, from, `Escríbeme la edad en números 🙏 (ej: 7)`);
+        return;
+      }
+      session.newDependent.age = age;
+      session.state = "await_dependent_relationship";
+      await sendRelationshipChoice(tenant, from, session.newDependent.name);
+      return;
+    }
+
+    if (session.state === "await_dependent_relationship" && session.selectedSlot && session.newDependent?.name) {
+      const relationship = action?.type === "relationship" ? action.arg : matchRelationship(tNorm);
+      if (!relationshipTitle(relationship)) {
+        await sendRelationshipChoice(tenant, from, session.newDependent.name);
+        return;
+      }
+
+      const dep = await addDependent(tenant, from, { ...session.newDependent, relationship });
+      session.pendingDependent = dep;
+      session.newDependent = null;
+      await askContactDetails(
+        tenant,
+        from,
+        session,
+        `Listo ✅ Agregué a *${dep.name}* a tu cuenta.`,
+        await getPatientProfile(tenant, from)
+      );
+      return;
+    }
+
+    // AWAIT PROFILE CONFIRM (paciente conocido: un toque para reservar)
+    if (session.state === "await_profile_confirm" && session.selectedSlot) {
+      const profile = await getPatientProfile(tenant, from);
+      const yes = action ? action.type === "profile_yes" : isYes(tNorm) || looksLikeConfirm(tNorm);
+      const no = action ? action.type === "profile_no" : isNo(tNorm) || tNorm.includes("otro") || tNorm.includes("otra");
+
+      if (yes && profile?.name && profile?.phone) {
+        session.pendingName = profile.name;
+        await bookWithPhone(tenant, from, session, profile.phone, { contactName, msgId: msg?.id });
+        return;
+      }
+
+      if (no || !profile?.name || !profile?.phone) {
+        session.state = "await_name";
+        const who = session.pendingDependent ? "tu *nombre completo* (responsable)" : "el *nombre completo* del paciente";
+        await sendWhatsAppText(tenant, from, `Perfecto 👍 Indícame ${who} para reservar.`);
+        return;
+      }
+
+      await sendWhatsAppButtons(tenant, from, profileConfirmText(session, profile), [
+        { id: "profile_yes", title: "Sí, agendar" },
+        { id: "profile_no", title: "Otros datos" },
+      ]);
+      return;
+    }
+
+    // AWAIT NAME
+    if (session.state === "await_name" && session.selectedSlot) {
+      if (tNorm.length < 3 || ["si", "sí", "ok", "listo"].includes(tNorm)) {
+        await sendWhatsAppText(tenant, from, `Por favor, envíame tu *nombre completo* 🙂`);
+        return;
+      }
+      session.pendingName = userText;
+      session.state = "await_phone";
+      await sendWhatsAppText(tenant, from, `Gracias. Ahora envíame tu *número de teléfono* (ej: 829XXXXXXX) para completar la reserva.`);
+      return;
+    }
+
+    // AWAIT PHONE -> BOOK
+    if (session.state === "await_phone" && session.selectedSlot && session.pendingName) {
+      const phoneDigits = userText.replace(/[^\d]/g, "");
+      if (phoneDigits.length < 8) {
+        await sendWhatsAppText(tenant, from, `Ese número parece incompleto 🙏\nEnvíame el teléfono así: 829XXXXXXX`);
+        return;
+      }
+
+      await bookWithPhone(tenant, from, session, phoneDigits, { contactName, msgId: msg?.id });
+      return;
+    }
+
+    // AWAIT ATTENDANCE CONFIRM -> BOOK (política de inasistencias)
+    if (session.state === "await_attendance_confirm" && session.selectedSlot && session.pendingName && session.pendingPhone) {
+      const yes = action ? action.type === "attend_yes" : isYes(tNorm) || looksLikeConfirm(tNorm);
+      const no = action ? action.type === "attend_no" : isNo(tNorm);
+
+      if (yes) {
+        await finalizeBooking(tenant, from, session, session.pendingPhone, { attendanceConfirmed: true, msgId: msg?.id });
+        return;
+      }
+
+      if (no) {
+        clearBookingDraft(session);
+        session.state = "idle";
+        await sendWhatsAppText(tenant, from, `Entendido 👍 No reservé la cita.\nCuando quieras agendar, escríbeme el servicio o "cita".`);
+        return;
+      }
+
+      await sendAttendanceConfirmPrompt(tenant, from, session.selectedSlot);
+      return;
+    }
+
+    // AWAIT WAITLIST JOIN (no había espacios para el rango pedido)
+    if (session.state === "await_waitlist_join" && session.pendingService && session.pendingRange) {
+      if (isYes(tNorm) || tNorm.includes("anota") || tNorm.includes("lista de espera")) {
+        const range = session.pendingRange;
+        await joinWaitlist(tenant, {
+          wa_id: from,
+          service: session.pendingService,
+          provider_id: session.pendingProvider,
+          from: range.from,
+          to: range.to,
+          label: range.label,
+        });
+
+        await sendWhatsAppText(
+          tenant,
+          from,
+          `Listo ✅ Te anoté en la *lista de espera* para *${serviceTitle(tenant, session.pendingService)}*${
+            range.label ? ` (${range.label})` : ""
+          }.\nSi se libera un espacio te escribo por aquí y tendrás ${WAITLIST_OFFER_TTL_MIN} minutos para tomarlo.`
+        );
+
+        session.state = "idle";
+        session.pendingService = null;
+        session.pendingProvider = "";
+        session.pendingRange = null;
+        return;
+      }
+
+      session.state = "await_day";
+      session.pendingRange = null;
+
+      if (isNo(tNorm)) {
+        await sendWhatsAppText(
+          tenant,
+          from,
+          `Perfecto 👍 Dime otro día (ej: "próximo viernes", "14 de junio") o un mes (ej: "en junio").`
+        );
+        return;
+      }
+      // si escribió otro día, lo toma el flujo normal
+    }
+
+    // AWAIT PROVIDER (elegir dentista)
+    if (session.state === "await_provider" && session.pendingService) {
+      const choice = detectProviderFromUser(tenant, session.pendingService, userText, { allowNumber: true });
+
+      if (choice) {
+        session.pendingProvider = choice;
+        const range = session.pendingRange || parseDateRangeFromText(userText, tenant.timezone);
+
+        if (!range) {
+          session.state = "await_day";
+          const who = choice === "any" ? "" : ` con *${providerLabel(tenant, choice)}*`;
+          await sendWhatsAppText(
+            tenant,
+            from,
+            `Perfecto ✅ Cita de *${serviceTitle(tenant, session.pendingService)}*${who}.\n\n¿Para qué día?\nEj: "mañana", "viernes", "próximo martes", "la semana que viene" o "14 de junio".`
+          );
+          return;
+        }
+
+        await offerSlotsForRange(tenant, from, session, range);
+        return;
+      }
+
+      // si escribió otro servicio dejamos que el flujo normal lo tome
+      if (!detectServiceKeyFromUser(tenant, userText)) {
+        const profile = await getPatientProfile(tenant, from);
+        await sendWhatsAppText(tenant, from, providerChoiceText(tenant, session.pendingService, profile?.preferredProviderId));
+        return;
+      }
+    }
+
+    // Services menu ask
+    if (
+      tNorm.includes("servicios") ||
+      tNorm.includes("cuales servicios") ||
+      tNorm.includes("qué servicios") ||
+      tNorm.includes("que servicios") ||
+      tNorm.includes("menu") ||
+      tNorm.includes("menú")
+    ) {
+      await sendWhatsAppText(tenant, from, servicesEmojiText(tenant));
+      await sendServicesList(tenant, from);
+      return;
+    }
+
+    // Detect service and date range
+    const serviceKey = detectServiceKeyFromUser(tenant, userText);
+
+    if (serviceKey === "urgencias" && tenant.triagePolicy.enabled) {
+      await startTriage(tenant, from, session);
+      return;
+    }
+
+    if (serviceKey === "urgencias") {
+      await sendWhatsAppText(
+        tenant,
+        from,
+        `⚠️ Para *urgencias*, descríbeme brevemente qué ocurre (dolor, sangrado, inflamación, golpe) y te ayudamos de inmediato.\n\nSi es una emergencia severa, llama a emergencias o acude al centro más cercano.`
+      );
+      return;
+    }
+
+    if (!serviceKey && (tNorm.includes("agendar") || tNorm.includes("cita") || tNorm.includes("reservar"))) {
+      await sendWhatsAppText(tenant, from, `Claro ✅ ¿Qué servicio deseas?`);
+      await sendWhatsAppText(tenant, from, servicesEmojiText(tenant));
+      await sendServicesList(tenant, from);
+      return;
+    }
+
+    if (serviceKey) {
+      if (serviceKey !== session.pendingService) session.pendingProvider = "";
+      session.pendingService = serviceKey;
+
+      const range = parseDateRangeFromText(userText, tenant.timezone);
+
+      // ✅ varios dentistas para este servicio: primero preguntamos con quién (o "cualquiera")
+      if (needsProviderChoice(tenant, serviceKey) && !session.pendingProvider) {
+        const named = detectProviderFromUser(tenant, serviceKey, userText);
+        if (!named) {
+          session.pendingRange = range;
+          session.state = "await_provider";
+          const profile = await getPatientProfile(tenant, from);
+          await sendWhatsAppText(tenant, from, providerChoiceText(tenant, serviceKey, profile?.preferredProviderId));
+          return;
+        }
+        session.pendingProvider = named;
+      }
+
+      if (!range) {
+        session.state = "await_day";
+        await sendWhatsAppText(
+          tenant,
+          from,
+          `Perfecto ✅ deseas cita para *${serviceTitle(tenant, serviceKey)}*.\n\n¿Para qué día?\nEj: "mañana", "viernes", "próximo martes", "la semana que viene" o "14 de junio".`
+        );
+        return;
+      }
+
+      await offerSlotsForRange(tenant, from, session, range);
+      return;
+    }
+
+    if (!serviceKey && session.pendingService) {
+      const range = parseDateRangeFromText(userText, tenant.timezone);
+      if (range) {
+        await offerSlotsForRange(tenant, from, session, range);
+        return;
+      }
+
+      if (session.state === "await_day") {
+        await sendWhatsAppText(
+          tenant,
+          from,
+          `Para elegir el día, puedes escribir: "mañana", "viernes", "próximo martes", "la semana que viene", "14 de junio" o "en junio".`
+        );
+        return;
+      }
+    }
+
+    // Fallback: OpenAI
+    const reply = await callOpenAI({
+      tenant,
+      session,
+      userId: from,
+      userText,
+      userPhone: from,
+      msgId: msg?.id,
+      extraSystem: [
+        session.pendingService ? `Nota: el servicio actual pendiente es ${session.pendingService}.` : "",
+        knownPatientPromptLine(await getPatientProfile(tenant, from)),
+      ]
+        .filter(Boolean)
+        .join("\n"),
+    });
+
+    if (normalizeText(reply).includes("servicio")) {
+      await sendWhatsAppText(tenant, from, reply);
+      await sendWhatsAppText(tenant, from, servicesEmojiText(tenant));
+      await sendServicesList(tenant, from);
+      return;
+    }
+
+    await sendWhatsAppText(tenant, from, reply);
+    return;
+  } catch (e) {
+    console.error("Webhook message error:", e?.response?.data || e?.message || e);
+  } finally {
+    try {
+      await saveSession(tenant, from, session);
+    } catch (e) {
+      console.error("saveSession error:", e?.message || e);
+    }
+  }
+}
+
+app.get("/", (_req, res) => res.send("OK"));
+app.get("/health", (_req, res) => res.status(200).send("ok"));
+
+// =========================
+// Recordatorios (24h y 2h)
+// =========================
+// ✅ un error en una clínica no frena los recordatorios de las demás
+async function reminderLoop() {
+  for (const tenant of TENANTS) {
+    await reminderLoopForTenant(tenant);
+  }
+}
+
+async function reminderLoopForTenant(tenant) {
+  try {
+    const now = new Date();
+    const in26h = addMinutes(now, 26 * 60);
+
+    const events = await listAppointmentsInRange(tenant, now.toISOString(), in26h.toISOString());
+
+    // ✅ un evento con error no frena los recordatorios del resto
+    for (const { ev, calendarId } of events) {
+      try {
+        await remindAppointment(tenant, { ev, calendarId, now });
+      } catch (e) {
+        console.error(`Reminder error [${tenant.id}] ${ev.id}:`, e?.response?.data || e?.message || e);
+      }
+    }
+  } catch (e) {
+    console.error(`Reminder loop error [${tenant.id}]:`, e?.response?.data || e?.message || e);
+  }
+}
+
+async function remindAppointment(tenant, { ev, calendarId, now }) {
+  const priv = ev.extendedProperties?.private || {};
+
+  const phone = priv.wa_phone;
+  const startISO = ev.start?.dateTime;
+  if (!phone || !startISO) return;
+
+  const withProvider = priv.provider_name ? ` con ${priv.provider_name}` : "";
+  // cita de un dependiente: "la cita de tu hijo Juan"
+  const dependent = priv.dependent_id ? dependentLabel({ name: priv.patient_name, relationship: priv.relationship }) : "";
+
+  const start = new Date(startISO);
+  const minutesToStart = Math.round((start.getTime() - now.getTime()) / 60000);
+
+  const in24hWindow = minutesToStart <= 25 * 60 && minutesToStart >= 23 * 60;
+  const in2hWindow = minutesToStart <= 135 && minutesToStart >= 90;
+
+  // variables para las plantillas (si la ventana de 24h del paciente está cerrada)
+  const vars = appointmentTemplateVars(tenant, priv, startISO);
+
+  // deliverReminder devuelve el evento si lo parchó; si no, seguimos con el que ya teníamos
+  let current = ev;
+
+  if (REMINDER_24H && in24hWindow && priv.reminder24hSent !== "true") {
+    const msg = dependent
+      ? `Recordatorio 🦷: la cita de ${dependent} es mañana a las ${formatTimeInTZ(startISO, tenant.timezone)}${withProvider} en ${tenant.name}.\n\n¿Nos confirmas su asistencia?`
+      : `Recordatorio 🦷: tienes cita mañana a las ${formatTimeInTZ(startISO, tenant.timezone)}${withProvider} en ${tenant.name}.\n\n¿Nos confirmas tu asistencia?`;
 
-    const { waTo, text } = req.body || {};
-    if (!waTo || !String(waTo).trim()) return res.status(400).json({ error: "waTo is required" });
-    if (!text || !String(text).trim()) return res.status(400).json({ error: "text is required" });
+    current = (await deliverReminder(tenant, { calendarId, ev: current, kind: "24h", text: msg, vars })) || current;
+  }
 
-    await sendWhatsAppText(String(waTo), String(text), "AGENT");
-    return res.json({ ok: true });
-  } catch (e) {
-    console.error("agent_message error:", e?.response?.data || e?.message || e);
-    return res.status(500).json({ error: "Internal error" });
+  if (REMINDER_2H && in2hWindow && priv.reminder2hSent !== "true") {
+    const msg = `Recordatorio 🦷: ${dependent ? `la cita de ${dependent}` : "tu cita"} es hoy a las ${formatTimeInTZ(
+      startISO,
+      tenant.timezone
+    )}${withProvider} en ${tenant.name}.\nDirección: ${tenant.address || "—"}`;
+
+    current = (await deliverReminder(tenant, { calendarId, ev: current, kind: "2h", text: msg, vars })) || current;
   }
-});
 
-// =====================================================
-// ✅ NEW: media proxy para BotHub
-// - El CRM NO necesita WA_TOKEN
-// - El bot usa SU propio WA_TOKEN para traer audio/doc/imagen
-// =====================================================
-app.get("/hub_media/:mediaId", async (req, res) => {
-  try {
-    const { mediaId } = req.params || {};
-    const ts = String(req.query?.ts || "");
-    const sig = String(req.query?.sig || "");
+  if (tenant.confirmationPolicy.autoRelease && priv.confirmation !== "confirmed") {
+    await applyConfirmationPolicy(tenant, { calendarId, ev: current, now, vars });
+  }
+}
 
-    if (!mediaId) {
-      return res.status(400).json({ error: "mediaId is required" });
-    }
+// variables de plantilla de una cita (recordatorios, avisos del staff)
+function appointmentTemplateVars(tenant, priv, startISO) {
+  return {
+    patient_name: priv.patient_name || "",
+    // "tu hijo Juan" en citas de dependientes (si no, el nombre del paciente)
+    patient_label: priv.dependent_id ? dependentLabel({ name: priv.patient_name, relationship: priv.relationship }) : priv.patient_name || "",
+    guardian_name: priv.guardian_name || "",
+    service: serviceTitle(tenant, priv.service) || priv.service || "",
+    date: formatDateInTZ(startISO, tenant.timezone),
+    time: formatTimeInTZ(startISO, tenant.timezone),
+    provider: priv.provider_name || "",
+    clinic: tenant.name,
+    address: tenant.address || "",
+  };
+}
 
-    if (!verifyHubMediaToken(mediaId, ts, sig)) {
-      return res.status(401).json({ error: "Invalid or expired media signature" });
-    }
+// eventos con hora en todos los calendarios de la clínica (un calendario por dentista o uno compartido)
+async function listTenantEventsInRange(tenant, timeMinISO, timeMaxISO, { includeArchive = false } = {}) {
+  const backend = getCalendarBackend(tenant);
+  const out = [];
 
-    if (!WA_TOKEN) {
-      return res.status(500).json({ error: "WA_TOKEN not configured in bot" });
+  const calendars = tenantCalendarIds(tenant);
+  const archive = tenant.cancellationPolicy.archiveCalendarId;
+  if (includeArchive && archive && !calendars.includes(archive)) calendars.push(archive);
+
+  for (const calendarId of calendars) {
+    const list = await backend.listEvents(calendarId, { timeMin: timeMinISO, timeMax: timeMaxISO, maxResults: 250 });
+    for (const ev of list) {
+      if (!ev.start?.dateTime || !ev.end?.dateTime) continue;
+      out.push({ ev, calendarId });
     }
+  }
 
-    const info = await getMetaMediaInfo(mediaId);
-    const mimeType = String(info?.mime_type || "application/octet-stream");
-    const filename = sanitizeFileName(
-      info?.filename || `media-${mediaId}${extFromMimeType(mimeType)}`,
-      `media-${mediaId}${extFromMimeType(mimeType)}`
-    );
+  out.sort((a, b) => new Date(a.ev.start.dateTime).getTime() - new Date(b.ev.start.dateTime).getTime());
+  return out;
+}
 
-    const downloaded = await downloadMetaMedia(mediaId);
+// ✅ citas de pacientes (sin bloqueos de agenda); las canceladas solo si se piden
+async function listAppointmentsInRange(tenant, timeMinISO, timeMaxISO, { includeCancelled = false } = {}) {
+  const events = await listTenantEventsInRange(tenant, timeMinISO, timeMaxISO, { includeArchive: includeCancelled });
+  return events.filter(({ ev }) => {
+    const priv = ev.extendedProperties?.private || {};
+    if (priv.kind === "block") return false;
+    return includeCancelled || priv.status !== "cancelled";
+  });
+}
 
-    res.setHeader("Content-Type", downloaded.mimeType || mimeType);
-    res.setHeader("Cache-Control", "private, max-age=300");
-    res.setHeader("Content-Disposition", `inline; filename="${String(filename).replace(/"/g, "")}"`);
+// [inicio, fin) de un día local "YYYY-MM-DD"
+function localDayRangeISO(tenant, dateKey) {
+  const [year, month, day] = dateKey.split("-").map((n) => parseInt(n, 10));
+  const from = zonedTimeToUtc({ year, month, day, hour: 0, minute: 0 }, tenant.timezone);
+  const to = addLocalDaysUTC(from, 1, tenant.timezone);
+  return { from: from.toISOString(), to: to.toISOString() };
+}
 
-    return res.status(200).send(downloaded.buffer);
-  } catch (e) {
-    console.error("hub_media error:", e?.response?.data || e?.message || e);
-    return res.status(500).json({
-      error: "hub_media_failed",
-      detail: e?.response?.data || e?.message || "unknown",
+// =========================
+// Confirmación de asistencia: aviso y liberación de citas sin confirmar
+// =========================
+// Después del último recordatorio (2h, o 24h si el de 2h está apagado) se espera warnAfterMin;
+// si sigue sin confirmar se avisa y, graceMin después, se cancela (el espacio va a la lista de espera).
+async function applyConfirmationPolicy(tenant, { calendarId, ev, now, vars }) {
+  const policy = tenant.confirmationPolicy;
+  const priv = ev.extendedProperties?.private || {};
+  if (!policy.autoRelease || priv.confirmation === "confirmed" || priv.status === "cancelled") return;
+
+  const finalSentAt = REMINDER_2H ? priv.reminder2hSentAt : priv.reminder24hSentAt;
+  if (!finalSentAt) return;
+
+  const start = new Date(ev.start.dateTime);
+  const latestRelease = addMinutes(start, -AUTO_RELEASE_MIN_BEFORE_START_MIN);
+  const backend = getCalendarBackend(tenant);
+
+  if (!priv.unconfirmedWarnedAt) {
+    if (now < addMinutes(new Date(finalSentAt), policy.warnAfterMin)) return;
+
+    const releaseAt = new Date(Math.min(addMinutes(now, policy.graceMin).getTime(), latestRelease.getTime()));
+    if (releaseAt <= now) return; // ya no da tiempo: se queda como está
+
+    const releaseTime = formatTimeInTZ(releaseAt.toISOString(), tenant.timezone);
+    const sendRes = await sendReminderWhatsAppToBestTarget(
+      tenant,
+      priv,
+      priv.wa_phone,
+      `⚠️ Aún no has confirmado tu cita del ${vars.date} a las ${vars.time} en ${tenant.name}.\n\nSi no la confirmas antes de las ${releaseTime}, liberaremos el espacio para otro paciente.`,
+      { template: "unconfirmed_warning", vars: { ...vars, release_time: releaseTime }, buttons: appointmentButtons(ev.id) }
+    );
+    if (!sendRes.ok) {
+      console.error("[confirmation] could not warn", { appointment_id: ev.id, error: sendRes.error });
+      return; // sin aviso no liberamos
+    }
+
+    await backend.patchEvent(calendarId, ev.id, {
+      colorId: UNCONFIRMED_WARNED_COLOR_ID || undefined,
+      extendedProperties: {
+        private: { ...priv, unconfirmedWarnedAt: now.toISOString(), releaseAt: releaseAt.toISOString() },
+      },
     });
+    return;
   }
-});
 
-app.post("/webhook", async (req, res) => {
-  let from = "";
-  let session = null;
+  if (!priv.releaseAt || now < new Date(priv.releaseAt) || now >= start) return;
 
-  try {
-    if (!verifyMetaSignature(req)) return res.sendStatus(403);
-
-    const entry = req.body.entry?.[0];
-    const change = entry?.changes?.[0];
-    const value = change?.value;
-    const incomingPhoneNumberId = String(value?.metadata?.phone_number_id || "").trim();
-const incomingDisplayPhone = String(value?.metadata?.display_phone_number || "").trim();
-const expectedPhoneNumberId = String(PHONE_NUMBER_ID || "").trim();
-
-console.log("[WEBHOOK FILTER]", {
-  expectedPhoneNumberId,
-  incomingPhoneNumberId,
-  incomingDisplayPhone,
-});
+  await backend.patchEvent(calendarId, ev.id, {
+    extendedProperties: { private: { ...priv, confirmation: "released", releasedAt: now.toISOString() } },
+  });
+  await cancelAppointmentTool(tenant, {
+    appointment_id: ev.id,
+    provider_id: priv.provider_id,
+    reason: "Liberada automáticamente por falta de confirmación",
+    by: "auto_release",
+  });
 
-if (incomingPhoneNumberId && expectedPhoneNumberId && incomingPhoneNumberId !== expectedPhoneNumberId) {
-  console.log("[WEBHOOK FILTER] Ignorado por phone_number_id distinto");
-  return res.sendStatus(200);
+  await sendReminderWhatsAppToBestTarget(
+    tenant,
+    priv,
+    priv.wa_phone,
+    `Tu cita del ${vars.date} a las ${vars.time} fue liberada porque no recibimos confirmación 🙏\n\nSi aún deseas venir, escríbenos y buscamos otro horario.`,
+    { template: "appointment_released", vars }
+  );
 }
 
-    const msg = value?.messages?.[0];
-    if (!msg) return res.sendStatus(200);
+// citas de un día local que todavía no han confirmado (para el staff)
+async function listUnconfirmedAppointments(tenant, dateKey) {
+  const { from, to } = localDayRangeISO(tenant, dateKey);
+  const events = await listAppointmentsInRange(tenant, from, to);
 
-    from = msg.from;
-    if (!from) return res.sendStatus(200);
+  return events
+    .filter(({ ev }) => ev.extendedProperties?.private?.confirmation !== "confirmed")
+    .map(({ ev }) => {
+      const priv = ev.extendedProperties?.private || {};
+      return {
+        ...appointmentFromEvent(tenant, ev),
+        reminder24hSent: priv.reminder24hSent === "true",
+        reminder2hSent: priv.reminder2hSent === "true",
+        warnedAt: priv.unconfirmedWarnedAt || null,
+        releaseAt: priv.releaseAt || null,
+      };
+    });
+}
 
-    session = await getSession(from);
+function tomorrowDateKey(tenant) {
+  const tomorrow = addLocalDaysUTC(startOfLocalDayUTC(new Date(), tenant.timezone), 1, tenant.timezone);
+  return localDateKey(getZonedParts(tomorrow, tenant.timezone));
+}
 
-    const msgId = msg?.id;
-    if (msgId && session.lastMsgId === msgId) return res.sendStatus(200);
-    if (msgId) session.lastMsgId = msgId;
+// ✅ una vez al día (STAFF_DIGEST_HOUR) le mandamos al staff quién no ha confirmado mañana
+async function staffDigestLoop() {
+  if (STAFF_DIGEST_HOUR < 0) return;
 
-    const userTextRaw = extractIncomingText(msg);
-    const userText = (userTextRaw || "").trim();
-    const tNorm = normalizeText(userText);
+  for (const tenant of TENANTS) {
+    let sentKey = "";
+    try {
+      const myTo = String(tenant.personalWaTo || "").replace(/[^\d]/g, "");
+      if (!myTo) continue;
+
+      const nowP = getZonedParts(new Date(), tenant.timezone);
+      if (nowP.hour < STAFF_DIGEST_HOUR) continue;
+
+      // se aparta el día antes de mandar (dos /tick a la vez no lo duplican); si falla se suelta
+      const dayKey = `${REDIS_PREFIX}digest:${tenant.id}:${localDateKey(nowP)}`;
+      if (!(await kvSetJsonNX(dayKey, { at: new Date().toISOString() }, 2 * 24 * 60 * 60))) continue;
+      sentKey = dayKey;
+
+      const dateKey = tomorrowDateKey(tenant);
+      const pending = await listUnconfirmedAppointments(tenant, dateKey);
+      const lines = pending.map(
+        (a) =>
+          `• ${formatTimeInTZ(a.start, tenant.timezone)} - ${a.patient_name || "—"} (${a.phone || "—"})` +
+          `${a.provider_name ? ` con ${a.provider_name}` : ""}${a.warnedAt ? " ⚠️ avisado" : ""}`
+      );
 
-    if (!userText) return res.sendStatus(200);
+      const text = pending.length
+        ? `📋 *Sin confirmar para mañana* (${tenant.name})\n\n${lines.join("\n")}`
+        : `📋 ${tenant.name}: todas las citas de mañana están confirmadas ✅`;
+      await sendWhatsAppText(tenant, myTo, text, "BOT");
+    } catch (e) {
+      console.error(`Staff digest error [${tenant.id}]:`, e?.response?.data || e?.message || e);
+      if (sentKey) await kvDel(sentKey).catch(() => {}); // se reintenta en el próximo /tick
+    }
+  }
+}
 
-    const inboundMeta = extractInboundMeta(msg);
-    const inboundMetaWithMediaUrl = attachHubMediaUrl(req, inboundMeta);
+// ✅ envía un recordatorio (texto o plantilla) y deja el resultado en el evento:
+// reminder24hSent/Via si salió, reminder24hAttempts/Error/FailedAt si no. Devuelve el evento parchado (o null)
+async function deliverReminder(tenant, { calendarId, ev, kind, text, vars }) {
+  const priv = ev.extendedProperties?.private || {};
+  const attempts = parseInt(priv[`reminder${kind}Attempts`] || "0", 10);
+  if (attempts >= REMINDER_MAX_ATTEMPTS) return null;
+
+  const sendRes = await sendReminderWhatsAppToBestTarget(tenant, priv, priv.wa_phone, text, {
+    template: `reminder_${kind}`,
+    vars,
+    buttons: appointmentButtons(ev.id),
+  });
 
-    console.log(
-      "BOTHUB INBOUND DEBUG: ",
-      JSON.stringify(
-        {
-          msgType: msg?.type,
-          from,
-          userText,
-          inboundMeta,
-          inboundMetaWithMediaUrl,
+  const backend = getCalendarBackend(tenant);
+  if (sendRes.ok) {
+    return backend.patchEvent(calendarId, ev.id, {
+      extendedProperties: {
+        private: {
+          ...priv,
+          [`reminder${kind}Sent`]: "true",
+          [`reminder${kind}SentAt`]: new Date().toISOString(),
+          [`reminder${kind}Via`]: sendRes.via || "text",
         },
-        null,
-        2
-      )
-    );
-
-    await bothubReportMessage({
-      direction: "INBOUND",
-      from: String(from),
-      body: String(userText),
-      source: "WHATSAPP",
-      waMessageId: msg?.id,
-      name: value?.contacts?.[0]?.profile?.name,
-      kind: inboundMetaWithMediaUrl?.kind || (msg?.type ? String(msg.type).toUpperCase() : "UNKNOWN"),
-      meta: inboundMetaWithMediaUrl,
-      mediaUrl: inboundMetaWithMediaUrl?.mediaUrl || undefined,
+      },
     });
+  }
 
-    const wantsCancel = looksLikeCancel(tNorm) || isChoice(tNorm, 3);
-    const wantsReschedule = looksLikeReschedule(tNorm) || isChoice(tNorm, 2);
-    const wantsConfirm = looksLikeConfirm(tNorm) || isChoice(tNorm, 1);
+  console.error(`[reminder${kind}] could not send`, { tried: sendRes.tried, error: sendRes.error });
 
-    if ((wantsCancel || wantsReschedule || wantsConfirm) && !session.lastBooking) {
-      const found = await findUpcomingAppointmentByPhone(from);
-      if (found) {
-        session.lastBooking = found;
-        session.state = "post_booking";
-      }
-    }
+  const error = typeof sendRes.error === "string" ? sendRes.error : JSON.stringify(sendRes.error || "unknown");
+  return backend.patchEvent(calendarId, ev.id, {
+    extendedProperties: {
+      private: {
+        ...priv,
+        [`reminder${kind}Attempts`]: String(attempts + 1),
+        [`reminder${kind}Error`]: error.slice(0, 500),
+        [`reminder${kind}FailedAt`]: new Date().toISOString(),
+      },
+    },
+  });
+}
 
-    const detectedServiceEarly = detectServiceKeyFromUser(userText);
-    const detectedRangeEarly = parseDateRangeFromText(userText);
-    const hasEarlyIntent =
-      !!detectedServiceEarly ||
-      !!detectedRangeEarly ||
-      tNorm.includes("cita") ||
-      tNorm.includes("agendar") ||
-      tNorm.includes("reservar") ||
-      tNorm.includes("reprogram") ||
-      tNorm.includes("cancel");
+app.get("/tick", async (_req, res) => {
+  try {
+    await reminderLoop();
+    await waitlistLoop();
+    await staffDigestLoop();
+    await handoffLoop();
+  } catch {}
+  return res.status(200).send("tick ok");
+});
 
-    if (session.greeted && session.state === "idle" && isGreeting(tNorm) && !hasEarlyIntent) {
-      await sendWhatsAppText(from, quickHelpText());
-      return res.sendStatus(200);
-    }
+// =========================
+// Staff API (HMAC)
+// =========================
+// X-Staff-Timestamp: segundos unix | X-Staff-Signature: hex(HMAC_SHA256(STAFF_API_SECRET,
+// `${timestamp}.${METHOD}.${ruta con query}.${body crudo}`))
+function verifyStaffRequest(req) {
+  if (!STAFF_API_SECRET) return { ok: false, status: 400, error: "STAFF_API_SECRET not configured" };
 
-    if (!session.greeted && session.state === "idle" && isGreeting(tNorm) && !hasEarlyIntent) {
-      session.greeted = true;
-      await sendWhatsAppText(from, servicesEmojiText());
-      await sendServicesList(from);
-      return res.sendStatus(200);
-    }
+  const ts = String(req.headers["x-staff-timestamp"] || "").trim();
+  const sig = String(req.headers["x-staff-signature"] || "").trim().replace(/^sha256=/, "");
+  if (!ts || !sig || !/^\d+$/.test(ts)) return { ok: false, status: 401, error: "Missing signature" };
 
-    if (!session.greeted && session.state === "idle") {
-      session.greeted = true;
-    }
+  if (Math.abs(Date.now() / 1000 - Number(ts)) > STAFF_SIGNATURE_MAX_SKEW_SEC) {
+    return { ok: false, status: 401, error: "Expired signature" };
+  }
 
-    // POST-BOOKING
-    if (session.state === "post_booking" && session.lastBooking) {
-      if (wantsConfirm) {
-        const b = session.lastBooking;
-        await sendWhatsAppText(
-          from,
-          `✅ ¡Confirmado!\n\n🦷 Servicio: ${
-            SERVICES.find((s) => s.key === b.service)?.title || b.service
-          }\n📅 Fecha: ${formatDateInTZ(b.start, CLINIC_TIMEZONE)}\n⏰ Hora: ${formatTimeInTZ(
-            b.start,
-            CLINIC_TIMEZONE
-          )}\n\nResponde:\n2) Reprogramar\n3) Cancelar`
-        );
-        return res.sendStatus(200);
-      }
+  const raw = req.rawBody ? req.rawBody.toString("utf8") : "";
+  const expected = crypto
+    .createHmac("sha256", STAFF_API_SECRET)
+    .update(`${ts}.${req.method.toUpperCase()}.${req.originalUrl}.${raw}`)
+    .digest("hex");
 
-      if (wantsCancel) {
-        await cancelAppointmentTool({ appointment_id: session.lastBooking.appointment_id, reason: userText });
-        await sendWhatsAppText(from, `✅ Listo. Tu cita fue cancelada.\n\nSi deseas agendar una nueva, escribe "Nueva cita" o dime el servicio.`);
+  if (!timingSafeEqualHex(sig, expected)) return { ok: false, status: 401, error: "Invalid signature" };
+  return { ok: true };
+}
 
-        session.state = "idle";
-        session.lastSlots = [];
-        session.lastDisplaySlots = [];
-        session.selectedSlot = null;
-        session.pendingService = null;
-        session.pendingRange = null;
-        session.pendingName = null;
-        session.lastBooking = null;
-        session.reschedule = defaultSession().reschedule;
-        return res.sendStatus(200);
-      }
+function staffTenant(req) {
+  const tenantId = String(req.query?.tenantId || req.body?.tenantId || "").trim();
+  return tenantId ? findTenantById(tenantId) : DEFAULT_TENANT;
+}
 
-      if (wantsReschedule) {
-        session.reschedule.active = true;
-        session.reschedule.appointment_id = session.lastBooking.appointment_id;
-        session.reschedule.phone = session.lastBooking.phone || String(from).replace(/[^\d]/g, "");
-        session.reschedule.patient_name = session.lastBooking.patient_name || "";
-        session.reschedule.service = session.lastBooking.service || "";
+function isValidDateKey(date) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) return false;
+  const parsed = new Date(`${date}T00:00:00Z`);
+  // Date acepta "02-30" y lo corre al mes siguiente
+  return !Number.isNaN(parsed.getTime()) && parsed.toISOString().slice(0, 10) === date;
+}
 
-        session.pendingService = session.reschedule.service || session.pendingService;
-        session.state = "await_day";
-        session.lastSlots = [];
-        session.lastDisplaySlots = [];
-        session.selectedSlot = null;
-        session.pendingRange = null;
-        session.pendingName = null;
+function isNotFound(e) {
+  return e?.code === 404 || e?.status === 404 || e?.response?.status === 404;
+}
 
-        const prettyService = SERVICES.find((s) => s.key === session.pendingService)?.title || session.pendingService;
-        await sendWhatsAppText(
-          from,
-          `Perfecto ✅ Vamos a reprogramar tu cita.\nServicio: *${prettyService}*\n\n¿Para qué día?\nEj: "mañana", "viernes", "próximo martes".`
-        );
-        return res.sendStatus(200);
-      }
+// ?date=YYYY-MM-DD (día local) o ?from=&to= (ISO); por defecto hoy
+function staffRangeFromQuery(tenant, query) {
+  const date = String(query?.date || "").trim();
+  if (date) return isValidDateKey(date) ? localDayRangeISO(tenant, date) : null;
+
+  const from = String(query?.from || "").trim();
+  const to = String(query?.to || "").trim();
+  if (from || to) {
+    const fromISO = isValidDateKey(from) ? localDayRangeISO(tenant, from).from : from;
+    const toISO = isValidDateKey(to) ? localDayRangeISO(tenant, to).to : to;
+    if (Number.isNaN(Date.parse(fromISO)) || Number.isNaN(Date.parse(toISO)) || !(new Date(toISO) > new Date(fromISO))) return null;
+    return { from: new Date(fromISO).toISOString(), to: new Date(toISO).toISOString() };
+  }
 
-      if (looksLikeNewAppointment(tNorm)) {
-        session.state = "idle";
-        session.reschedule = defaultSession().reschedule;
-        await sendWhatsAppText(from, `Claro ✅ Vamos a agendar una nueva cita.\nElige un servicio:`);
-        await sendServicesList(from);
-        return res.sendStatus(200);
-      }
+  return localDayRangeISO(tenant, localDateKey(getZonedParts(new Date(), tenant.timezone)));
+}
 
-      if (isThanks(tNorm)) {
-        const b = session.lastBooking;
-        await sendWhatsAppText(
-          from,
-          `¡Perfecto! ✅\nTu cita queda confirmada.\n\n🦷 Servicio: ${
-            SERVICES.find((s) => s.key === b.service)?.title || b.service
-          }\n📅 Fecha: ${formatDateInTZ(b.start, CLINIC_TIMEZONE)}\n⏰ Hora: ${formatTimeInTZ(
-            b.start,
-            CLINIC_TIMEZONE
-          )}\n\nSi necesitas *reprogramar* o *cancelar*, escríbelo aquí.`
-        );
-        return res.sendStatus(200);
-      }
+// lo que ve la recepción de una cita
+function staffAppointmentView(tenant, calendarId, ev) {
+  const priv = ev.extendedProperties?.private || {};
+  return {
+    ...appointmentFromEvent(tenant, ev),
+    calendarId,
+    wa_id: priv.wa_id || "",
+    status: priv.status === "cancelled" ? "cancelled" : "active",
+    cancelledAt: priv.cancelledAt || null,
+    lateCancel: priv.lateCancel === "true",
+    confirmation: priv.confirmation || "pending",
+    confirmedAt: priv.confirmedAt || null,
+    attendance: priv.attendance || null,
+    guardian: priv.guardian_name
+      ? { name: priv.guardian_name, relationship: priv.relationship || "", dependent_id: priv.dependent_id || "", patient_age: priv.patient_age || "" }
+      : null,
+    triage: priv.triage_outcome
+      ? { score: Number(priv.triage_score), outcome: priv.triage_outcome, answers: safeJson(priv.triage_answers, {}) }
+      : null,
+    notes: ev.description || "",
+  };
+}
 
-      await sendWhatsAppText(
-        from,
-        `Estoy aquí ✅\nSi deseas *reprogramar* o *cancelar* tu cita, responde:\n2) Reprogramar\n3) Cancelar\n\nSi deseas una *nueva cita*, escribe "Nueva cita".`
-      );
-      return res.sendStatus(200);
-    }
+// ✅ el staff solo puede usar horarios que el bot también ofrecería (mismas reglas de disponibilidad)
+async function findBookableSlot(tenant, { service, start, provider_id }) {
+  const durationMin = tenant.serviceDuration[service] || tenant.serviceDuration["otro"] || 30;
+  const slots = await getAvailableSlotsTool(tenant, {
+    service,
+    from: start,
+    to: addMinutes(new Date(start), durationMin).toISOString(),
+    provider_id,
+  });
+  return slots.find((s) => new Date(s.start).getTime() === new Date(start).getTime()) || null;
+}
 
-    // AWAIT SLOT CHOICE
-    if (session.state === "await_slot_choice" && session.lastSlots?.length) {
-      if (["reiniciar", "reset", "resetear", "empezar", "inicio"].some((k) => tNorm.includes(k))) {
-        session.state = "idle";
-        session.lastSlots = [];
-        session.lastDisplaySlots = [];
-        session.selectedSlot = null;
-        session.pendingRange = null;
-        session.pendingName = null;
-        session.reschedule = defaultSession().reschedule;
+// avisa al paciente de un cambio hecho por el staff (texto, o plantilla si la ventana de 24h está cerrada)
+async function notifyPatientOfStaffChange(tenant, priv, { template, text, startISO, buttons }) {
+  const res = await sendReminderWhatsAppToBestTarget(tenant, priv, priv.wa_phone, text, {
+    template,
+    vars: appointmentTemplateVars(tenant, priv, startISO),
+    buttons,
+  });
+  if (!res.ok) console.error("[staff] patient notify failed:", priv.wa_id || priv.wa_phone, res.error);
+  return res.ok;
+}
 
-        await sendWhatsAppText(from, `Listo ✅ Reinicié el proceso.\n¿Qué servicio deseas agendar?`);
-        await sendWhatsAppText(from, servicesEmojiText());
-        await sendServicesList(from);
-        return res.sendStatus(200);
-      }
+function staffNotifyWanted(body) {
+  return body?.notify !== false && body?.notify !== "false";
+}
 
-      if (["reprogramar", "cambiar", "otro dia", "otro día"].some((k) => tNorm.includes(k))) {
-        session.state = "await_day";
-        session.lastSlots = [];
-        session.lastDisplaySlots = [];
-        session.selectedSlot = null;
-        session.pendingRange = null;
-        session.pendingName = null;
+// citas de un día o rango (?includeCancelled=1 para ver también las canceladas, ?provider_id=)
+app.get("/staff/appointments", async (req, res) => {
+  try {
+    const auth = verifyStaffRequest(req);
+    if (!auth.ok) return res.status(auth.status).json({ error: auth.error });
 
-        const prettyService =
-          SERVICES.find((s) => s.key === session.pendingService)?.title || session.pendingService || "tu servicio";
-        await sendWhatsAppText(
-          from,
-          `Perfecto ✅ Vamos a elegir *otro día* para *${prettyService}*.\n\n¿Para qué día?\nEj: "mañana", "viernes", "próximo martes", "la semana que viene" o "14 de junio".`
-        );
-        return res.sendStatus(200);
+    const tenant = staffTenant(req);
+    if (!tenant) return res.status(404).json({ error: "Unknown tenant" });
+
+    const range = staffRangeFromQuery(tenant, req.query);
+    if (!range) return res.status(400).json({ error: "Use date=YYYY-MM-DD or from/to (ISO, from < to)" });
+
+    const providerId = String(req.query?.provider_id || "").trim();
+    const includeCancelled = req.query?.includeCancelled === "1";
+
+    const events = await listTenantEventsInRange(tenant, range.from, range.to, { includeArchive: includeCancelled });
+    const appointments = [];
+    const blocks = [];
+    for (const { ev, calendarId } of events) {
+      const priv = ev.extendedProperties?.private || {};
+      if (providerId && priv.provider_id && priv.provider_id !== providerId) continue;
+
+      if (priv.kind === "block") {
+        blocks.push({
+          block_id: ev.id,
+          calendarId,
+          start: ev.start.dateTime,
+          end: ev.end.dateTime,
+          provider_id: priv.provider_id || "",
+          reason: priv.reason || "",
+        });
+        continue;
       }
+      if (!includeCancelled && priv.status === "cancelled") continue;
+      appointments.push(staffAppointmentView(tenant, calendarId, ev));
+    }
+
+    return res.json({ ok: true, tenantId: tenant.id, ...range, count: appointments.length, appointments, blocks });
+  } catch (e) {
+    console.error("staff/appointments error:", e?.response?.data || e?.message || e);
+    return res.status(500).json({ error: "Internal error" });
+  }
+});
 
-      const picked = tryPickSlotFromUserText(session, userText);
+// buscar por teléfono (?phone=) o nombre (?q=); por defecto desde 30 días atrás hasta 180 adelante
+app.get("/staff/appointments/search", async (req, res) => {
+  try {
+    const auth = verifyStaffRequest(req);
+    if (!auth.ok) return res.status(auth.status).json({ error: auth.error });
 
-      if (!picked) {
-        if (/^\d+$/.test(tNorm)) {
-          await sendWhatsAppText(
-            from,
-            `Ese número no corresponde a un horario disponible 🙏\nResponde con uno de los números que ves en la lista, o escribe una hora como "10:00 am".`
-          );
-          return res.sendStatus(200);
-        }
+    const tenant = staffTenant(req);
+    if (!tenant) return res.status(404).json({ error: "Unknown tenant" });
+
+    const phone = normalizePhoneDigits(req.query?.phone);
+    const q = normalizeText(String(req.query?.q || ""));
+    if (!phone && q.length < 2) return res.status(400).json({ error: "phone or q (min 2 chars) required" });
+
+    const now = new Date();
+    const range =
+      req.query?.from || req.query?.to || req.query?.date
+        ? staffRangeFromQuery(tenant, req.query)
+        : { from: addMinutes(now, -30 * 24 * 60).toISOString(), to: addMinutes(now, 180 * 24 * 60).toISOString() };
+    if (!range) return res.status(400).json({ error: "Use date=YYYY-MM-DD or from/to (ISO, from < to)" });
+
+    const events = await listAppointmentsInRange(tenant, range.from, range.to, {
+      includeCancelled: req.query?.includeCancelled === "1",
+    });
+
+    const wantedPhone = phone ? toE164DigitsRD(phone) : "";
+    const appointments = events
+      .filter(({ ev }) => {
+        const priv = ev.extendedProperties?.private || {};
+        if (wantedPhone && ![toE164DigitsRD(priv.wa_phone), normalizePhoneDigits(priv.wa_id)].includes(wantedPhone)) return false;
+        if (q && !normalizeText(priv.patient_name || "").includes(q)) return false;
+        return true;
+      })
+      .map(({ ev, calendarId }) => staffAppointmentView(tenant, calendarId, ev));
+
+    return res.json({ ok: true, tenantId: tenant.id, ...range, count: appointments.length, appointments });
+  } catch (e) {
+    console.error("staff/appointments/search error:", e?.response?.data || e?.message || e);
+    return res.status(500).json({ error: "Internal error" });
+  }
+});
 
-        const parsed = parseUserTimeTo24h(userText);
+app.get("/staff/appointments/:id", async (req, res) => {
+  try {
+    const auth = verifyStaffRequest(req);
+    if (!auth.ok) return res.status(auth.status).json({ error: auth.error });
 
-        if (parsed) {
-          await sendWhatsAppText(
-            from,
-            `Entendí *${userText}* ✅\nPero ese horario no está disponible.\n\nResponde con el *número* (1,2,3...) o elige una *hora disponible* (ej: 10:00 am / 3:00 pm).`
-          );
-          return res.sendStatus(200);
-        }
+    const tenant = staffTenant(req);
+    if (!tenant) return res.status(404).json({ error: "Unknown tenant" });
 
-        await sendWhatsAppText(
-          from,
-          `No entendí el horario 🙏\nResponde con el *número* (1,2,3...) o la *hora* (ej: 10:00 am / 3:00 pm).`
-        );
-        return res.sendStatus(200);
-      }
+    const { calendarId, event } = await locateAppointment(tenant, req.params.id, String(req.query?.provider_id || ""));
+    if (event.extendedProperties?.private?.kind === "block") return res.status(404).json({ error: "Appointment not found" });
 
-      if (session.reschedule?.active && session.reschedule.appointment_id) {
-        const appointment_id = session.reschedule.appointment_id;
-        const nextService = session.pendingService || picked.service || session.reschedule.service;
+    return res.json({ ok: true, appointment: staffAppointmentView(tenant, calendarId, event) });
+  } catch (e) {
+    if (isNotFound(e)) return res.status(404).json({ error: "Appointment not found" });
+    console.error("staff/appointment error:", e?.response?.data || e?.message || e);
+    return res.status(500).json({ error: "Internal error" });
+  }
+});
 
-        await rescheduleAppointmentTool({
-          appointment_id,
-          new_slot_id: picked.slot_id,
-          new_start: picked.start,
-          new_end: picked.end,
-          service: nextService,
-          patient_name: session.reschedule.patient_name,
-          phone: session.reschedule.phone || from,
-          wa_id: from,
-        });
+// horarios libres (mismos que ve el paciente): ?service=&from=&to=|date=&provider_id=
+app.get("/staff/slots", async (req, res) => {
+  try {
+    const auth = verifyStaffRequest(req);
+    if (!auth.ok) return res.status(auth.status).json({ error: auth.error });
 
-        const prettyService = SERVICES.find((s) => s.key === nextService)?.title || nextService;
+    const tenant = staffTenant(req);
+    if (!tenant) return res.status(404).json({ error: "Unknown tenant" });
 
-        session.lastBooking = {
-          appointment_id,
-          start: picked.start,
-          end: picked.end,
-          service: nextService,
-          patient_name: session.reschedule.patient_name || session.lastBooking?.patient_name || "",
-          phone: session.reschedule.phone || String(from).replace(/[^\d]/g, ""),
-        };
+    const service = String(req.query?.service || "").trim();
+    if (!tenant.services.some((s) => s.key === service)) return res.status(400).json({ error: "Unknown service" });
 
-        session.state = "post_booking";
-        session.lastSlots = [];
-        session.lastDisplaySlots = [];
-        session.selectedSlot = null;
-        session.pendingRange = null;
-        session.pendingName = null;
-        session.reschedule = defaultSession().reschedule;
+    const range = staffRangeFromQuery(tenant, req.query);
+    if (!range) return res.status(400).json({ error: "Use date=YYYY-MM-DD or from/to (ISO, from < to)" });
 
-        await sendWhatsAppText(
-          from,
-          `✅ *Cita reprogramada*\n\n🦷 Servicio: *${prettyService}*\n📅 Fecha: *${formatDateInTZ(
-            picked.start,
-            CLINIC_TIMEZONE
-          )}*\n⏰ Hora: *${formatTimeInTZ(picked.start, CLINIC_TIMEZONE)}*\n\nResponde:\n1) Confirmar\n2) Reprogramar\n3) Cancelar`
-        );
-        return res.sendStatus(200);
-      }
+    const args = { service, ...range, provider_id: String(req.query?.provider_id || "").trim() };
+    const slots = await getAvailableSlotsTool(tenant, args);
+    const closed_reason = slots.length ? "" : explainNoAvailability(tenant, args);
 
-      session.selectedSlot = picked;
-      session.state = "await_name";
-      await sendWhatsAppText(
-        from,
-        `Perfecto ✅ Queda seleccionado el horario ${formatTimeInTZ(picked.start, CLINIC_TIMEZONE)}.\nAhora indícame tu *nombre completo* para reservar.`
+    return res.json({ ok: true, tenantId: tenant.id, ...range, slots, closed_reason });
+  } catch (e) {
+    console.error("staff/slots error:", e?.response?.data || e?.message || e);
+    return res.status(500).json({ error: "Internal error" });
+  }
+});
+
+// reservar a nombre del paciente: { service, start, patient_name, phone, wa_id?, provider_id?, notes?, notify? }
+app.post("/staff/appointments", async (req, res) => {
+  try {
+    const auth = verifyStaffRequest(req);
+    if (!auth.ok) return res.status(auth.status).json({ error: auth.error });
+
+    const tenant = staffTenant(req);
+    if (!tenant) return res.status(404).json({ error: "Unknown tenant" });
+
+    const b = req.body || {};
+    const service = String(b.service || "").trim();
+    const patient_name = String(b.patient_name || "").trim();
+    const phone = normalizePhoneDigits(b.phone);
+    const start = String(b.start || "").trim();
+
+    // ✅ reintento con el mismo Idempotency-Key: la cita ya existe, se devuelve la misma
+    const idemKey = idempotencyKey("staff_book", tenant.id, req.get("Idempotency-Key"));
+    const replay = await idempotentResult(tenant, idemKey);
+    if (replay) return res.json({ ok: true, appointment: replay, notified: false, replayed: true });
+
+    if (!tenant.services.some((s) => s.key === service)) return res.status(400).json({ error: "Unknown service" });
+    if (!patient_name || phone.length < 8) return res.status(400).json({ error: "patient_name and phone are required" });
+    if (Number.isNaN(Date.parse(start))) return res.status(400).json({ error: "start must be an ISO date" });
+
+    const provider_id = String(b.provider_id || "").trim();
+    const slot = await findBookableSlot(tenant, { service, start, provider_id });
+    if (!slot) return res.status(409).json({ error: "Slot not available" });
+
+    const booked = await bookAppointmentTool(tenant, {
+      patient_name,
+      phone,
+      slot_id: slot.slot_id,
+      service,
+      notes: [String(b.notes || "").trim(), "Agendada por el staff"].filter(Boolean).join(" · "),
+      slot_start: slot.start,
+      slot_end: slot.end,
+      wa_id: normalizePhoneDigits(b.wa_id),
+      provider_id: provider_id || slot.provider_ids[0],
+      idempotency_key: idemKey,
+    });
+
+    let notified = false;
+    if (staffNotifyWanted(b)) {
+      notified = await notifyPatientOfStaffChange(
+        tenant,
+        { wa_id: normalizePhoneDigits(b.wa_id), wa_phone: phone, patient_name, service, provider_name: booked.provider_name },
+        {
+          template: "staff_booked",
+          startISO: booked.start,
+          text:
+            `✅ *Cita reservada* en ${tenant.name}\n\n🦷 Servicio: *${serviceTitle(tenant, service)}*\n${dentistLine(booked.provider_name, true)}` +
+            `📅 Fecha: *${formatDateInTZ(booked.start, tenant.timezone)}*\n⏰ Hora: *${formatTimeInTZ(booked.start, tenant.timezone)}*\n📍 Dirección: ${tenant.address || "—"}`,
+          buttons: appointmentButtons(booked.appointment_id),
+        }
       );
-      return res.sendStatus(200);
     }
 
-    // AWAIT NAME
-    if (session.state === "await_name" && session.selectedSlot) {
-      if (tNorm.length < 3 || ["si", "sí", "ok", "listo"].includes(tNorm)) {
-        await sendWhatsAppText(from, `Por favor, envíame tu *nombre completo* 🙂`);
-        return res.sendStatus(200);
-      }
-      session.pendingName = userText;
-      session.state = "await_phone";
-      await sendWhatsAppText(from, `Gracias. Ahora envíame tu *número de teléfono* (ej: 829XXXXXXX) para completar la reserva.`);
-      return res.sendStatus(200);
-    }
+    return res.status(201).json({ ok: true, appointment: booked, notified });
+  } catch (e) {
+    if (isSlotTakenError(e)) return res.status(409).json({ error: "Slot not available" });
+    console.error("staff/book error:", e?.response?.data || e?.message || e);
+    return res.status(500).json({ error: "Internal error" });
+  }
+});
 
-    // AWAIT PHONE -> BOOK
-    if (session.state === "await_phone" && session.selectedSlot && session.pendingName) {
-      const phoneDigits = userText.replace(/[^\d]/g, "");
-      if (phoneDigits.length < 8) {
-        await sendWhatsAppText(from, `Ese número parece incompleto 🙏\nEnvíame el teléfono así: 829XXXXXXX`);
-        return res.sendStatus(200);
-      }
+// reprogramar: { new_start, new_provider_id?, notify? }
+app.post("/staff/appointments/:id/reschedule", async (req, res) => {
+  try {
+    const auth = verifyStaffRequest(req);
+    if (!auth.ok) return res.status(auth.status).json({ error: auth.error });
+
+    const tenant = staffTenant(req);
+    if (!tenant) return res.status(404).json({ error: "Unknown tenant" });
+
+    const b = req.body || {};
+    const newStart = String(b.new_start || "").trim();
+    if (Number.isNaN(Date.parse(newStart))) return res.status(400).json({ error: "new_start must be an ISO date" });
+
+    const idemKey = idempotencyKey("staff_reschedule", tenant.id, req.params.id, req.get("Idempotency-Key"));
+    const replay = await idempotentResult(tenant, idemKey);
+    if (replay) return res.json({ ...replay, notified: false, replayed: true });
+
+    const { event } = await locateAppointment(tenant, req.params.id, String(b.provider_id || ""));
+    const priv = event.extendedProperties?.private || {};
+    if (priv.kind === "block" || priv.status === "cancelled") return res.status(404).json({ error: "Appointment not found" });
+
+    const appt = appointmentFromEvent(tenant, event);
+    const newProviderId = String(b.new_provider_id || "").trim();
+    const slot = await findBookableSlot(tenant, { service: appt.service, start: newStart, provider_id: newProviderId });
+    if (!slot) return res.status(409).json({ error: "Slot not available" });
+
+    const out = await rescheduleAppointmentTool(tenant, {
+      appointment_id: appt.appointment_id,
+      provider_id: appt.provider_id,
+      new_provider_id: newProviderId || (slot.provider_ids.includes(appt.provider_id) ? appt.provider_id : slot.provider_ids[0]),
+      new_slot_id: slot.slot_id,
+      new_start: slot.start,
+      new_end: slot.end,
+      service: appt.service,
+      patient_name: appt.patient_name,
+      phone: appt.phone,
+      wa_id: priv.wa_id,
+      idempotency_key: idemKey,
+    });
 
-      const slot = session.selectedSlot;
-      const booked = await bookAppointmentTool({
-        patient_name: session.pendingName,
-        phone: phoneDigits,
-        slot_id: slot.slot_id,
-        service: session.pendingService || slot.service,
-        notes: "",
-        slot_start: slot.start,
-        slot_end: slot.end,
-        wa_id: from,
+    let notified = false;
+    if (staffNotifyWanted(b)) {
+      notified = await notifyPatientOfStaffChange(tenant, { ...priv, provider_name: out.provider_name }, {
+        template: "staff_rescheduled",
+        startISO: slot.start,
+        text:
+          `🔁 Tu cita en ${tenant.name} fue *reprogramada*\n\n🦷 Servicio: *${serviceTitle(tenant, appt.service)}*\n${dentistLine(out.provider_name, true)}` +
+          `📅 Nueva fecha: *${formatDateInTZ(slot.start, tenant.timezone)}*\n⏰ Hora: *${formatTimeInTZ(slot.start, tenant.timezone)}*`,
+        buttons: appointmentButtons(appt.appointment_id),
       });
+    }
 
-      const prettyService = SERVICES.find((s) => s.key === booked.service)?.title || booked.service;
-
-      await sendWhatsAppText(
-        from,
-        `✅ *Cita reservada*\n\n🦷 Servicio: *${prettyService}*\n👤 Paciente: *${booked.patient_name}*\n📞 Teléfono: *${phoneDigits}*\n📅 Fecha: *${formatDateInTZ(booked.start, CLINIC_TIMEZONE)}*\n⏰ Hora: *${formatTimeInTZ(booked.start, CLINIC_TIMEZONE)}*\n📍 Dirección: ${CLINIC_ADDRESS || "—"}\n\nResponde:\n1) Confirmar\n2) Reprogramar\n3) Cancelar`
-      );
-
-      await notifyPersonalWhatsAppBookingSummary(booked);
+    return res.json({ ...out, notified });
+  } catch (e) {
+    if (isNotFound(e)) return res.status(404).json({ error: "Appointment not found" });
+    if (isSlotTakenError(e)) return res.status(409).json({ error: "Slot not available" });
+    console.error("staff/reschedule error:", e?.response?.data || e?.message || e);
+    return res.status(500).json({ error: "Internal error" });
+  }
+});
 
-      session.lastBooking = booked;
-      session.state = "post_booking";
-      session.lastSlots = [];
-      session.lastDisplaySlots = [];
-      session.selectedSlot = null;
-      session.pendingName = null;
-      session.pendingRange = null;
-      session.reschedule = defaultSession().reschedule;
+// cancelar: { reason?, notify? }
+app.post("/staff/appointments/:id/cancel", async (req, res) => {
+  try {
+    const auth = verifyStaffRequest(req);
+    if (!auth.ok) return res.status(auth.status).json({ error: auth.error });
+
+    const tenant = staffTenant(req);
+    if (!tenant) return res.status(404).json({ error: "Unknown tenant" });
+
+    const b = req.body || {};
+    const idemKey = idempotencyKey("staff_cancel", tenant.id, req.params.id, req.get("Idempotency-Key"));
+    const replay = await idempotentResult(tenant, idemKey);
+    if (replay) return res.json({ ...replay, notified: false, replayed: true });
+
+    const { event } = await locateAppointment(tenant, req.params.id, String(b.provider_id || ""));
+    const priv = event.extendedProperties?.private || {};
+    if (priv.kind === "block") return res.status(404).json({ error: "Appointment not found" });
+    if (priv.status === "cancelled") return res.status(409).json({ error: "Appointment already cancelled" });
+
+    const reason = String(b.reason || "").trim() || "Cancelada por el staff";
+    const out = await cancelAppointmentTool(tenant, {
+      appointment_id: event.id,
+      provider_id: priv.provider_id,
+      reason,
+      by: "staff",
+      idempotency_key: idemKey,
+    });
 
-      return res.sendStatus(200);
+    let notified = false;
+    if (staffNotifyWanted(b)) {
+      const startISO = event.start?.dateTime;
+      notified = await notifyPatientOfStaffChange(tenant, priv, {
+        template: "staff_cancelled",
+        startISO,
+        text: `❌ Tu cita del ${formatDateInTZ(startISO, tenant.timezone)} a las ${formatTimeInTZ(startISO, tenant.timezone)} en ${tenant.name} fue *cancelada*.\n\nSi deseas otro horario, escríbenos por aquí 🙏`,
+      });
     }
 
-    // Services menu ask
-    if (
-      tNorm.includes("servicios") ||
-      tNorm.includes("cuales servicios") ||
-      tNorm.includes("qué servicios") ||
-      tNorm.includes("que servicios") ||
-      tNorm.includes("menu") ||
-      tNorm.includes("menú")
-    ) {
-      await sendWhatsAppText(from, servicesEmojiText());
-      await sendServicesList(from);
-      return res.sendStatus(200);
-    }
+    return res.json({ ...out, notified });
+  } catch (e) {
+    if (isNotFound(e)) return res.status(404).json({ error: "Appointment not found" });
+    console.error("staff/cancel error:", e?.response?.data || e?.message || e);
+    return res.status(500).json({ error: "Internal error" });
+  }
+});
 
-    // Detect service and date range
-    const serviceKey = detectServiceKeyFromUser(userText);
+// bloquear agenda: { start, end, provider_id?, reason? } (sin provider_id = toda la clínica)
+app.post("/staff/blocks", async (req, res) => {
+  try {
+    const auth = verifyStaffRequest(req);
+    if (!auth.ok) return res.status(auth.status).json({ error: auth.error });
 
-    if (serviceKey === "urgencias") {
-      await sendWhatsAppText(
-        from,
-        `⚠️ Para *urgencias*, descríbeme brevemente qué ocurre (dolor, sangrado, inflamación, golpe) y te ayudamos de inmediato.\n\nSi es una emergencia severa, llama a emergencias o acude al centro más cercano.`
-      );
-      return res.sendStatus(200);
-    }
+    const tenant = staffTenant(req);
+    if (!tenant) return res.status(404).json({ error: "Unknown tenant" });
 
-    if (!serviceKey && (tNorm.includes("agendar") || tNorm.includes("cita") || tNorm.includes("reservar"))) {
-      await sendWhatsAppText(from, `Claro ✅ ¿Qué servicio deseas?`);
-      await sendWhatsAppText(from, servicesEmojiText());
-      await sendServicesList(from);
-      return res.sendStatus(200);
+    const b = req.body || {};
+    const start = String(b.start || "").trim();
+    const end = String(b.end || "").trim();
+    if (Number.isNaN(Date.parse(start)) || Number.isNaN(Date.parse(end)) || !(new Date(end) > new Date(start))) {
+      return res.status(400).json({ error: "start and end must be ISO dates (start < end)" });
     }
 
-    if (serviceKey) {
-      session.pendingService = serviceKey;
+    const provider_id = String(b.provider_id || "").trim();
+    if (provider_id && !findProvider(tenant, provider_id)) return res.status(400).json({ error: "Unknown provider" });
 
-      const range = parseDateRangeFromText(userText);
+    const out = await blockTimeTool(tenant, {
+      start: new Date(start).toISOString(),
+      end: new Date(end).toISOString(),
+      provider_id,
+      reason: String(b.reason || "").trim(),
+    });
+    return res.status(201).json(out);
+  } catch (e) {
+    console.error("staff/blocks error:", e?.response?.data || e?.message || e);
+    return res.status(500).json({ error: "Internal error" });
+  }
+});
 
-      if (!range) {
-        session.state = "await_day";
-        await sendWhatsAppText(
-          from,
-          `Perfecto ✅ deseas cita para *${SERVICES.find((s) => s.key === serviceKey)?.title || serviceKey}*.\n\n¿Para qué día?\nEj: "mañana", "viernes", "próximo martes", "la semana que viene" o "14 de junio".`
-        );
-        return res.sendStatus(200);
-      }
+app.post("/staff/blocks/:id/delete", async (req, res) => {
+  try {
+    const auth = verifyStaffRequest(req);
+    if (!auth.ok) return res.status(auth.status).json({ error: auth.error });
 
-      const slots = await getAvailableSlotsTool({ service: serviceKey, from: range.from, to: range.to });
+    const tenant = staffTenant(req);
+    if (!tenant) return res.status(404).json({ error: "Unknown tenant" });
 
-      if (!slots.length) {
-        await sendWhatsAppText(
-          from,
-          `No veo espacios disponibles para ese rango 🙏\nDime otro día (ej: "próximo viernes") o un mes (ej: "en junio").`
-        );
-        session.state = "await_day";
-        return res.sendStatus(200);
-      }
+    return res.json(await unblockTimeTool(tenant, { block_id: req.params.id }));
+  } catch (e) {
+    if (isNotFound(e)) return res.status(404).json({ error: "Block not found" });
+    console.error("staff/unblock error:", e?.response?.data || e?.message || e);
+    return res.status(500).json({ error: "Internal error" });
+  }
+});
 
-      session.pendingRange = range;
-      session.lastSlots = slots;
-      session.state = "await_slot_choice";
+// quién no ha confirmado (por defecto: mañana)
+app.get("/staff/unconfirmed", async (req, res) => {
+  try {
+    const auth = verifyStaffRequest(req);
+    if (!auth.ok) return res.status(auth.status).json({ error: auth.error });
 
-      const listText = formatSlotsList(serviceKey, slots, session);
-      await sendWhatsAppText(from, listText);
-      return res.sendStatus(200);
-    }
+    const tenant = staffTenant(req);
+    if (!tenant) return res.status(404).json({ error: "Unknown tenant" });
 
-    if (!serviceKey && session.pendingService) {
-      const range = parseDateRangeFromText(userText);
-      if (range) {
-        const slots = await getAvailableSlotsTool({ service: session.pendingService, from: range.from, to: range.to });
+    const date = String(req.query?.date || "").trim() || tomorrowDateKey(tenant);
+    if (!isValidDateKey(date)) return res.status(400).json({ error: "date must be YYYY-MM-DD" });
 
-        if (!slots.length) {
-          await sendWhatsAppText(
-            from,
-            `No veo espacios disponibles para ese rango 🙏\nDime otro día (ej: "próximo viernes") o un mes (ej: "en junio").`
-          );
-          return res.sendStatus(200);
-        }
+    const appointments = await listUnconfirmedAppointments(tenant, date);
+    return res.json({ ok: true, tenantId: tenant.id, date, count: appointments.length, appointments });
+  } catch (e) {
+    console.error("staff/unconfirmed error:", e?.response?.data || e?.message || e);
+    return res.status(500).json({ error: "Internal error" });
+  }
+});
 
-        session.pendingRange = range;
-        session.lastSlots = slots;
-        session.state = "await_slot_choice";
+// marcar asistencia: { tenantId, status: attended | no_show | late_cancel, provider_id?, by?, notes? }
+app.post("/staff/appointments/:id/attendance", async (req, res) => {
+  try {
+    const auth = verifyStaffRequest(req);
+    if (!auth.ok) return res.status(auth.status).json({ error: auth.error });
 
-        const listText = formatSlotsList(session.pendingService, slots, session);
-        await sendWhatsAppText(from, listText);
-        return res.sendStatus(200);
-      }
+    const tenant = staffTenant(req);
+    if (!tenant) return res.status(404).json({ error: "Unknown tenant" });
 
-      if (session.state === "await_day") {
-        await sendWhatsAppText(
-          from,
-          `Para elegir el día, puedes escribir: "mañana", "viernes", "próximo martes", "la semana que viene", "14 de junio" o "en junio".`
-        );
-        return res.sendStatus(200);
-      }
+    const status = String(req.body?.status || "").trim();
+    if (!ATTENDANCE_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${ATTENDANCE_STATUSES.join(", ")}` });
     }
 
-    // Fallback: OpenAI
-    const reply = await callOpenAI({
-      session,
-      userId: from,
-      userText,
-      userPhone: from,
-      extraSystem: session.pendingService ? `Nota: el servicio actual pendiente es ${session.pendingService}.` : "",
+    const out = await markAttendanceTool(tenant, {
+      appointment_id: req.params.id,
+      provider_id: String(req.body?.provider_id || "").trim(),
+      status,
+      by: String(req.body?.by || "").trim(),
+      notes: String(req.body?.notes || "").trim(),
     });
+    return res.json(out);
+  } catch (e) {
+    if (isNotFound(e)) return res.status(404).json({ error: "Appointment not found" });
+    console.error("staff/attendance error:", e?.response?.data || e?.message || e);
+    return res.status(500).json({ error: "Internal error" });
+  }
+});
 
-    if (normalizeText(reply).includes("servicio")) {
-      await sendWhatsAppText(from, reply);
-      await sendWhatsAppText(from, servicesEmojiText());
-      await sendServicesList(from);
-      return res.sendStatus(200);
-    }
+// historial de asistencia de un paciente (por wa_id y/o ?phone=)
+app.get("/staff/patients/:waId/attendance", async (req, res) => {
+  try {
+    const auth = verifyStaffRequest(req);
+    if (!auth.ok) return res.status(auth.status).json({ error: auth.error });
+
+    const tenant = staffTenant(req);
+    if (!tenant) return res.status(404).json({ error: "Unknown tenant" });
 
-    await sendWhatsAppText(from, reply);
-    return res.sendStatus(200);
+    const patient = { wa_id: req.params.waId, phone: String(req.query?.phone || "") };
+    const history = await getAttendanceHistory(tenant, patient);
+    return res.json({ ok: true, tenantId: tenant.id, summary: attendanceSummary(tenant, history), history });
   } catch (e) {
-    console.error("Webhook error:", e?.response?.data || e?.message || e);
-    return res.sendStatus(200);
-  } finally {
-    try {
-      if (from && session) await saveSession(from, session);
-    } catch (e) {
-      console.error("saveSession error:", e?.message || e);
-    }
+    console.error("staff/patient attendance error:", e?.response?.data || e?.message || e);
+    return res.status(500).json({ error: "Internal error" });
   }
 });
 
-app.get("/", (_req, res) => res.send("OK"));
-app.get("/health", (_req, res) => res.status(200).send("ok"));
+app.get("/staff/patients/:waId/profile", async (req, res) => {
+  try {
+    const auth = verifyStaffRequest(req);
+    if (!auth.ok) return res.status(auth.status).json({ error: auth.error });
+
+    const tenant = staffTenant(req);
+    if (!tenant) return res.status(404).json({ error: "Unknown tenant" });
+
+    const profile = await getPatientProfile(tenant, req.params.waId);
+    if (!profile) return res.status(404).json({ error: "Profile not found" });
+    return res.json({ ok: true, tenantId: tenant.id, profile: profileView(tenant, profile) });
+  } catch (e) {
+    console.error("staff/patient profile error:", e?.response?.data || e?.message || e);
+    return res.status(500).json({ error: "Internal error" });
+  }
+});
+
+// {"name","phone","dob":"YYYY-MM-DD","insurance","preferredProviderId"}; null borra el campo
+app.post("/staff/patients/:waId/profile", async (req, res) => {
+  try {
+    const auth = verifyStaffRequest(req);
+    if (!auth.ok) return res.status(auth.status).json({ error: auth.error });
+
+    const tenant = staffTenant(req);
+    if (!tenant) return res.status(404).json({ error: "Unknown tenant" });
+    if (!normalizePhoneDigits(req.params.waId)) return res.status(400).json({ error: "Invalid waId" });
+
+    const body = req.body || {};
+    const field = (k) => (body[k] === null ? null : body[k] === undefined ? undefined : String(body[k]).trim());
+    const patch = {
+      name: field("name"),
+      phone: body.phone ? normalizePhoneDigits(body.phone) : field("phone"),
+      dob: field("dob"),
+      insurance: field("insurance"),
+      preferredProviderId: field("preferredProviderId"),
+    };
+
+    if (patch.phone && patch.phone.length < 8) return res.status(400).json({ error: "Invalid phone" });
+    if (patch.dob && !isValidDateKey(patch.dob)) return res.status(400).json({ error: "dob must be YYYY-MM-DD" });
+    if (patch.preferredProviderId && !findProvider(tenant, patch.preferredProviderId)) {
+      return res.status(400).json({ error: "Unknown provider" });
+    }
+
+    const profile = await updatePatientProfile(tenant, req.params.waId, patch);
+    return res.json({ ok: true, tenantId: tenant.id, profile: profileView(tenant, profile) });
+  } catch (e) {
+    console.error("staff/patient profile update error:", e?.response?.data || e?.message || e);
+    return res.status(500).json({ error: "Internal error" });
+  }
+});
 
 // =========================
-// Recordatorios (24h y 2h)
+// Admin: dead-letter del outbox de BotHub (misma firma que la API de staff)
 // =========================
-async function reminderLoop() {
+app.get("/admin/bothub/dead", async (req, res) => {
   try {
-    const calendar = getCalendarClient();
-    const now = new Date();
-    const in26h = addMinutes(now, 26 * 60);
-
-    const list = await calendar.events.list({
-      calendarId: GOOGLE_CALENDAR_ID,
-      timeMin: now.toISOString(),
-      timeMax: in26h.toISOString(),
-      singleEvents: true,
-      orderBy: "startTime",
-      maxResults: 50,
+    const auth = verifyStaffRequest(req);
+    if (!auth.ok) return res.status(auth.status).json({ error: auth.error });
+
+    const limit = Math.min(Math.max(parseInt(req.query?.limit || "100", 10) || 100, 1), QUEUE_DEAD_MAX);
+    const items = await bothubOutbox.listDead({ limit });
+    return res.json({
+      ok: true,
+      count: items.length,
+      items: items.map((job) => ({
+        id: job.id,
+        key: job.key,
+        eventId: job.data?.eventId,
+        direction: job.data?.direction,
+        attempts: job.attempts,
+        failedAt: job.failedAt,
+        error: job.error,
+        payload: job.data,
+      })),
     });
+  } catch (e) {
+    console.error("admin/bothub/dead error:", e?.response?.data || e?.message || e);
+    return res.status(500).json({ error: "Internal error" });
+  }
+});
 
-    const events = list.data.items || [];
+// reenvía los muertos: { ids?: [...] } (sin ids = todos)
+app.post("/admin/bothub/dead/replay", async (req, res) => {
+  try {
+    const auth = verifyStaffRequest(req);
+    if (!auth.ok) return res.status(auth.status).json({ error: auth.error });
 
-    for (const ev of events) {
-      const priv = ev.extendedProperties?.private || {};
-      if (priv.status === "cancelled") continue;
+    const replayed = await bothubOutbox.replayDead({ ids: req.body?.ids });
+    return res.json({ ok: true, count: replayed.length, replayed });
+  } catch (e) {
+    console.error("admin/bothub/replay error:", e?.response?.data || e?.message || e);
+    return res.status(500).json({ error: "Internal error" });
+  }
+});
 
-      const phone = priv.wa_phone;
-      const startISO = ev.start?.dateTime;
-      if (!phone || !startISO) continue;
+// =========================
+// Admin: aciertos del cache de free/busy por clínica (todas las instancias, desde el último reset)
+// =========================
+app.get("/admin/freebusy/stats", async (req, res) => {
+  try {
+    const auth = verifyStaffRequest(req);
+    if (!auth.ok) return res.status(auth.status).json({ error: auth.error });
 
-      const start = new Date(startISO);
-      const minutesToStart = Math.round((start.getTime() - now.getTime()) / 60000);
+    const tenant = staffTenant(req);
+    if (!tenant) return res.status(404).json({ error: "Unknown tenant" });
 
-      const in24hWindow = minutesToStart <= 25 * 60 && minutesToStart >= 23 * 60;
-      const in2hWindow = minutesToStart <= 135 && minutesToStart >= 90;
+    return res.json({ ok: true, ...(await busyCacheStatsView(tenant)) });
+  } catch (e) {
+    console.error("admin/freebusy/stats error:", e?.response?.data || e?.message || e);
+    return res.status(500).json({ error: "Internal error" });
+  }
+});
 
-      if (REMINDER_24H && in24hWindow && priv.reminder24hSent !== "true") {
-        const msg =
-          `Recordatorio 🦷: tienes cita mañana a las ${formatTimeInTZ(startISO, CLINIC_TIMEZONE)} en ${CLINIC_NAME}.\n\nResponde:\n1) Confirmar\n2) Reprogramar\n3) Cancelar`;
+// empezar a medir de nuevo (ej: después de cambiar FREEBUSY_CACHE_TTL_SEC); devuelve lo que había
+app.post("/admin/freebusy/stats/reset", async (req, res) => {
+  try {
+    const auth = verifyStaffRequest(req);
+    if (!auth.ok) return res.status(auth.status).json({ error: auth.error });
 
-        const sendRes = await sendReminderWhatsAppToBestTarget(priv, phone, msg);
+    const tenant = staffTenant(req);
+    if (!tenant) return res.status(404).json({ error: "Unknown tenant" });
 
-        if (sendRes.ok) {
-          await calendar.events.patch({
-            calendarId: GOOGLE_CALENDAR_ID,
-            eventId: ev.id,
-            requestBody: { extendedProperties: { private: { ...priv, reminder24hSent: "true" } } },
-          });
-        } else {
-          console.error("[reminder24h] could not send", { tried: sendRes.tried, error: sendRes.error });
-        }
-      }
+    const previous = await resetBusyCacheStats(tenant);
+    return res.json({ ok: true, previous });
+  } catch (e) {
+    console.error("admin/freebusy/stats/reset error:", e?.response?.data || e?.message || e);
+    return res.status(500).json({ error: "Internal error" });
+  }
+});
 
-      if (REMINDER_2H && in2hWindow && priv.reminder2hSent !== "true") {
-        const msg =
-          `Recordatorio 🦷: tu cita es hoy a las ${formatTimeInTZ(startISO, CLINIC_TIMEZONE)} en ${CLINIC_NAME}.\nDirección: ${CLINIC_ADDRESS || "—"}\n\nResponde:\n1) Confirmar\n2) Reprogramar\n3) Cancelar`;
+// =========================
+// Admin: índice teléfono -> citas (?tenantId= como en la API de staff)
+// =========================
+app.get("/admin/appointments/index", async (req, res) => {
+  try {
+    const auth = verifyStaffRequest(req);
+    if (!auth.ok) return res.status(auth.status).json({ error: auth.error });
 
-        const sendRes = await sendReminderWhatsAppToBestTarget(priv, phone, msg);
+    const tenant = staffTenant(req);
+    if (!tenant) return res.status(404).json({ error: "Unknown tenant" });
 
-        if (sendRes.ok) {
-          await calendar.events.patch({
-            calendarId: GOOGLE_CALENDAR_ID,
-            eventId: ev.id,
-            requestBody: { extendedProperties: { private: { ...priv, reminder2hSent: "true" } } },
-          });
-        } else {
-          console.error("[reminder2h] could not send", { tried: sendRes.tried, error: sendRes.error });
-        }
-      }
-    }
+    return res.json({ ok: true, tenantId: tenant.id, enabled: APPT_INDEX_ENABLED, status: await appointmentIndexStatus(tenant) });
   } catch (e) {
-    console.error("Reminder loop error:", e?.response?.data || e?.message || e);
+    console.error("admin/appointments/index error:", e?.response?.data || e?.message || e);
+    return res.status(500).json({ error: "Internal error" });
   }
-}
+});
 
-app.get("/tick", async (_req, res) => {
+app.post("/admin/appointments/reindex", async (req, res) => {
   try {
-    await reminderLoop();
-  } catch {}
-  return res.status(200).send("tick ok");
+    const auth = verifyStaffRequest(req);
+    if (!auth.ok) return res.status(auth.status).json({ error: auth.error });
+    if (!APPT_INDEX_ENABLED) return res.status(409).json({ error: "APPT_INDEX_ENABLED=false" });
+
+    const tenant = staffTenant(req);
+    if (!tenant) return res.status(404).json({ error: "Unknown tenant" });
+
+    const result = await rebuildAppointmentIndex(tenant);
+    return res.json({ ok: true, ...result });
+  } catch (e) {
+    console.error("admin/appointments/reindex error:", e?.response?.data || e?.message || e);
+    return res.status(500).json({ error: "Internal error" });
+  }
 });
 
 // =========================
 // Start
 // =========================
-app.listen(PORT, () => console.log(`Bot running on :${PORT}`));
+// importado (ej: desde los tests) no levanta el servidor ni los barridos
+const isMainModule = Boolean(process.argv[1]) && import.meta.url === pathToFileURL(path.resolve(process.argv[1])).href;
+
+if (isMainModule) {
+  app.listen(PORT, () => console.log(`Bot running on :${PORT}`));
+
+  // ✅ índice de citas: si nunca se armó (o se perdió Redis) lo reconstruimos una vez; mientras tanto
+  // las búsquedas usan el filtro del calendario
+  if (APPT_INDEX_ENABLED && APPT_INDEX_REBUILD_ON_START) {
+    (async () => {
+      for (const tenant of TENANTS) {
+        try {
+          if (await appointmentIndexStatus(tenant)) continue;
+          const result = await rebuildAppointmentIndex(tenant);
+          console.log(`Appointment index rebuilt (${tenant.id}): ${result.indexed} citas`);
+        } catch (e) {
+          console.error(`Appointment index rebuild error (${tenant.id}):`, e?.response?.data || e?.message || e);
+        }
+      }
+    })();
+  }
+
+  // ✅ barrido de la cola de entrada y del outbox de BotHub (reintentos y lo que quedó de una caída)
+  setInterval(() => {
+    inboundQueue.sweep().catch((e) => console.error("Inbound queue sweep error:", e?.message || e));
+    bothubOutbox.sweep().catch((e) => console.error("Bothub outbox sweep error:", e?.message || e));
+  }, QUEUE_SWEEP_MS);
+}
+
+// lo que usan los tests (test/*.test.js)
+export {
+  DEFAULT_TENANT,
+  buildCandidateSlotsZoned,
+  getAvailableSlotsTool,
+  holdSlot,
+  releaseSlotHold,
+  withSlotLock,
+  slotLockKey,
+  isSlotTakenError,
+  bookAppointmentTool,
+  getCalendarBackend,
+  runIdempotent,
+  idempotencyKey,
+  idempotencyStoreKey,
+  kvGetJson,
+  kvSetJson,
+};
@@ -0,0 +1,35 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// carga index.js con el calendario local (archivo temporal), sin Redis y sin WhatsApp/OpenAI;
+// cada archivo de test corre en su propio proceso, así que el env se fija una sola vez
+export async function loadApp(env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "dental-bot-test-"));
+  process.on("exit", () => fs.rmSync(dir, { recursive: true, force: true }));
+
+  Object.assign(process.env, {
+    CALENDAR_BACKEND: "local",
+    LOCAL_CALENDAR_FILE: path.join(dir, "calendar.json"),
+    REDIS_URL: "",
+    OPENAI_API_KEY: "",
+    CLINIC_TIMEZONE: "America/Santo_Domingo",
+    HOLIDAY_CALENDAR: "DO",
+    SLOT_STEP_MIN: "30",
+    SERVICE_DURATION_JSON: JSON.stringify({ evaluacion: 30, limpieza: 60, otro: 30 }),
+    APPT_INDEX_REBUILD_ON_START: "false",
+    ...env,
+  });
+
+  return import("../index.js");
+}
+
+// "YYYY-MM-DD" local (Santo Domingo, UTC-4 sin horario de verano) dentro de n días
+export function dateKeyInDays(n) {
+  return new Date(Date.now() + n * 24 * 60 * 60000).toLocaleDateString("en-CA", { timeZone: "America/Santo_Domingo" });
+}
+
+export function localDayISO(dateKey) {
+  const from = new Date(`${dateKey}T00:00:00-04:00`);
+  return { from: from.toISOString(), to: new Date(from.getTime() + 24 * 60 * 60000).toISOString() };
+}
@@ -0,0 +1,68 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { loadApp, dateKeyInDays, localDayISO } from "./helpers.js";
+
+// un día de la semana que viene con horario fijo (el override gana sobre feriados y fines de semana)
+const dateKey = dateKeyInDays(7);
+const { from, to } = localDayISO(dateKey);
+
+const app = await loadApp({
+  DATE_OVERRIDES_JSON: JSON.stringify({ [dateKey]: [{ start: "09:00", end: "12:00" }] }),
+  SLOT_HOLD_TTL_SEC: "600",
+});
+const tenant = app.DEFAULT_TENANT;
+const provider = tenant.providers[0];
+
+const slotsFor = (waId) => app.getAvailableSlotsTool(tenant, { service: "evaluacion", from, to, wa_id: waId });
+
+function bookArgs(waId, slot) {
+  return {
+    patient_name: `Paciente ${waId}`,
+    phone: waId,
+    wa_id: waId,
+    service: "evaluacion",
+    slot_id: slot.slot_id,
+    slot_start: slot.start,
+    slot_end: slot.end,
+  };
+}
+
+test("un horario retenido no se le ofrece ni se le reserva a otro paciente", async () => {
+  const [slot] = await slotsFor("1001");
+  assert.ok(slot);
+
+  assert.equal(await app.holdSlot(tenant, "1001", slot), provider.id);
+
+  assert.ok((await slotsFor("1001")).some((s) => s.slot_id === slot.slot_id), "quien retiene lo sigue viendo");
+  assert.ok(!(await slotsFor("2002")).some((s) => s.slot_id === slot.slot_id), "los demás ya no lo ven");
+
+  assert.equal(await app.holdSlot(tenant, "2002", slot), "");
+  await assert.rejects(app.bookAppointmentTool(tenant, bookArgs("2002", slot)), (e) => app.isSlotTakenError(e));
+
+  const booked = await app.bookAppointmentTool(tenant, bookArgs("1001", slot));
+  assert.equal(booked.start, slot.start);
+
+  // ya sin retención (se soltó al reservar), lo bloquea el evento
+  await assert.rejects(app.bookAppointmentTool(tenant, bookArgs("2002", slot)), (e) => app.isSlotTakenError(e));
+  assert.ok(!(await slotsFor("2002")).some((s) => s.slot_id === slot.slot_id));
+});
+
+test("una retención con TTL propio (oferta de la lista de espera) bloquea hasta que se suelta", async () => {
+  const slot = (await slotsFor("3003"))[2];
+  assert.equal(await app.holdSlot(tenant, "3003", slot, "", { ttlSec: 60 }), provider.id);
+  assert.ok(!(await slotsFor("4004")).some((s) => s.slot_id === slot.slot_id));
+
+  await app.releaseSlotHold(tenant, "3003", provider.id, slot.start);
+  assert.ok((await slotsFor("4004")).some((s) => s.slot_id === slot.slot_id));
+});
+
+test("si el lock del calendario no se suelta a tiempo el horario cuenta como ocupado", async () => {
+  const slot = (await slotsFor("5005")).at(-1);
+  await app.kvSetJson(app.slotLockKey(tenant, provider.calendarId), { token: "otra-instancia" }, 30);
+
+  assert.equal(await app.holdSlot(tenant, "5005", slot), "");
+  await assert.rejects(
+    app.withSlotLock(tenant, provider.calendarId, async () => "no debería correr"),
+    (e) => app.isSlotTakenError(e) && e.status === 409
+  );
+});
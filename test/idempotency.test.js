@@ -0,0 +1,77 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { loadApp, dateKeyInDays, localDayISO } from "./helpers.js";
+
+const dateKey = dateKeyInDays(8);
+const { from, to } = localDayISO(dateKey);
+
+const app = await loadApp({
+  DATE_OVERRIDES_JSON: JSON.stringify({ [dateKey]: [{ start: "09:00", end: "12:00" }] }),
+});
+const tenant = app.DEFAULT_TENANT;
+const provider = tenant.providers[0];
+
+test("el mismo key devuelve el resultado guardado sin repetir la operación", async () => {
+  let calls = 0;
+  const op = async () => ({ n: ++calls });
+
+  assert.deepEqual(await app.runIdempotent(tenant, "k-done", op), { n: 1 });
+  assert.deepEqual(await app.runIdempotent(tenant, "k-done", op), { n: 1 });
+  assert.equal(calls, 1);
+});
+
+test("si la operación falla no queda nada guardado y el reintento vuelve a correr", async () => {
+  let calls = 0;
+  const op = async () => {
+    calls += 1;
+    if (calls === 1) throw new Error("boom");
+    return { ok: true };
+  };
+
+  await assert.rejects(app.runIdempotent(tenant, "k-fail", op), /boom/);
+  assert.equal(await app.kvGetJson(app.idempotencyStoreKey(tenant, "k-fail")), null);
+  assert.deepEqual(await app.runIdempotent(tenant, "k-fail", op), { ok: true });
+  assert.equal(calls, 2);
+});
+
+test("pending: recover() responde con lo que dejó el intento cortado", async () => {
+  await app.kvSetJson(app.idempotencyStoreKey(tenant, "k-pending"), { status: "pending" }, 60);
+
+  let calls = 0;
+  const result = await app.runIdempotent(tenant, "k-pending", async () => ++calls, { recover: async () => "recuperado" });
+  assert.equal(result, "recuperado");
+  assert.equal(calls, 0);
+  assert.equal((await app.kvGetJson(app.idempotencyStoreKey(tenant, "k-pending"))).status, "done");
+});
+
+test("pending sin nada que recuperar: se repite la operación", async () => {
+  await app.kvSetJson(app.idempotencyStoreKey(tenant, "k-retry"), { status: "pending" }, 60);
+
+  const result = await app.runIdempotent(tenant, "k-retry", async () => "de nuevo", { recover: async () => null });
+  assert.equal(result, "de nuevo");
+});
+
+test("una reserva cortada después de insertar el evento no se duplica al reintentar", async () => {
+  const [slot] = await app.getAvailableSlotsTool(tenant, { service: "evaluacion", from, to, wa_id: "1001" });
+  const key = app.idempotencyKey("book", tenant.id, "1001", slot.start, "wamid.1");
+  const args = {
+    patient_name: "Paciente 1001",
+    phone: "1001",
+    wa_id: "1001",
+    service: "evaluacion",
+    slot_id: slot.slot_id,
+    slot_start: slot.start,
+    slot_end: slot.end,
+    idempotency_key: key,
+  };
+
+  const first = await app.bookAppointmentTool(tenant, args);
+  // como si el proceso hubiera muerto antes de guardar el resultado
+  await app.kvSetJson(app.idempotencyStoreKey(tenant, key), { status: "pending" }, 60);
+
+  const retry = await app.bookAppointmentTool(tenant, args);
+  assert.equal(retry.appointment_id, first.appointment_id);
+
+  const events = await app.getCalendarBackend(tenant).listEvents(provider.calendarId, { timeMin: from, timeMax: to });
+  assert.equal(events.length, 1);
+});
@@ -0,0 +1,61 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { loadApp, localDayISO } from "./helpers.js";
+
+const { DEFAULT_TENANT: tenant, buildCandidateSlotsZoned } = await loadApp({
+  // lunes con turno partido; martes a jueves corrido; fin de semana cerrado
+  WORK_HOURS_JSON: JSON.stringify({
+    mon: [
+      { start: "08:00", end: "12:00" },
+      { start: "14:00", end: "18:00" },
+    ],
+    tue: { start: "09:00", end: "18:00" },
+    wed: { start: "09:00", end: "18:00" },
+    thu: { start: "09:00", end: "18:00" },
+    fri: { start: "09:00", end: "18:00" },
+    sat: null,
+    sun: null,
+  }),
+  DATE_OVERRIDES_JSON: JSON.stringify({
+    "2026-11-17": { closed: true, reason: "Congreso" },
+    "2026-11-18": [{ start: "10:00", end: "12:00" }],
+    "2026-12-25": [{ start: "09:00", end: "10:00" }],
+  }),
+  HOLIDAYS_JSON: JSON.stringify({ "2026-11-19": "Feriado de prueba" }),
+});
+
+function localTimes(dateKey, durationMin) {
+  const { from, to } = localDayISO(dateKey);
+  const provider = tenant.providers[0];
+  return buildCandidateSlotsZoned({ tenant, provider, service: "evaluacion", fromISO: from, toISO: to, durationMin }).map((s) =>
+    new Date(s.start).toLocaleTimeString("en-GB", { timeZone: tenant.timezone, hour: "2-digit", minute: "2-digit" })
+  );
+}
+
+test("turno partido: no hay horarios en el almuerzo ni que crucen el corte", () => {
+  assert.deepEqual(localTimes("2026-11-16", 60), [
+    "08:00", "08:30", "09:00", "09:30", "10:00", "10:30", "11:00",
+    "14:00", "14:30", "15:00", "15:30", "16:00", "16:30", "17:00",
+  ]);
+});
+
+test("cierre puntual por fecha: sin horarios", () => {
+  assert.deepEqual(localTimes("2026-11-17", 30), []);
+});
+
+test("horario especial por fecha reemplaza al semanal", () => {
+  assert.deepEqual(localTimes("2026-11-18", 30), ["10:00", "10:30", "11:00", "11:30"]);
+});
+
+test("feriados automáticos y de HOLIDAYS_JSON cierran el día", () => {
+  assert.deepEqual(localTimes("2026-11-19", 30), []);
+  assert.deepEqual(localTimes("2027-01-01", 30), []); // Año Nuevo (DO)
+});
+
+test("un horario especial gana sobre el feriado", () => {
+  assert.deepEqual(localTimes("2026-12-25", 30), ["09:00", "09:30"]);
+});
+
+test("fin de semana sin horario semanal", () => {
+  assert.deepEqual(localTimes("2026-11-21", 30), []);
+});